@@ -0,0 +1,102 @@
+/**
+ * Records AniList responses for offline development
+ * Usage: npm run record -- [--franchise] [--popular] "attack on titan" naruto
+ *
+ * Runs the requests the app makes for each search term: the alternatives list, the best match
+ * and the by-ID lookup of every match (used by ?id= deep links and the /anime/<id> pages), plus
+ * the franchise walk with --franchise. --popular records every page of popular anime "Surprise
+ * me" samples from; picks with genre, format or year filters send other requests and still need
+ * a network. The request/response pairs are merged into public/recordings/anilist.json. Start
+ * the app with ?transport=replay (or PUBLIC_ANIME_TRANSPORT=replay) to serve them without a network.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  setTransport,
+  configureCache,
+  searchMultipleAnime,
+  searchAnime,
+  getAnimeFranchise,
+  getAnimeById,
+  getRandomPopularAnime,
+  SEARCH_PAGE_SIZE
+} from '../src/scripts/anime-api.js';
+import { createRecordingTransport, getRecordingKey } from '../src/scripts/transport.js';
+import { MAX_SAMPLE_PAGES } from '../src/scripts/random-picker.js';
+
+const OUTPUT_PATH = resolve(dirname(fileURLToPath(import.meta.url)), '../public/recordings/anilist.json');
+
+async function readExistingRecordings() {
+  try {
+    return JSON.parse(await readFile(OUTPUT_PATH, 'utf8')).recordings || [];
+  } catch {
+    return [];
+  }
+}
+
+// Requests each page the random picker can sample, the way the picker requests it
+async function recordPopularPages() {
+  for (let page = 1; page <= MAX_SAMPLE_PAGES; page++) {
+    // The picker turns random() into one of pages 1..MAX_SAMPLE_PAGES; aim it at this page
+    const target = (page - 0.5) / MAX_SAMPLE_PAGES;
+    const { error } = await getRandomPopularAnime({}, { maxAttempts: 1, random: () => target });
+    if (error) {
+      console.log(`  popular page ${page}: ${error}`);
+    }
+  }
+  console.log(`popular: ${MAX_SAMPLE_PAGES} pages`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const withFranchise = args.includes('--franchise');
+  const withPopular = args.includes('--popular');
+  const terms = args.filter(arg => arg !== '--franchise' && arg !== '--popular');
+  if (terms.length === 0 && !withPopular) {
+    console.error('Usage: npm run record -- [--franchise] [--popular] <search term> [...search terms]');
+    process.exit(1);
+  }
+
+  const recorder = createRecordingTransport();
+  setTransport(recorder);
+  // Every request has to reach the recorder
+  configureCache({ ttl: 0 });
+
+  for (const term of terms) {
+    const alternatives = await searchMultipleAnime(term, SEARCH_PAGE_SIZE);
+    const best = await searchAnime(term);
+    const match = best.data || alternatives.data?.[0];
+    console.log(`${term}: ${match ? match.title.english || match.title.romaji : best.error}`);
+
+    // Every result can be opened by ID
+    const ids = new Set([best.data?.id, ...(alternatives.data || []).map(anime => anime.id)].filter(id => id != null));
+    for (const id of ids) {
+      await getAnimeById(id);
+    }
+    console.log(`  by ID: ${ids.size} anime`);
+
+    if (withFranchise && match) {
+      const franchise = await getAnimeFranchise(match.id);
+      console.log(`  franchise: ${franchise.data ? franchise.data.entries.length : 0} entries`);
+    }
+  }
+
+  if (withPopular) {
+    await recordPopularPages();
+  }
+
+  // New recordings replace older ones of the same request
+  const session = recorder.toJSON();
+  const merged = new Map();
+  [...await readExistingRecordings(), ...session.recordings].forEach(recording => {
+    merged.set(getRecordingKey(recording.request.method, recording.request.url, recording.request.body), recording);
+  });
+
+  await mkdir(dirname(OUTPUT_PATH), { recursive: true });
+  await writeFile(OUTPUT_PATH, `${JSON.stringify({ ...session, recordings: [...merged.values()] }, null, 2)}\n`);
+  console.log(`Saved ${merged.size} recordings to ${OUTPUT_PATH}`);
+}
+
+main();
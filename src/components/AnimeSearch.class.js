@@ -3,26 +3,64 @@
  * Extracted for testing purposes - contains the core logic without Astro dependencies
  */
 
-import { searchAnime, searchMultipleAnime, cancelPendingSearch } from '../scripts/anime-api.js';
+import { createSearchClient, SEARCH_PAGE_SIZE } from '../scripts/anime-api.js';
+import { ERROR_CODES } from '../scripts/anime-errors.js';
+import { getAnimeMetaParts } from '../scripts/anime-data.js';
+import {
+  normalizeSearchFilters,
+  countActiveFilters,
+  parseFiltersFromURLParams,
+  writeFiltersToURLParams
+} from '../scripts/search-filters.js';
+
+// How close to the end of the alternatives list scrolling loads the next page
+const LOAD_MORE_SCROLL_THRESHOLD = 80; // px
 
 export class AnimeSearchComponent {
-  constructor() {
-    this.searchInput = document.getElementById('anime-search-input');
-    this.clearButton = document.querySelector('.clear-button');
-    this.searchStatus = document.getElementById('search-status');
-    this.searchError = document.getElementById('search-error');
-    this.retryButton = document.querySelector('.retry-button');
+  /**
+   * @param {Object} options - Component options
+   * @param {import('../scripts/anime-api.js').SearchClient} [options.client] - Search client (default: a new independent client)
+   * @param {Document|Element} [options.root] - Element holding this instance's markup (default: the document)
+   * @param {string} [options.idPrefix] - Prefix of this instance's element IDs (default: none)
+   * @param {boolean} [options.syncUrl] - Whether the search, ID and filters live in the page URL (default: true);
+   *   only one search box per page should sync, or they overwrite each other's state
+   */
+  constructor({ client = createSearchClient(), root = document, idPrefix = '', syncUrl = true } = {}) {
+    // Each instance owns its client and markup, so several search boxes can live side by side
+    this.client = client;
+    this.syncUrl = syncUrl;
+    const byId = id => root.querySelector(`#${idPrefix}${id}`);
+
+    this.searchInput = byId('anime-search-input');
+    this.clearButton = root.querySelector('.clear-button');
+    this.searchStatus = byId('search-status');
+    this.searchError = byId('search-error');
+    this.retryButton = root.querySelector('.retry-button');
     
     // Alternative results elements
-    this.alternativeResults = document.getElementById('alternative-results');
-    this.alternativesHintBtn = document.getElementById('alternatives-hint-btn');
-    this.alternativesDropdown = document.getElementById('alternatives-dropdown');
-    this.alternativesList = document.getElementById('alternatives-list');
+    this.alternativeResults = byId('alternative-results');
+    this.alternativesHintBtn = byId('alternatives-hint-btn');
+    this.alternativesDropdown = byId('alternatives-dropdown');
+    this.alternativesList = byId('alternatives-list');
+
+    // Filter bar elements
+    this.filtersToggle = byId('search-filters-toggle');
+    this.filtersPanel = byId('search-filters-panel');
+    this.filtersCount = byId('search-filters-count');
     
     this.currentSearchTerm = '';
+    this.filters = normalizeSearchFilters();
     this.isLoading = false;
     this.alternativesExpanded = false;
     this.currentAlternatives = [];
+    this.alternativesSearchTerm = '';
+    this.alternativesShownId = null;
+    this.alternativesPageInfo = null;
+    this.isLoadingMoreAlternatives = false;
+    this.loadMoreItem = null;
+    this.retryCountdownTimer = null;
+    this.errorCountdownTimer = null;
+    this.searchController = null;
     
     this.init();
   }
@@ -36,6 +74,13 @@ export class AnimeSearchComponent {
     this.clearButton?.addEventListener('click', this.handleClear.bind(this));
     this.retryButton?.addEventListener('click', this.handleRetry.bind(this));
     this.alternativesHintBtn?.addEventListener('click', this.handleToggleAlternatives.bind(this));
+    this.alternativesList?.addEventListener('scroll', this.handleAlternativesScroll.bind(this));
+    this.filtersToggle?.addEventListener('click', this.handleToggleFilters.bind(this));
+    this.filtersPanel?.addEventListener('change', this.handleFiltersChange.bind(this));
+    this.filtersPanel?.addEventListener('reset', this.handleFiltersReset.bind(this));
+    this.filtersPanel?.addEventListener('submit', (event) => event.preventDefault());
+
+    if (!this.syncUrl) return;
 
     // Handle browser back/forward navigation
     window.addEventListener('popstate', this.handlePopState.bind(this));
@@ -70,7 +115,7 @@ export class AnimeSearchComponent {
     this.hideStates();
     this.hideAlternatives();
     this.dispatchSearchEvent(null, null);
-    cancelPendingSearch();
+    this.abortSearch();
     
     // Update URL
     this.updateURL('');
@@ -94,32 +139,131 @@ export class AnimeSearchComponent {
     }
   }
 
+  handleAlternativesScroll() {
+    const list = this.alternativesList;
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - LOAD_MORE_SCROLL_THRESHOLD) {
+      this.loadMoreAlternatives();
+    }
+  }
+
+  handleToggleFilters() {
+    const expanded = this.filtersToggle.getAttribute('aria-expanded') !== 'true';
+    this.filtersToggle.setAttribute('aria-expanded', String(expanded));
+    if (this.filtersPanel) {
+      this.filtersPanel.hidden = !expanded;
+    }
+  }
+
+  handleFiltersChange() {
+    this.setFilters(this.readFiltersFromForm());
+  }
+
+  handleFiltersReset(event) {
+    event.preventDefault();
+    this.setFilters({});
+  }
+
   handleAlternativeSelect(anime) {
     // Hide dropdown but keep alternatives section visible so user can reopen it
     this.hideAlternativesDropdown();
     this.dispatchSearchEvent(anime, null);
+
+    // Pin the exact series in the URL so shared links reopen it
+    this.updateURL(this.currentSearchTerm, anime.id);
   }
 
   initializeFromURL() {
     const urlParams = new URLSearchParams(window.location.search);
     const searchTerm = urlParams.get('search');
+    const animeId = urlParams.get('id');
+
+    this.filters = parseFiltersFromURLParams(urlParams);
+    this.updateFiltersForm();
+
     if (searchTerm) {
       this.searchInput.value = searchTerm;
       this.updateClearButtonVisibility(searchTerm);
+    }
+
+    if (animeId) {
+      this.loadAnimeById(animeId, searchTerm || '');
+    } else if (searchTerm) {
       this.performSearch(searchTerm, true);
     }
   }
 
-  updateURL(searchTerm) {
-    const url = new URL(window.location);
+  updateURL(searchTerm, animeId = null) {
+    if (!this.syncUrl) return;
+
+    const url = new URL(window.location.href);
     if (searchTerm) {
       url.searchParams.set('search', searchTerm);
     } else {
       url.searchParams.delete('search');
     }
+    if (animeId) {
+      url.searchParams.set('id', String(animeId));
+    } else {
+      url.searchParams.delete('id');
+    }
+    writeFiltersToURLParams(this.filters, url.searchParams);
     window.history.replaceState({}, '', url);
   }
 
+  readFiltersFromForm() {
+    if (!this.filtersPanel) return this.filters;
+
+    const formData = new FormData(this.filtersPanel);
+    return normalizeSearchFilters({
+      format_in: formData.getAll('format_in'),
+      season: formData.get('season'),
+      seasonYear: formData.get('seasonYear'),
+      genre_in: formData.getAll('genre_in'),
+      status: formData.get('status')
+    });
+  }
+
+  // Reflects this.filters in the filter bar controls and the active filter count
+  updateFiltersForm() {
+    if (this.filtersPanel) {
+      this.filtersPanel.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = (this.filters[checkbox.name] || []).includes(checkbox.value);
+      });
+      ['season', 'seasonYear', 'status'].forEach(name => {
+        const field = this.filtersPanel.elements.namedItem(name);
+        if (field) {
+          field.value = this.filters[name] !== undefined ? String(this.filters[name]) : '';
+        }
+      });
+    }
+
+    if (this.filtersCount) {
+      const activeCount = countActiveFilters(this.filters);
+      this.filtersCount.textContent = String(activeCount);
+      this.filtersCount.hidden = activeCount === 0;
+    }
+  }
+
+  // Search options carrying the active filters (none while no filter is set)
+  getFilterOptions() {
+    return countActiveFilters(this.filters) > 0 ? { filters: this.filters } : {};
+  }
+
+  // Aborts the running search (including its network requests) and returns the signal for a new one
+  startSearch() {
+    this.abortSearch();
+    this.searchController = new AbortController();
+    return this.searchController.signal;
+  }
+
+  abortSearch() {
+    this.client.cancel();
+    if (this.searchController) {
+      this.searchController.abort();
+      this.searchController = null;
+    }
+  }
+
   updateClearButtonVisibility(value) {
     if (this.clearButton) {
       this.clearButton.style.display = value.length > 0 ? 'flex' : 'none';
@@ -131,6 +275,7 @@ export class AnimeSearchComponent {
     
     // Clear states if empty search
     if (!this.currentSearchTerm) {
+      this.abortSearch();
       this.hideStates();
       this.dispatchSearchEvent(null, null);
       this.updateURL('');
@@ -140,34 +285,46 @@ export class AnimeSearchComponent {
     // Update URL
     this.updateURL(this.currentSearchTerm);
 
+    // Starting a new search aborts the previous one
+    const signal = this.startSearch();
+
     // Show loading state
     this.showLoading();
 
     try {
-      const result = await searchAnime(this.currentSearchTerm);
+      const result = await this.client.search(this.currentSearchTerm, {
+        ...this.getFilterOptions(),
+        onRetry: (retryInfo) => {
+          if (!signal.aborted) {
+            this.showRetrying(retryInfo);
+          }
+        },
+        signal
+      });
       
-      // Check if this is still the current search
-      if (this.currentSearchTerm !== searchTerm.trim()) {
-        return; // Search term changed, ignore this result
+      // A newer search (or clearing the input) took over
+      if (result.cancelled || signal.aborted) {
+        return;
       }
 
       this.hideLoading();
 
       if (result.error) {
-        this.showError(result.error);
+        this.showError(result.error, result);
         this.hideAlternatives();
-        this.dispatchSearchEvent(null, result.error);
+        this.dispatchSearchEvent(null, result.error, result);
       } else if (result.data) {
         this.hideStates();
         this.dispatchSearchEvent(result.data, null);
         // Load alternatives for this search
-        this.loadAlternatives(this.currentSearchTerm);
+        this.loadAlternatives(this.currentSearchTerm, null, signal);
       } else {
         this.showError('No anime found. Please try a different search term.');
         this.hideAlternatives();
         this.dispatchSearchEvent(null, 'No results found');
       }
     } catch (error) {
+      if (signal.aborted) return;
       console.error('Search error:', error);
       this.hideLoading();
       this.showError('An unexpected error occurred. Please try again.');
@@ -175,8 +332,53 @@ export class AnimeSearchComponent {
     }
   }
 
+  async loadAnimeById(animeId, searchTerm = '') {
+    this.currentSearchTerm = searchTerm.trim();
+    const signal = this.startSearch();
+    this.showLoading();
+
+    try {
+      const result = await this.client.getById(animeId, { signal });
+
+      // Ignore the result if the user started a new search meanwhile
+      if (result.cancelled || signal.aborted) {
+        return;
+      }
+
+      this.hideLoading();
+
+      if (result.error) {
+        this.showError(result.error, result);
+        this.hideAlternatives();
+        this.dispatchSearchEvent(null, result.error, result);
+        return;
+      }
+
+      this.hideStates();
+      if (!this.currentSearchTerm) {
+        // Deep link without a search term: show the title in the search box
+        const title = result.data.title.english || result.data.title.romaji;
+        this.searchInput.value = title;
+        this.updateClearButtonVisibility(title);
+      }
+      this.dispatchSearchEvent(result.data, null);
+
+      if (this.currentSearchTerm) {
+        this.loadAlternatives(this.currentSearchTerm, result.data.id, signal);
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('Anime lookup error:', error);
+      this.hideLoading();
+      this.showError('An unexpected error occurred. Please try again.');
+      this.dispatchSearchEvent(null, error.message);
+    }
+  }
+
   showLoading() {
     this.isLoading = true;
+    this.stopRetryCountdown();
+    this.setLoadingText('Searching anime...');
     this.hideError();
     if (this.searchStatus) {
       this.searchStatus.style.display = 'block';
@@ -187,8 +389,56 @@ export class AnimeSearchComponent {
     this.dispatchLoadingEvent(true);
   }
 
+  showRetrying(retryInfo) {
+    this.stopRetryCountdown();
+    const resumeAt = Date.now() + retryInfo.delayMs;
+
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((resumeAt - Date.now()) / 1000));
+      this.setLoadingText(this.formatRetryMessage(retryInfo, seconds));
+      if (seconds === 0) {
+        this.stopRetryCountdown();
+      }
+    };
+
+    updateCountdown();
+    this.retryCountdownTimer = setInterval(updateCountdown, 1000);
+
+    // Let parent components know the search is waiting on a retry
+    this.dispatchLoadingEvent(true, retryInfo);
+  }
+
+  formatRetryMessage(retryInfo, seconds) {
+    const countdown = seconds > 0 ? `retrying in ${seconds}s` : 'retrying now';
+    const attempt = retryInfo.attempt > 0 ? ` (attempt ${retryInfo.attempt} of ${retryInfo.maxRetries})` : '';
+
+    if (retryInfo.reason === 'server-error') {
+      return `AniList is having trouble, ${countdown}${attempt}...`;
+    }
+    if (retryInfo.reason === 'quota-exhausted') {
+      return `Request limit reached, ${countdown.replace('retrying', 'resuming')}...`;
+    }
+    return `Too many requests, ${countdown}${attempt}...`;
+  }
+
+  stopRetryCountdown() {
+    if (this.retryCountdownTimer) {
+      clearInterval(this.retryCountdownTimer);
+      this.retryCountdownTimer = null;
+    }
+  }
+
+  setLoadingText(text) {
+    const loadingText = this.searchStatus?.querySelector('.loading-text');
+    if (loadingText) {
+      loadingText.textContent = text;
+    }
+  }
+
   hideLoading() {
     this.isLoading = false;
+    this.stopRetryCountdown();
+    this.setLoadingText('Searching anime...');
     if (this.searchStatus) {
       this.searchStatus.style.display = 'none';
       this.searchStatus.classList.remove('animate-fade-in');
@@ -198,19 +448,66 @@ export class AnimeSearchComponent {
     this.dispatchLoadingEvent(false);
   }
 
-  showError(message) {
+  showError(message, { errorCode = null, retryAfterMs = null } = {}) {
     this.hideLoading();
+    this.stopErrorCountdown();
     if (this.searchError) {
-      const errorMessageElement = this.searchError.querySelector('.error-message');
-      if (errorMessageElement) {
-        errorMessageElement.textContent = message;
-      }
+      this.searchError.dataset.errorCode = errorCode || '';
+      this.setErrorText(message);
       this.searchError.style.display = 'block';
       this.searchError.classList.add('animate-fade-in');
     }
+
+    // Retrying only helps when the failure was transient
+    const canRetry = errorCode !== ERROR_CODES.VALIDATION && errorCode !== ERROR_CODES.NOT_FOUND;
+    if (this.retryButton) {
+      this.retryButton.style.display = canRetry ? '' : 'none';
+      this.retryButton.disabled = false;
+    }
+
+    if (errorCode === ERROR_CODES.RATE_LIMITED && retryAfterMs > 0) {
+      this.startErrorCountdown(message, retryAfterMs);
+    }
+  }
+
+  startErrorCountdown(message, retryAfterMs) {
+    const retryAt = Date.now() + retryAfterMs;
+
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      if (seconds > 0) {
+        this.setErrorText(`${message} You can try again in ${seconds}s.`);
+      } else {
+        this.setErrorText(message);
+        this.stopErrorCountdown();
+      }
+      if (this.retryButton) {
+        this.retryButton.disabled = seconds > 0;
+      }
+    };
+
+    updateCountdown();
+    if (this.retryButton?.disabled) {
+      this.errorCountdownTimer = setInterval(updateCountdown, 1000);
+    }
+  }
+
+  stopErrorCountdown() {
+    if (this.errorCountdownTimer) {
+      clearInterval(this.errorCountdownTimer);
+      this.errorCountdownTimer = null;
+    }
+  }
+
+  setErrorText(text) {
+    const errorMessageElement = this.searchError?.querySelector('.error-message');
+    if (errorMessageElement) {
+      errorMessageElement.textContent = text;
+    }
   }
 
   hideError() {
+    this.stopErrorCountdown();
     if (this.searchError) {
       this.searchError.style.display = 'none';
       this.searchError.classList.remove('animate-fade-in');
@@ -222,23 +519,81 @@ export class AnimeSearchComponent {
     this.hideError();
   }
 
-  async loadAlternatives(searchTerm) {
+  async loadAlternatives(searchTerm, shownAnimeId = null, signal = undefined) {
     try {
-      const result = await searchMultipleAnime(searchTerm, 8); // Get up to 8 alternatives
+      const result = await this.client.searchMany(searchTerm, SEARCH_PAGE_SIZE, { ...this.getFilterOptions(), signal });
+
+      // Alternatives of a search that has been replaced are no longer relevant
+      if (result.cancelled || signal?.aborted) {
+        return;
+      }
       
       if (result.data && result.data.length > 1) {
-        // Remove the first result (it's the one already shown) and store alternatives
-        this.currentAlternatives = result.data.slice(1);
+        // Remove the anime already shown (the best match unless one was picked by ID)
+        const shownId = shownAnimeId ?? result.data[0].id;
+        this.alternativesSearchTerm = searchTerm;
+        this.alternativesShownId = shownId;
+        this.alternativesPageInfo = result.pageInfo || null;
+        this.isLoadingMoreAlternatives = false;
+        this.currentAlternatives = []; // Fresh list, so only the shown anime is filtered out
+        this.currentAlternatives = this.removeKnownAlternatives(result.data);
         this.showAlternatives();
       } else {
         this.hideAlternatives();
       }
     } catch (error) {
+      if (signal?.aborted) return;
       console.error('Failed to load alternatives:', error);
       this.hideAlternatives();
     }
   }
 
+  async loadMoreAlternatives() {
+    const pageInfo = this.alternativesPageInfo;
+    if (this.isLoadingMoreAlternatives || !pageInfo?.hasNextPage) return;
+
+    // Further pages belong to the search currently shown
+    const signal = this.searchController?.signal;
+    this.isLoadingMoreAlternatives = true;
+    this.updateLoadMoreItem();
+
+    try {
+      const result = await this.client.searchMany(this.alternativesSearchTerm, SEARCH_PAGE_SIZE, {
+        ...this.getFilterOptions(),
+        page: pageInfo.currentPage + 1,
+        signal
+      });
+
+      if (result.cancelled || signal?.aborted) {
+        return;
+      }
+
+      // On errors the page info stays, so "Show more results" can be tried again
+      if (result.data) {
+        const newAlternatives = this.removeKnownAlternatives(result.data);
+        this.currentAlternatives.push(...newAlternatives);
+        this.appendAlternativeItems(newAlternatives);
+        this.alternativesPageInfo = result.pageInfo || { ...pageInfo, hasNextPage: false };
+      }
+    } catch (error) {
+      if (signal?.aborted) return;
+      console.error('Failed to load more alternatives:', error);
+    }
+
+    this.isLoadingMoreAlternatives = false;
+    this.updateLoadMoreItem();
+  }
+
+  // Drops the shown anime, anime already in the list and repeats within the page
+  removeKnownAlternatives(animeList) {
+    const knownIds = new Set([this.alternativesShownId, ...this.currentAlternatives.map(anime => anime.id)]);
+    return animeList.filter(anime => {
+      if (knownIds.has(anime.id)) return false;
+      knownIds.add(anime.id);
+      return true;
+    });
+  }
+
   showAlternatives() {
     if (this.currentAlternatives.length > 0) {
       // Show the hint button in the search bar
@@ -264,6 +619,8 @@ export class AnimeSearchComponent {
     }
     this.hideAlternativesDropdown();
     this.currentAlternatives = [];
+    this.alternativesPageInfo = null;
+    this.isLoadingMoreAlternatives = false;
   }
 
   showAlternativesDropdown() {
@@ -286,13 +643,53 @@ export class AnimeSearchComponent {
     if (!this.alternativesList) return;
 
     this.alternativesList.innerHTML = '';
+    this.loadMoreItem = null;
+
+    this.appendAlternativeItems(this.currentAlternatives);
+    this.updateLoadMoreItem();
+  }
 
-    this.currentAlternatives.forEach(anime => {
+  appendAlternativeItems(animeList) {
+    if (!this.alternativesList) return;
+
+    // New items go above the "Show more results" item, which stays last
+    const loadMoreItem = this.loadMoreItem?.parentNode === this.alternativesList ? this.loadMoreItem : null;
+    animeList.forEach(anime => {
       const item = this.createAlternativeItem(anime);
-      this.alternativesList.appendChild(item);
+      this.alternativesList.insertBefore(item, loadMoreItem);
     });
   }
 
+  updateLoadMoreItem() {
+    if (!this.alternativesList) return;
+
+    if (!this.alternativesPageInfo?.hasNextPage) {
+      this.loadMoreItem?.remove();
+      this.loadMoreItem = null;
+      return;
+    }
+
+    if (!this.loadMoreItem) {
+      this.loadMoreItem = document.createElement('div');
+      this.loadMoreItem.className = 'alternatives-load-more';
+      this.loadMoreItem.setAttribute('role', 'button');
+      this.loadMoreItem.setAttribute('tabindex', '0');
+      this.loadMoreItem.addEventListener('click', () => this.loadMoreAlternatives());
+      this.loadMoreItem.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this.loadMoreAlternatives();
+        }
+      });
+    }
+    if (this.loadMoreItem.parentNode !== this.alternativesList) {
+      this.alternativesList.appendChild(this.loadMoreItem);
+    }
+
+    this.loadMoreItem.setAttribute('aria-busy', String(this.isLoadingMoreAlternatives));
+    this.loadMoreItem.textContent = this.isLoadingMoreAlternatives ? 'Loading more results...' : 'Show more results';
+  }
+
   createAlternativeItem(anime) {
     const item = document.createElement('div');
     item.className = 'alternative-item';
@@ -338,6 +735,18 @@ export class AnimeSearchComponent {
       </div>
     `;
 
+    // Format, season, studio and score tell remakes and sequels with similar titles apart
+    const metaParts = getAnimeMetaParts(anime);
+    if (metaParts.length > 0) {
+      const meta = document.createElement('div');
+      meta.className = 'alternative-meta';
+      meta.textContent = metaParts.join(' · ');
+      item.querySelector('.alternative-title')?.after(meta);
+    }
+    if (anime.synonyms?.length > 0) {
+      item.title = `Also known as: ${anime.synonyms.join(', ')}`;
+    }
+
     // Add click handler
     item.addEventListener('click', () => {
       this.handleAlternativeSelect(anime);
@@ -354,12 +763,14 @@ export class AnimeSearchComponent {
     return item;
   }
 
-  dispatchSearchEvent(animeData, error) {
+  dispatchSearchEvent(animeData, error, failure = null) {
     // Dispatch custom event for parent components to listen to
     const event = new CustomEvent('animeSearchResult', {
       detail: {
         data: animeData,
         error: error,
+        errorCode: failure?.errorCode ?? null,
+        retryAfterMs: failure?.retryAfterMs ?? null,
         searchTerm: this.currentSearchTerm
       },
       bubbles: true
@@ -368,12 +779,13 @@ export class AnimeSearchComponent {
     this.searchInput.dispatchEvent(event);
   }
 
-  dispatchLoadingEvent(loading) {
+  dispatchLoadingEvent(loading, retry = null) {
     // Dispatch loading event for parent components
     const event = new CustomEvent('animeSearchLoading', {
       detail: {
         loading: loading,
-        searchTerm: this.currentSearchTerm
+        searchTerm: this.currentSearchTerm,
+        retry: retry
       },
       bubbles: true
     });
@@ -392,6 +804,22 @@ export class AnimeSearchComponent {
     return this.searchInput.value;
   }
 
+  getFilters() {
+    return this.filters;
+  }
+
+  // Applies new filters and re-runs the current search with them
+  setFilters(filters) {
+    this.filters = normalizeSearchFilters(filters);
+    this.updateFiltersForm();
+
+    if (this.currentSearchTerm) {
+      this.performSearch(this.currentSearchTerm, true);
+    } else {
+      this.updateURL('');
+    }
+  }
+
   focus() {
     this.searchInput.focus();
   }
@@ -6,12 +6,44 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 // Mock the anime-api module
-vi.mock('../scripts/anime-api.js', () => ({
-  searchAnime: vi.fn(),
-  cancelPendingSearch: vi.fn()
-}));
+vi.mock('../scripts/anime-api.js', () => {
+  const api = {
+    searchAnime: vi.fn(),
+    searchMultipleAnime: vi.fn(),
+    getAnimeById: vi.fn(),
+    cancelPendingSearch: vi.fn(),
+    SEARCH_PAGE_SIZE: 8
+  };
+  // Components get a client backed by the mocked module functions
+  api.createSearchClient = vi.fn(() => ({
+    search: (...args) => api.searchAnime(...args),
+    searchMany: (...args) => api.searchMultipleAnime(...args),
+    getById: (...args) => api.getAnimeById(...args),
+    cancel: () => api.cancelPendingSearch()
+  }));
+  return api;
+});
 
-import { searchAnime, cancelPendingSearch } from '../scripts/anime-api.js';
+import { searchAnime, searchMultipleAnime, getAnimeById, cancelPendingSearch } from '../scripts/anime-api.js';
+import { AnimeSearchComponent } from './AnimeSearch.class.js';
+
+// Minimal markup the component binds to
+const SEARCH_MARKUP = `
+  <input id="anime-search-input" />
+  <button class="clear-button"></button>
+  <div id="search-status"><span class="loading-text">Searching anime...</span></div>
+  <div id="search-error"><span class="error-message"></span><button class="retry-button"></button></div>
+  <div id="alternative-results">
+    <button id="alternatives-hint-btn"></button>
+    <div id="alternatives-dropdown"><div id="alternatives-list"></div></div>
+  </div>
+`;
+
+const fmaBrotherhood = { id: 5114, title: { romaji: 'Hagane no Renkinjutsushi', english: 'Fullmetal Alchemist: Brotherhood' }, coverImage: { large: '', medium: '' }, episodes: 64, duration: 24 };
+const fma2003 = { id: 121, title: { romaji: 'Hagane no Renkinjutsushi', english: 'Fullmetal Alchemist' }, coverImage: { large: '', medium: '' }, episodes: 51, duration: 24 };
+
+// Lets pending promise callbacks run
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
 
 describe('AnimeSearch Component - Core Logic Tests', () => {
   beforeEach(() => {
@@ -141,4 +173,442 @@ describe('AnimeSearch Component - Core Logic Tests', () => {
       expect(currentSearchTerm).toBe('');
     });
   });
-});
\ No newline at end of file
+
+  describe('Deep links by ID', () => {
+    let results;
+
+    beforeEach(() => {
+      document.body.innerHTML = SEARCH_MARKUP;
+      window.location.search = '';
+      results = [];
+      document.addEventListener('animeSearchResult', record);
+    });
+
+    afterEach(() => {
+      document.removeEventListener('animeSearchResult', record);
+    });
+
+    function record(event) {
+      results.push(event.detail);
+    }
+
+    it('should restore the exact series from ?id= on load', async () => {
+      window.location.search = '?search=fma&id=121';
+      getAnimeById.mockResolvedValue({ data: fma2003, error: null });
+      searchMultipleAnime.mockResolvedValue({ data: [fmaBrotherhood, fma2003], error: null });
+
+      const component = new AnimeSearchComponent();
+      await flushPromises();
+
+      expect(getAnimeById).toHaveBeenCalledWith('121', { signal: expect.any(AbortSignal) });
+      expect(searchAnime).not.toHaveBeenCalled();
+      expect(results[0].data).toEqual(fma2003);
+      expect(component.getSearchTerm()).toBe('fma');
+      // The best match becomes an alternative; the shown series is excluded
+      expect(component.getAlternatives()).toEqual([fmaBrotherhood]);
+    });
+
+    it('should fill the search box with the title when only ?id= is present', async () => {
+      window.location.search = '?id=5114';
+      getAnimeById.mockResolvedValue({ data: fmaBrotherhood, error: null });
+
+      const component = new AnimeSearchComponent();
+      await flushPromises();
+
+      expect(component.getSearchTerm()).toBe('Fullmetal Alchemist: Brotherhood');
+      expect(searchMultipleAnime).not.toHaveBeenCalled();
+    });
+
+    it('should report lookup errors', async () => {
+      window.location.search = '?id=999999';
+      getAnimeById.mockResolvedValue({ data: null, error: 'No anime found with ID 999999.' });
+
+      new AnimeSearchComponent();
+      await flushPromises();
+
+      expect(results[0].error).toBe('No anime found with ID 999999.');
+      expect(document.querySelector('.error-message').textContent).toBe('No anime found with ID 999999.');
+    });
+
+    it('should write ?id= when an alternative is selected', () => {
+      const component = new AnimeSearchComponent();
+      component.currentSearchTerm = 'fma';
+
+      component.handleAlternativeSelect(fma2003);
+
+      const url = window.history.replaceState.mock.calls.at(-1)[2];
+      expect(url.searchParams.get('id')).toBe('121');
+      expect(url.searchParams.get('search')).toBe('fma');
+      expect(results[0].data).toEqual(fma2003);
+    });
+
+    it('should drop ?id= when a new search is typed', async () => {
+      searchAnime.mockResolvedValue({ data: null, error: 'No anime found' });
+      const component = new AnimeSearchComponent();
+
+      await component.performSearch('bleach');
+
+      const url = window.history.replaceState.mock.calls.at(-1)[2];
+      expect(url.searchParams.get('search')).toBe('bleach');
+      expect(url.searchParams.has('id')).toBe(false);
+    });
+  });
+
+  describe('Search cancellation', () => {
+    let results;
+
+    beforeEach(() => {
+      document.body.innerHTML = SEARCH_MARKUP;
+      window.location.search = '';
+      results = [];
+      document.addEventListener('animeSearchResult', record);
+    });
+
+    afterEach(() => {
+      document.removeEventListener('animeSearchResult', record);
+    });
+
+    function record(event) {
+      results.push(event.detail);
+    }
+
+    it('should abort the previous search when a new one starts', async () => {
+      const signals = [];
+      searchAnime.mockImplementation((term, options) => {
+        signals.push(options.signal);
+        return new Promise(resolve => {
+          options.signal.addEventListener('abort', () => resolve({ data: null, error: null, cancelled: true }));
+          if (term === 'fullmetal') resolve({ data: fmaBrotherhood, error: null });
+        });
+      });
+      searchMultipleAnime.mockResolvedValue({ data: [fmaBrotherhood], error: null });
+      const component = new AnimeSearchComponent();
+
+      const first = component.performSearch('fma');
+      const second = component.performSearch('fullmetal');
+      await Promise.all([first, second]);
+
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[1].aborted).toBe(false);
+      expect(results).toHaveLength(1);
+      expect(results[0].data).toEqual(fmaBrotherhood);
+      expect(searchMultipleAnime).toHaveBeenCalledWith('fullmetal', 8, { signal: signals[1] });
+    });
+
+    it('should not show an error for a cancelled search', async () => {
+      searchAnime.mockResolvedValue({ data: null, error: null, cancelled: true });
+      const component = new AnimeSearchComponent();
+
+      await component.performSearch('naruto');
+
+      expect(results).toHaveLength(0);
+      expect(document.getElementById('search-error').style.display).not.toBe('block');
+    });
+
+    it('should abort the running search when cleared', () => {
+      searchAnime.mockReturnValue(new Promise(() => {}));
+      const component = new AnimeSearchComponent();
+
+      component.performSearch('naruto');
+      const signal = searchAnime.mock.calls[0][1].signal;
+      component.clear();
+
+      expect(signal.aborted).toBe(true);
+      expect(cancelPendingSearch).toHaveBeenCalled();
+    });
+  });
+
+  describe('Injected search client', () => {
+    // Builds a client whose searches never settle on their own
+    function createPendingClient() {
+      return {
+        search: vi.fn(() => new Promise(() => {})),
+        searchMany: vi.fn(),
+        getById: vi.fn(),
+        cancel: vi.fn()
+      };
+    }
+
+    beforeEach(() => {
+      document.body.innerHTML = SEARCH_MARKUP;
+      window.location.search = '';
+    });
+
+    it('should search through the client passed to the constructor', () => {
+      const client = createPendingClient();
+      const component = new AnimeSearchComponent({ client });
+
+      component.performSearch('naruto');
+
+      expect(client.search).toHaveBeenCalledWith('naruto', expect.objectContaining({ signal: expect.any(AbortSignal) }));
+      expect(searchAnime).not.toHaveBeenCalled();
+    });
+
+    it('should not cancel the search of another instance', () => {
+      const firstClient = createPendingClient();
+      const secondClient = createPendingClient();
+      const first = new AnimeSearchComponent({ client: firstClient });
+      const second = new AnimeSearchComponent({ client: secondClient });
+
+      first.performSearch('naruto');
+      second.performSearch('bleach');
+
+      expect(firstClient.search.mock.calls[0][1].signal.aborted).toBe(false);
+      expect(firstClient.cancel).toHaveBeenCalledTimes(1); // Only when its own search started
+      expect(secondClient.search).toHaveBeenCalledWith('bleach', expect.any(Object));
+    });
+
+    it('should bind each instance to the markup inside its own root', () => {
+      const prefixed = SEARCH_MARKUP.replace(/id="/g, 'id="second-');
+      document.body.innerHTML = `<div id="first-root">${SEARCH_MARKUP}</div><div id="second-root">${prefixed}</div>`;
+      const firstRoot = document.getElementById('first-root');
+      const secondRoot = document.getElementById('second-root');
+
+      const first = new AnimeSearchComponent({ client: createPendingClient(), root: firstRoot });
+      const second = new AnimeSearchComponent({ client: createPendingClient(), root: secondRoot, idPrefix: 'second-' });
+
+      expect(first.searchInput.closest('#first-root')).toBe(firstRoot);
+      expect(first.clearButton.closest('#first-root')).toBe(firstRoot);
+      expect(second.searchInput.id).toBe('second-anime-search-input');
+      expect(second.alternativesList.id).toBe('second-alternatives-list');
+      expect(second.clearButton.closest('#second-root')).toBe(secondRoot);
+
+      second.searchInput.value = 'bleach';
+      second.searchInput.dispatchEvent(new Event('input'));
+
+      expect(first.searchInput.value).toBe('');
+      expect(first.clearButton.style.display).not.toBe(second.clearButton.style.display);
+    });
+
+    it('should leave the URL to the main search box', async () => {
+      window.location.search = '?search=naruto';
+      const prefixed = SEARCH_MARKUP.replace(/id="/g, 'id="compare-');
+      document.body.innerHTML = `<div id="main-root">${SEARCH_MARKUP}</div><div id="compare-root">${prefixed}</div>`;
+      const mainClient = createPendingClient();
+      const compareClient = createPendingClient();
+
+      const main = new AnimeSearchComponent({ client: mainClient, root: document.getElementById('main-root') });
+      const compare = new AnimeSearchComponent({
+        client: compareClient,
+        root: document.getElementById('compare-root'),
+        idPrefix: 'compare-',
+        syncUrl: false
+      });
+
+      // Only the main box restores its search from the URL
+      expect(main.searchInput.value).toBe('naruto');
+      expect(compare.searchInput.value).toBe('');
+      expect(compareClient.search).not.toHaveBeenCalled();
+
+      window.history.replaceState.mockClear();
+      compare.performSearch('bleach', true);
+      compare.handleAlternativeSelect(fma2003);
+      await flushPromises();
+      expect(window.history.replaceState).not.toHaveBeenCalled();
+
+      main.performSearch('one piece', true);
+      await flushPromises();
+      expect(window.history.replaceState.mock.calls.at(-1)[2].searchParams.get('search')).toBe('one piece');
+      expect(compare.searchInput.value).toBe('');
+
+      window.location.search = '';
+    });
+  });
+
+  describe('Error codes', () => {
+    let results;
+
+    beforeEach(() => {
+      document.body.innerHTML = SEARCH_MARKUP;
+      window.location.search = '';
+      results = [];
+      document.addEventListener('animeSearchResult', record);
+    });
+
+    afterEach(() => {
+      document.removeEventListener('animeSearchResult', record);
+      vi.useRealTimers();
+    });
+
+    function record(event) {
+      results.push(event.detail);
+    }
+
+    it('should count down until a rate-limited search can be retried', async () => {
+      vi.useFakeTimers();
+      searchAnime.mockResolvedValue({
+        data: null,
+        error: 'Too many requests.',
+        errorCode: 'RATE_LIMITED',
+        retryAfterMs: 3000
+      });
+      const component = new AnimeSearchComponent();
+      const message = document.querySelector('.error-message');
+      const retryButton = document.querySelector('.retry-button');
+
+      await component.performSearch('naruto');
+
+      expect(message.textContent).toBe('Too many requests. You can try again in 3s.');
+      expect(retryButton.disabled).toBe(true);
+      expect(results[0]).toMatchObject({ errorCode: 'RATE_LIMITED', retryAfterMs: 3000 });
+
+      vi.advanceTimersByTime(3000);
+
+      expect(message.textContent).toBe('Too many requests.');
+      expect(retryButton.disabled).toBe(false);
+    });
+
+    it('should hide the retry button when retrying cannot help', async () => {
+      searchAnime.mockResolvedValue({ data: null, error: 'No anime found for "zzzz".', errorCode: 'NOT_FOUND' });
+      const component = new AnimeSearchComponent();
+
+      await component.performSearch('zzzz');
+
+      expect(document.querySelector('.retry-button').style.display).toBe('none');
+      expect(document.getElementById('search-error').dataset.errorCode).toBe('NOT_FOUND');
+    });
+
+    it('should offer a retry for transient failures', async () => {
+      searchAnime.mockResolvedValue({ data: null, error: 'Unavailable.', errorCode: 'UPSTREAM_DOWN' });
+      const component = new AnimeSearchComponent();
+
+      await component.performSearch('naruto');
+
+      expect(document.querySelector('.retry-button').style.display).toBe('');
+    });
+  });
+
+  describe('Search filters', () => {
+    const FILTER_MARKUP = `
+      <button id="search-filters-toggle" aria-expanded="false"></button>
+      <span id="search-filters-count" hidden></span>
+      <form id="search-filters-panel" hidden>
+        <input type="checkbox" name="format_in" value="TV" />
+        <input type="checkbox" name="format_in" value="MOVIE" />
+        <select name="season"><option value=""></option><option value="FALL">Fall</option></select>
+        <input type="number" name="seasonYear" />
+        <input type="checkbox" name="genre_in" value="Action" />
+        <select name="status"><option value=""></option><option value="FINISHED">Finished</option></select>
+      </form>
+    `;
+
+    beforeEach(() => {
+      document.body.innerHTML = SEARCH_MARKUP + FILTER_MARKUP;
+      window.location.search = '';
+      searchAnime.mockResolvedValue({ data: fmaBrotherhood, error: null });
+      searchMultipleAnime.mockResolvedValue({ data: [fmaBrotherhood], error: null });
+    });
+
+    it('should restore filters from the URL and search with them', async () => {
+      window.location.search = '?search=fate&format=MOVIE&year=2019';
+
+      new AnimeSearchComponent();
+      await flushPromises();
+
+      const filters = { format_in: ['MOVIE'], seasonYear: 2019, isAdult: false };
+      expect(searchAnime).toHaveBeenCalledWith('fate', expect.objectContaining({ filters }));
+      expect(searchMultipleAnime).toHaveBeenCalledWith('fate', 8, expect.objectContaining({ filters }));
+      expect(document.querySelector('input[value="MOVIE"]').checked).toBe(true);
+      expect(document.querySelector('input[name="seasonYear"]').value).toBe('2019');
+      expect(document.getElementById('search-filters-count').textContent).toBe('2');
+    });
+
+    it('should re-run the search and update the URL when a filter changes', async () => {
+      const component = new AnimeSearchComponent();
+      await component.performSearch('fate');
+
+      document.querySelector('input[value="TV"]').checked = true;
+      document.querySelector('select[name="status"]').value = 'FINISHED';
+      document.getElementById('search-filters-panel').dispatchEvent(new Event('change', { bubbles: true }));
+      await flushPromises();
+
+      expect(searchAnime).toHaveBeenLastCalledWith('fate', expect.objectContaining({
+        filters: { format_in: ['TV'], status: 'FINISHED', isAdult: false }
+      }));
+      const url = window.history.replaceState.mock.calls.at(-1)[2];
+      expect(url.searchParams.get('format')).toBe('TV');
+      expect(url.searchParams.get('status')).toBe('FINISHED');
+      expect(url.searchParams.get('search')).toBe('fate');
+    });
+
+    it('should clear every filter on reset', () => {
+      window.location.search = '?format=TV&genre=Action';
+      const component = new AnimeSearchComponent();
+
+      document.getElementById('search-filters-panel').dispatchEvent(new Event('reset', { cancelable: true }));
+
+      expect(component.getFilters()).toEqual({ isAdult: false });
+      expect(document.querySelector('input[value="Action"]').checked).toBe(false);
+      expect(document.getElementById('search-filters-count').hidden).toBe(true);
+      const url = window.history.replaceState.mock.calls.at(-1)[2];
+      expect(url.searchParams.has('format')).toBe(false);
+    });
+
+    it('should toggle the filter panel', () => {
+      new AnimeSearchComponent();
+      const toggle = document.getElementById('search-filters-toggle');
+
+      toggle.click();
+
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+      expect(document.getElementById('search-filters-panel').hidden).toBe(false);
+    });
+  });
+
+  describe('Loading more alternatives', () => {
+    const show = (id) => ({ id, title: { romaji: `Show ${id}`, english: null }, coverImage: { large: '', medium: '' }, episodes: 12, duration: 24 });
+
+    beforeEach(() => {
+      document.body.innerHTML = SEARCH_MARKUP;
+      window.location.search = '';
+      searchAnime.mockResolvedValue({ data: show(1), error: null });
+    });
+
+    it('should append the next page without duplicates', async () => {
+      searchMultipleAnime
+        .mockResolvedValueOnce({ data: [show(1), show(2), show(3)], error: null, pageInfo: { currentPage: 1, hasNextPage: true, total: 5 } })
+        .mockResolvedValueOnce({ data: [show(3), show(1), show(4), show(5)], error: null, pageInfo: { currentPage: 2, hasNextPage: false, total: 5 } });
+      const component = new AnimeSearchComponent();
+      await component.performSearch('show');
+      await flushPromises();
+
+      expect(document.querySelector('.alternatives-load-more').textContent).toBe('Show more results');
+
+      await component.loadMoreAlternatives();
+
+      expect(searchMultipleAnime).toHaveBeenLastCalledWith('show', 8, expect.objectContaining({ page: 2 }));
+      expect(component.getAlternatives().map(anime => anime.id)).toEqual([2, 3, 4, 5]);
+      expect(document.querySelectorAll('.alternative-item')).toHaveLength(4);
+      expect(document.querySelector('.alternatives-load-more')).toBeNull();
+    });
+
+    it('should load the next page from the "Show more results" item once', async () => {
+      searchMultipleAnime.mockResolvedValueOnce({ data: [show(1), show(2)], error: null, pageInfo: { currentPage: 1, hasNextPage: true, total: 3 } });
+      const component = new AnimeSearchComponent();
+      await component.performSearch('show');
+      await flushPromises();
+      searchMultipleAnime.mockReturnValue(new Promise(() => {}));
+
+      const loadMore = document.querySelector('.alternatives-load-more');
+      loadMore.click();
+      loadMore.click();
+
+      expect(searchMultipleAnime).toHaveBeenCalledTimes(2);
+      expect(loadMore.textContent).toBe('Loading more results...');
+      expect(component.getAlternatives().map(anime => anime.id)).toEqual([2]);
+    });
+
+    it('should keep the item for another try when a page fails', async () => {
+      searchMultipleAnime
+        .mockResolvedValueOnce({ data: [show(1), show(2)], error: null, pageInfo: { currentPage: 1, hasNextPage: true, total: 3 } })
+        .mockResolvedValueOnce({ data: null, error: 'Network connection error.', errorCode: 'NETWORK' });
+      const component = new AnimeSearchComponent();
+      await component.performSearch('show');
+      await flushPromises();
+
+      await component.loadMoreAlternatives();
+
+      expect(document.querySelector('.alternatives-load-more').textContent).toBe('Show more results');
+    });
+  });
+});
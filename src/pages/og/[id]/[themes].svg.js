@@ -0,0 +1,27 @@
+/**
+ * Share Card Image - /og/[id]/[themes].svg
+ * SVG share card per prerendered anime and opening/ending option set, for sites that take vector images
+ */
+
+import { THEME_OPTION_SETS } from '../../../scripts/share-card.js';
+import { renderShareCard } from '../../../scripts/share-card-image.js';
+import { getPrerenderedAnime } from '../../../scripts/static-anime.js';
+
+export async function getStaticPaths() {
+  const animeList = await getPrerenderedAnime(import.meta.env.ANIME_BUILD_PROVIDER || 'fixture');
+  return animeList.flatMap(anime => Object.keys(THEME_OPTION_SETS).map(themes => ({
+    params: { id: String(anime.id), themes },
+    props: { anime }
+  })));
+}
+
+/** @type {import('astro').APIRoute} */
+export async function GET({ params, props }) {
+  const image = await renderShareCard(props.anime, params.themes, 'svg');
+  return new Response(new Uint8Array(image), {
+    headers: {
+      'Content-Type': 'image/svg+xml',
+      'Cache-Control': 'public, max-age=86400'
+    }
+  });
+}
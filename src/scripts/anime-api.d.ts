@@ -11,30 +11,249 @@ export interface AnimeTitle {
 export interface CoverImage {
   large: string;
   medium: string;
+  /** Dominant cover color as a hex string */
+  color: string | null;
+}
+
+export interface FuzzyDate {
+  year: number;
+  month: number | null;
+  day: number | null;
 }
 
 export interface AnimeData {
   id: number;
   title: AnimeTitle;
+  synonyms: string[];
   coverImage: CoverImage;
+  format: AnimeFormat | null;
   episodes: number | null;
   duration: number | null;
   status: string;
+  season: AnimeSeason | null;
+  seasonYear: number | null;
+  startDate: FuzzyDate | null;
+  endDate: FuzzyDate | null;
+  genres: string[];
+  /** Names of the main animation studios */
+  studios: string[];
+  /** Out of 100 */
+  averageScore: number | null;
+  siteUrl: string | null;
   description: string | null;
+  nextAiringEpisode: AiringEpisode | null;
+  airingSchedule: AiringEpisode[];
+}
+
+export interface AiringEpisode {
+  episode: number;
+  /** Unix timestamp in seconds */
+  airingAt: number;
 }
 
+export type ErrorCode = 'RATE_LIMITED' | 'UPSTREAM_DOWN' | 'NETWORK' | 'NOT_FOUND' | 'GRAPHQL' | 'VALIDATION' | 'UNKNOWN';
+
 export interface ApiResponse {
   data: AnimeData | null;
   error: string | null;
+  cancelled?: boolean;
+  errorCode?: ErrorCode;
+  retryAfterMs?: number;
+}
+
+export interface RetryInfo {
+  reason: 'rate-limited' | 'server-error' | 'quota-exhausted';
+  attempt: number;
+  maxRetries: number;
+  delayMs: number;
+}
+
+export type RequestPriority = 'user' | 'background';
+
+export interface RequestOptions {
+  onRetry?: (info: RetryInfo) => void;
+  signal?: AbortSignal;
+  /** Background requests yield to user requests when the budget runs low (default: user) */
+  priority?: RequestPriority;
+}
+
+export type AnimeFormat = 'TV' | 'TV_SHORT' | 'MOVIE' | 'SPECIAL' | 'OVA' | 'ONA' | 'MUSIC';
+
+export type AnimeSeason = 'WINTER' | 'SPRING' | 'SUMMER' | 'FALL';
+
+export type AnimeStatus = 'FINISHED' | 'RELEASING' | 'NOT_YET_RELEASED' | 'CANCELLED' | 'HIATUS';
+
+/** Filter arguments named after AniList's Media arguments */
+export interface SearchFilters {
+  format_in?: AnimeFormat[];
+  season?: AnimeSeason;
+  seasonYear?: number;
+  genre_in?: string[];
+  status?: AnimeStatus;
+  /** Earliest start year, inclusive */
+  yearFrom?: number;
+  /** Latest start year, inclusive */
+  yearTo?: number;
+  /** Defaults to false */
+  isAdult?: boolean;
+}
+
+export interface RandomPickConstraints {
+  /** Total watch time budget in minutes */
+  maxMinutes?: number | null;
+  filters?: SearchFilters;
+}
+
+export interface RandomPickOptions {
+  /** Theme options for the watch time budget (default: both included) */
+  themeOptions?: { includeOpening: boolean; includeEnding: boolean };
+  /** Pages requested before giving up */
+  maxAttempts?: number;
+  /** Random number source in [0, 1), e.g. to request chosen pages */
+  random?: () => number;
+}
+
+export interface SearchOptions extends RequestOptions {
+  filters?: SearchFilters;
+  /** 1-based result page for multiple-result searches */
+  page?: number;
+}
+
+export interface PageInfo {
+  currentPage: number;
+  hasNextPage: boolean;
+  /** Null when the provider does not report a total */
+  total: number | null;
+}
+
+export interface MultipleApiResponse {
+  data: AnimeData[] | null;
+  error: string | null;
+  pageInfo?: PageInfo;
+  cancelled?: boolean;
+  errorCode?: ErrorCode;
+  retryAfterMs?: number;
+}
+
+export interface CacheStats {
+  backend: 'indexeddb' | 'localstorage' | 'memory';
+  ttl: number;
+  hits: number;
+  misses: number;
+  writes: number;
+  entries: number;
+}
+
+/** Problem found in a provider response */
+export interface ValidationIssue {
+  /** Field path in the response, e.g. data.Page.media[3].duration */
+  path: string;
+  message: string;
+  /** Value as received */
+  value: unknown;
+  /** repaired: value fixed; dropped: value cleared; rejected: record discarded */
+  action: 'repaired' | 'dropped' | 'rejected';
+  provider?: ProviderName;
+}
+
+/** Request budget shared by all open tabs */
+export interface RateLimitBudget {
+  remaining: number;
+  capacity: number;
+  /** Time until the budget is full again */
+  resetInMs: number;
+  /** Few requests left: the UI should warn */
+  isLow: boolean;
+}
+
+export type FranchiseRelationType = 'SEQUEL' | 'PREQUEL' | 'SIDE_STORY' | 'SPIN_OFF';
+
+export interface FranchiseEdge {
+  from: number;
+  to: number;
+  relationType: FranchiseRelationType;
+}
+
+export interface FranchiseGraph {
+  rootId: number;
+  entries: { anime: AnimeData; depth: number }[];
+  edges: FranchiseEdge[];
+  truncated: boolean;
+}
+
+export interface FranchiseOptions extends RequestOptions {
+  relationTypes?: FranchiseRelationType[];
+  maxDepth?: number;
+  maxEntries?: number;
+  onProgress?: (progress: { loaded: number; queued: number }) => void;
+}
+
+export type ProviderName = 'anilist' | 'kitsu' | 'jikan' | 'fixture';
+
+export interface CacheOptions {
+  ttl?: number;
+}
+
+export interface SearchClientOptions {
+  debounceMs?: number;
+  minChars?: number;
+}
+
+export interface SearchClient {
+  search(searchTerm: string, options?: SearchOptions): Promise<ApiResponse>;
+  searchMany(searchTerm: string, limit?: number, options?: SearchOptions): Promise<MultipleApiResponse>;
+  getById(animeId: number | string, options?: RequestOptions): Promise<ApiResponse>;
+  cancel(): void;
 }
 
+/**
+ * Creates a search client with its own debounce timer and rate-limit state
+ */
+export function createSearchClient(options?: SearchClientOptions): SearchClient;
+
 /**
  * Searches for anime by title with debouncing and error handling
  */
-export function searchAnime(searchTerm: string): Promise<ApiResponse>;
+export function searchAnime(searchTerm: string, options?: SearchOptions): Promise<ApiResponse>;
+
+/**
+ * Searches for multiple anime by title
+ */
+export function searchMultipleAnime(searchTerm: string, limit?: number, options?: SearchOptions): Promise<MultipleApiResponse>;
 
 /**
- * Cancels any pending search requests
+ * Fetches a single anime by its provider ID
+ */
+export function getAnimeById(animeId: number | string, options?: RequestOptions): Promise<ApiResponse>;
+
+/**
+ * Results per page of a best-match search and of the search component's alternatives list
+ */
+export const SEARCH_PAGE_SIZE: number;
+
+/**
+ * Relation types followed when building a franchise
+ */
+export const FRANCHISE_RELATION_TYPES: FranchiseRelationType[];
+
+/**
+ * Walks relations into a deduplicated franchise graph
+ */
+export function getAnimeFranchise(animeId: number | string, options?: FranchiseOptions): Promise<{ data: FranchiseGraph | null; error: string | null; cancelled?: boolean; errorCode?: ErrorCode; retryAfterMs?: number }>;
+
+/**
+ * Selects the franchise entries reachable through the given relation types
+ */
+export function selectFranchiseEntries(franchise: FranchiseGraph, relationTypes?: FranchiseRelationType[]): AnimeData[];
+
+/**
+ * Fetches a random popular anime from the top 1000 that passes the filters and fits the time budget
+ * When nothing qualifies, the error explains why
+ */
+export function getRandomPopularAnime(constraints?: RandomPickConstraints, options?: RandomPickOptions): Promise<ApiResponse>;
+
+/**
+ * Cancels the pending debounced search; its promise resolves as cancelled
  */
 export function cancelPendingSearch(): void;
 
@@ -46,4 +265,81 @@ export function getDefaultEpisodeDuration(): number;
 /**
  * Validates if an anime has sufficient data for time calculation
  */
-export function canCalculateTime(anime: AnimeData): boolean;
\ No newline at end of file
+export function canCalculateTime(anime: AnimeData): boolean;
+
+/**
+ * Configures the response cache
+ */
+export function configureCache(options?: CacheOptions): void;
+
+/**
+ * Removes every cached API response
+ */
+export function clearCache(): Promise<void>;
+
+/**
+ * Gets response cache statistics
+ */
+export function getCacheStats(): Promise<CacheStats>;
+
+/**
+ * Gets the request budget left across all open tabs
+ */
+export function getRateLimitBudget(): RateLimitBudget;
+
+/**
+ * Calls the listener whenever a request from this or another tab spends the budget
+ * Returns a function that unsubscribes the listener
+ */
+export function onRateLimitBudgetChange(listener: (budget: RateLimitBudget) => void): () => void;
+
+/**
+ * Calls the listener for every problem found in a provider response
+ * Returns a function that unsubscribes the listener
+ */
+export function onValidationIssue(listener: (issue: ValidationIssue) => void): () => void;
+
+/**
+ * Gets the most recent validation issues (up to 100), oldest first
+ */
+export function getValidationIssues(): ValidationIssue[];
+
+/**
+ * Forgets the recorded validation issues
+ */
+export function clearValidationIssues(): void;
+
+/**
+ * Selects the data provider used by every search function
+ */
+export function setActiveProvider(name: ProviderName, deps?: { fixtures?: unknown[] }): void;
+
+/**
+ * Gets the name of the active data provider
+ */
+export function getActiveProviderName(): ProviderName;
+
+/** Sends one API request; fetch-compatible */
+export type Transport = (url: string, init: {
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+}) => Promise<{
+  ok: boolean;
+  status: number;
+  statusText: string;
+  headers: { get(name: string): string | null };
+  json(): Promise<any>;
+}>;
+
+/**
+ * Replaces the transport that sends API requests (a recorder, a replayer or a test double)
+ * Pass null to go back to the configured one (?transport= or PUBLIC_ANIME_TRANSPORT)
+ */
+export function setTransport(transport: Transport | null): void;
+
+/**
+ * Gets the names of all available data providers
+ */
+export function getAvailableProviders(): ProviderName[];
@@ -1,8 +1,34 @@
 /**
- * AniList API Integration Module
- * Provides GraphQL client for anime search functionality with error handling and rate limiting
+ * Anime API Integration Module
+ * Provides anime search functionality on top of a pluggable data provider (AniList by default)
+ * with error handling, rate limiting and response caching
  */
 
+import { createResponseCache, buildCacheKey } from './anime-cache.js';
+import { createProvider, resolveProviderName, getProviderNames } from './providers/index.js';
+import { getAiredEpisodeCount } from './anime-data.js';
+import { normalizeSearchFilters } from './search-filters.js';
+import { pickRandomAnime } from './random-picker.js';
+import { createRateLimiter } from './rate-limiter.js';
+import {
+  fetchTransport,
+  createReplayTransport,
+  resolveTransportMode,
+  MissingRecordingError,
+  DEFAULT_RECORDINGS_URL
+} from './transport.js';
+import {
+  ERROR_CODES,
+  RateLimitError,
+  UpstreamError,
+  NetworkError,
+  NotFoundError,
+  GraphQLError,
+  ValidationError,
+  toAnimeApiError,
+  getUserErrorMessage
+} from './anime-errors.js';
+
 // TypeScript-style interfaces for documentation and runtime validation
 /**
  * @typedef {Object} AnimeTitle
@@ -15,329 +41,1128 @@
  * @typedef {Object} CoverImage
  * @property {string} large - Large cover image URL
  * @property {string} medium - Medium cover image URL
+ * @property {string|null} color - Dominant cover color as a hex string (#e4a15d)
+ */
+
+/**
+ * @typedef {Object} FuzzyDate
+ * @property {number} year - Year
+ * @property {number|null} month - Month (1-12), if known
+ * @property {number|null} day - Day of the month, if known
  */
 
 /**
  * @typedef {Object} AnimeData
  * @property {number} id - Anime ID
  * @property {AnimeTitle} title - Anime titles
+ * @property {string[]} synonyms - Alternative titles and abbreviations
  * @property {CoverImage} coverImage - Cover image URLs
+ * @property {string|null} format - Media format (TV, MOVIE, OVA, etc.)
  * @property {number|null} episodes - Total episode count
  * @property {number|null} duration - Duration per episode in minutes
  * @property {string} status - Anime status (FINISHED, RELEASING, etc.)
+ * @property {string|null} season - Broadcast season (WINTER, SPRING, SUMMER, FALL)
+ * @property {number|null} seasonYear - Broadcast season year
+ * @property {FuzzyDate|null} startDate - First broadcast
+ * @property {FuzzyDate|null} endDate - Last broadcast
+ * @property {string[]} genres - Genres
+ * @property {string[]} studios - Names of the main animation studios
+ * @property {number|null} averageScore - Average user score out of 100
+ * @property {string|null} siteUrl - Page of the anime on the provider's website
  * @property {string|null} description - Anime description
+ * @property {AiringEpisode|null} nextAiringEpisode - Next episode to air (releasing shows only)
+ * @property {AiringEpisode[]} airingSchedule - Upcoming episodes with known air dates, by episode
+ */
+
+/**
+ * @typedef {Object} AiringEpisode
+ * @property {number} episode - Episode number
+ * @property {number} airingAt - Air time as a Unix timestamp in seconds
+ */
+
+/**
+ * @typedef {Object} RetryInfo
+ * @property {string} reason - Why the request is waiting (rate-limited, server-error, quota-exhausted)
+ * @property {number} attempt - Retry attempt number (0 while waiting for the quota window)
+ * @property {number} maxRetries - Maximum number of retries
+ * @property {number} delayMs - Time until the next attempt in milliseconds
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {function(RetryInfo): void} [onRetry] - Progress callback invoked before each wait
+ * @property {AbortSignal} [signal] - Aborts the request, including debounce and retry waits
+ * @property {string} [priority] - user (default) or background; background requests yield when the budget runs low
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {function(RetryInfo): void} [onRetry] - Progress callback invoked before each wait
+ * @property {AbortSignal} [signal] - Aborts the request, including debounce and retry waits
+ * @property {import('./search-filters.js').SearchFilters} [filters] - Restricts results by format, season, genre and status
+ * @property {number} [page] - 1-based result page for multiple-result searches (default: 1)
+ */
+
+/**
+ * @typedef {Object} PageInfo
+ * @property {number} currentPage - 1-based page number of these results
+ * @property {boolean} hasNextPage - Whether another page of results exists
+ * @property {number|null} total - Total number of matches, if the provider reports it
+ */
+
+/**
+ * @typedef {Object} MultipleApiResponse
+ * @property {AnimeData[]|null} data - Matching anime or null if the search failed
+ * @property {string|null} error - Error message if request failed
+ * @property {PageInfo} [pageInfo] - Pagination details of a successful search
+ * @property {boolean} [cancelled] - True if the request was aborted (data and error are null)
+ * @property {string} [errorCode] - Stable error code (see ERROR_CODES) when the request failed
+ * @property {number} [retryAfterMs] - Suggested wait before retrying, when the API provided one
+ */
+
+/**
+ * @typedef {Object} FranchiseEdge
+ * @property {number} from - ID of the anime declaring the relation
+ * @property {number} to - ID of the related anime
+ * @property {string} relationType - AniList relation type (SEQUEL, PREQUEL, SIDE_STORY, SPIN_OFF)
+ */
+
+/**
+ * @typedef {Object} FranchiseGraph
+ * @property {number} rootId - ID of the anime the walk started from
+ * @property {{anime: AnimeData, depth: number}[]} entries - Deduplicated entries in discovery order
+ * @property {FranchiseEdge[]} edges - Relations between entries
+ * @property {boolean} truncated - True if the depth or entry limit cut the walk short
  */
 
 /**
  * @typedef {Object} ApiResponse
  * @property {AnimeData|null} data - Anime data or null if not found
  * @property {string|null} error - Error message if request failed
+ * @property {boolean} [cancelled] - True if the request was aborted or superseded (data and error are null)
+ * @property {string} [errorCode] - Stable error code (see ERROR_CODES) when the request failed
+ * @property {number} [retryAfterMs] - Suggested wait before retrying, when the API provided one
  */
 
-// AniList GraphQL API endpoint
-const ANILIST_API_URL = 'https://graphql.anilist.co';
+// Debouncing utility
+const DEBOUNCE_DELAY = 300; // 300ms delay as specified in design
+const MIN_SEARCH_CHARS = 2;
 
-// GraphQL query for anime search (single result)
-const ANIME_SEARCH_QUERY = `
-  query ($search: String) {
-    Media (search: $search, type: ANIME) {
-      id
-      title {
-        romaji
-        english
-        native
-      }
-      coverImage {
-        large
-        medium
-      }
-      episodes
-      duration
-      status
-      description
-    }
+// Rate limiting protection
+const MIN_REQUEST_INTERVAL = 100; // Minimum 100ms between requests
+
+// Retry policy for rate-limited (429) and server (5xx) responses
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000; // Doubled on every attempt
+const MAX_RETRY_DELAY = 60000; // Longest wait we accept before giving up
+
+/**
+ * Creates the throttling state for a queue of requests
+ * lastRequestTime spaces out requests; resetTime is the timestamp until which the queue
+ * is paused because the rate-limit quota is spent
+ * @returns {{lastRequestTime: number, resetTime: number}} Rate-limit state
+ */
+function createRateLimitState() {
+  return { lastRequestTime: 0, resetTime: 0 };
+}
+
+// Rate-limit state of the module-level search functions
+const sharedRateLimitState = createRateLimitState();
+
+// Response cache shared by all search functions
+const responseCache = createResponseCache();
+
+// Request budget shared by every search client and every open tab
+const requestBudget = createRateLimiter();
+
+// Relation types followed when building a franchise, and the limits on the walk
+export const FRANCHISE_RELATION_TYPES = ['SEQUEL', 'PREQUEL', 'SIDE_STORY', 'SPIN_OFF'];
+const FRANCHISE_MAX_DEPTH = 6;
+const FRANCHISE_MAX_ENTRIES = 40;
+
+// Active data provider, created lazily so configuration can be applied first
+let activeProvider = null;
+
+// Active request transport, resolved lazily like the provider
+let activeTransport = null;
+
+// Problems found in provider responses, oldest first, and who wants to hear about new ones
+const MAX_VALIDATION_ISSUES = 100;
+const validationIssues = [];
+const validationListeners = new Set();
+
+// Requests on the wire, keyed like the response cache: {promise, retryListeners}
+const inFlightRequests = new Map();
+
+// Results per page of a best-match search and of the search component's alternatives list, so a
+// search and its alternatives are answered by the same request (and the same recording)
+export const SEARCH_PAGE_SIZE = 8;
+
+/**
+ * Creates the error thrown when a request is aborted
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+  return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+/**
+ * Checks whether an error comes from an aborted request
+ * @param {any} error - Caught error
+ * @returns {boolean} True for AbortError
+ */
+function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Builds the response for an aborted or superseded request
+ * @returns {{data: null, error: null, cancelled: true}} Cancelled response
+ */
+function cancelledResponse() {
+  return { data: null, error: null, cancelled: true };
+}
+
+/**
+ * Builds the response for a failed request
+ * @param {any} error - Caught error
+ * @param {string} [message] - Message to show instead of the default one for the error code
+ * @returns {{data: null, error: string, errorCode: string, retryAfterMs?: number}} Error response
+ */
+function errorResponse(error, message) {
+  const apiError = toAnimeApiError(error);
+  const response = { data: null, error: message || getUserErrorMessage(apiError), errorCode: apiError.code };
+  if (apiError.retryAfterMs !== null) {
+    response.retryAfterMs = apiError.retryAfterMs;
   }
-`;
-
-// GraphQL query for anime search with multiple results
-const ANIME_SEARCH_MULTIPLE_QUERY = `
-  query ($search: String, $page: Int, $perPage: Int) {
-    Page (page: $page, perPage: $perPage) {
-      media (search: $search, type: ANIME) {
-        id
-        title {
-          romaji
-          english
-          native
-        }
-        coverImage {
-          large
-          medium
-        }
-        episodes
-        duration
-        status
-        description
-      }
-    }
+  return response;
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Abort signal
+ * @throws {DOMException} AbortError
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
   }
-`;
-
-// GraphQL query for fetching popular anime (for random selection)
-const POPULAR_ANIME_QUERY = `
-  query ($page: Int, $perPage: Int) {
-    Page (page: $page, perPage: $perPage) {
-      media (type: ANIME, sort: POPULARITY_DESC, status: FINISHED) {
-        id
-        title {
-          romaji
-          english
-          native
-        }
-        coverImage {
-          large
-          medium
-        }
-        episodes
-        duration
-        status
-        description
-        popularity
-      }
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
     }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Waits for a promise, giving up early when the signal aborts
+ * @param {Promise<any>} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
+ * @returns {Promise<any>} Settles like the promise unless aborted first
+ */
+function waitUnlessAborted(promise, signal) {
+  if (!signal) {
+    return promise;
   }
-`;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
 
-// Debouncing utility
-let searchTimeout = null;
-const DEBOUNCE_DELAY = 300; // 300ms delay as specified in design
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
 
-// Rate limiting protection
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 100; // Minimum 100ms between requests
+/**
+ * Reads a response header, tolerating responses without a Headers object
+ * @param {Response} response - Fetch response
+ * @param {string} name - Header name
+ * @returns {string|null} Header value or null
+ */
+function getHeader(response, name) {
+  return response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get(name)
+    : null;
+}
 
 /**
- * Validates anime data structure and provides defaults for missing values
- * @param {any} data - Raw API response data
- * @returns {AnimeData|null} Validated anime data or null if invalid
+ * Parses a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds or null if absent/invalid
  */
-function validateAndNormalizeAnimeData(data) {
-  if (!data || !data.Media) {
+function parseRetryAfter(value) {
+  if (!value) {
     return null;
   }
 
-  const anime = data.Media;
-  
-  // Validate required fields
-  if (!anime.id || !anime.title) {
-    return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
   }
 
-  return {
-    id: anime.id,
-    title: {
-      romaji: anime.title.romaji || 'Unknown Title',
-      english: anime.title.english || null,
-      native: anime.title.native || 'Unknown Title'
-    },
-    coverImage: {
-      large: anime.coverImage?.large || '',
-      medium: anime.coverImage?.medium || ''
-    },
-    episodes: anime.episodes || null,
-    duration: anime.duration || null, // Will use default 24 minutes in UI if null
-    status: anime.status || 'UNKNOWN',
-    description: anime.description || null
-  };
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
 }
 
 /**
- * Makes a GraphQL request to AniList API with error handling
- * @param {string} query - GraphQL query string
- * @param {Object} variables - Query variables
- * @returns {Promise<any>} API response data
- * @throws {Error} Network or API errors
+ * Computes a jittered exponential backoff delay
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const exponentialDelay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+  // Jitter between 50% and 100% of the exponential delay spreads out simultaneous retries
+  return Math.round(exponentialDelay * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Records AniList's rate-limit headers, pausing the queue when the quota is spent
+ * @param {Response} response - Fetch response
+ * @param {{resetTime: number}} state - Rate-limit state to update
  */
-async function makeGraphQLRequest(query, variables = {}) {
-  // Rate limiting protection
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest));
+function updateRateLimitWindow(response, state) {
+  const remaining = Number.parseInt(getHeader(response, 'X-RateLimit-Remaining'), 10);
+  const reset = Number.parseInt(getHeader(response, 'X-RateLimit-Reset'), 10);
+
+  if (remaining === 0 && Number.isFinite(reset)) {
+    // X-RateLimit-Reset is a Unix timestamp in seconds
+    state.resetTime = Math.max(state.resetTime, reset * 1000);
   }
-  lastRequestTime = Date.now();
 
-  const response = await fetch(ANILIST_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-    },
-    body: JSON.stringify({
-      query,
-      variables
-    })
+  // The API also counts requests from other devices; let every tab know
+  if (Number.isFinite(remaining)) {
+    requestBudget.update({ remaining, pausedUntil: remaining === 0 ? state.resetTime : undefined });
+  }
+}
+
+/**
+ * Waits until the rate-limit window has reset, if the quota is exhausted
+ * @param {Object} options - Request options
+ * @param {Function} [options.onRetry] - Progress callback
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {{resetTime: number}} state - Rate-limit state
+ */
+async function waitForRateLimitWindow(options, state) {
+  const waitTime = state.resetTime - Date.now();
+  if (waitTime <= 0) {
+    return;
+  }
+
+  options.onRetry?.({
+    reason: 'quota-exhausted',
+    attempt: 0,
+    maxRetries: MAX_RETRIES,
+    delayMs: waitTime
   });
+  await sleep(waitTime, options.signal);
+}
+
+/**
+ * Makes a JSON request to a provider API with error handling
+ * Rate-limited (429) and server (5xx) responses are retried with jittered exponential
+ * backoff, honoring Retry-After and the X-RateLimit-* headers
+ * @param {string} url - Request URL
+ * @param {Object} init - Request description
+ * @param {string} [init.method] - HTTP method (default: GET)
+ * @param {Object} [init.headers] - Extra request headers
+ * @param {Object} [init.body] - JSON body
+ * @param {Object} options - Request options
+ * @param {Function} [options.onRetry] - Called with {reason, attempt, maxRetries, delayMs} before waiting
+ * @param {AbortSignal} [options.signal] - Aborts the fetch and any pending wait
+ * @param {string} [options.priority] - user (default) or background, for the shared request budget
+ * @param {Object} [options.rateLimitState] - Throttling state of the calling search client (default: shared)
+ * @returns {Promise<any>} Parsed JSON response
+ * @throws {import('./anime-errors.js').AnimeApiError} Typed network or API error, or an AbortError when aborted
+ */
+async function makeApiRequest(url, init = {}, options = {}) {
+  const state = options.rateLimitState || sharedRateLimitState;
+  let response;
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(options.signal);
+
+    // Pause while the rate-limit window is exhausted (shared by all requests of this queue)
+    await waitForRateLimitWindow(options, state);
+
+    // Take a token from the budget shared with the other tabs
+    await requestBudget.acquire({
+      priority: options.priority,
+      signal: options.signal,
+      onWait: delayMs => options.onRetry?.({
+        reason: 'quota-exhausted',
+        attempt: 0,
+        maxRetries: MAX_RETRIES,
+        delayMs
+      })
+    });
+
+    // Rate limiting protection
+    const now = Date.now();
+    const timeSinceLastRequest = now - state.lastRequestTime;
+    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
+      await sleep(MIN_REQUEST_INTERVAL - timeSinceLastRequest, options.signal);
+    }
+    state.lastRequestTime = Date.now();
+
+    try {
+      response = await getTransport()(url, {
+        method: init.method || 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...init.headers
+        },
+        body: init.body ? JSON.stringify(init.body) : undefined,
+        signal: options.signal
+      });
+    } catch (error) {
+      // fetch only rejects when no response arrived at all; a replay miss is a setup problem, not a network one
+      if (isAbortError(error) || error instanceof MissingRecordingError) {
+        throw error;
+      }
+      throw new NetworkError(`Network error: ${error.message}`, { cause: error });
+    }
+
+    updateRateLimitWindow(response, state);
+
+    const isRetryable = response.status === 429 || response.status >= 500;
+    if (response.ok || !isRetryable || attempt >= MAX_RETRIES) {
+      break;
+    }
+
+    const delayMs = parseRetryAfter(getHeader(response, 'Retry-After')) ?? getBackoffDelay(attempt);
+    if (delayMs > MAX_RETRY_DELAY) {
+      break; // Server asked us to wait longer than we are willing to keep the user waiting
+    }
 
-  if (!response.ok) {
     if (response.status === 429) {
-      throw new Error('Rate limit exceeded. Please try again in a moment.');
-    } else if (response.status >= 500) {
-      throw new Error('AniList API is temporarily unavailable. Please try again later.');
-    } else if (response.status === 404) {
-      throw new Error('AniList API endpoint not found.');
+      // Hold back every other request, in every tab, until the window resets
+      state.resetTime = Math.max(state.resetTime, Date.now() + delayMs);
+      requestBudget.update({ remaining: 0, pausedUntil: state.resetTime });
+    }
+
+    options.onRetry?.({
+      reason: response.status === 429 ? 'rate-limited' : 'server-error',
+      attempt: attempt + 1,
+      maxRetries: MAX_RETRIES,
+      delayMs
+    });
+    await sleep(delayMs, options.signal);
+  }
+
+  if (!response.ok) {
+    const { status } = response;
+    if (status === 429) {
+      const retryAfterMs = parseRetryAfter(getHeader(response, 'Retry-After')) ?? Math.max(0, state.resetTime - Date.now());
+      throw new RateLimitError('Rate limit exceeded. Please try again in a moment.', { retryAfterMs });
+    } else if (status >= 500) {
+      throw new UpstreamError('Anime API is temporarily unavailable. Please try again later.', { status });
+    }
+
+    // GraphQL APIs describe client errors (unknown IDs, invalid queries) in the body
+    const graphQLErrors = await readGraphQLErrors(response);
+    if (status === 404) {
+      throw new NotFoundError(graphQLErrors[0]?.message ? `API Error: ${graphQLErrors[0].message}` : 'Anime API endpoint not found.', { graphQLErrors });
+    } else if (graphQLErrors.length > 0) {
+      throw new GraphQLError(`API Error: ${graphQLErrors[0].message || 'Unknown API error'}`, { status, graphQLErrors });
     } else {
-      throw new Error(`Network error: ${response.status} ${response.statusText}`);
+      throw new NetworkError(`Network error: ${status} ${response.statusText}`, { status });
     }
   }
 
-  const data = await response.json();
-  
-  // Handle GraphQL errors
-  if (data.errors && data.errors.length > 0) {
-    const errorMessage = data.errors[0].message || 'Unknown API error';
-    throw new Error(`API Error: ${errorMessage}`);
+  return response.json();
+}
+
+/**
+ * Makes a JSON request, serving it from the response cache when possible
+ * Requests are keyed by method and URL plus the body (query and variables for GraphQL)
+ * @param {string} url - Request URL
+ * @param {Object} init - Request description passed to makeApiRequest
+ * @param {Object} options - Request options passed to makeApiRequest
+ * @returns {Promise<any>} Parsed JSON response
+ * @throws {Error} Network or API errors
+ */
+async function cachedApiRequest(url, init = {}, options = {}) {
+  const cacheKey = buildCacheKey(`${init.method || 'GET'} ${url}`, init.body);
+  const cached = await responseCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
   }
 
-  return data.data;
+  throwIfAborted(options.signal);
+  return sharedApiRequest(cacheKey, url, init, options);
 }
 
 /**
- * Searches for multiple anime by title
- * @param {string} searchTerm - Anime title to search for
- * @param {number} limit - Maximum number of results to return (default: 10)
- * @returns {Promise<{data: AnimeData[]|null, error: string|null}>} Promise resolving to anime array or error
+ * Makes a JSON request, or joins an identical one that is already in flight
+ * The request belongs to the first caller and uses its signal and rate-limit state; retry
+ * notices go to every caller. If the owner aborts, the callers still waiting send their own
+ * @param {string} key - Request key (the cache key)
+ * @param {string} url - Request URL
+ * @param {Object} init - Request description passed to makeApiRequest
+ * @param {Object} options - Request options passed to makeApiRequest
+ * @returns {Promise<any>} Parsed JSON response
+ * @throws {Error} Network or API errors
  */
-export async function searchMultipleAnime(searchTerm, limit = 10) {
-  try {
-    // Input validation
-    if (!searchTerm || typeof searchTerm !== 'string' || searchTerm.trim().length === 0) {
-      return { data: null, error: 'Please enter an anime title to search.' };
-    }
+async function sharedApiRequest(key, url, init, options) {
+  const inFlight = inFlightRequests.get(key);
 
-    const trimmedSearch = searchTerm.trim();
-    if (trimmedSearch.length < 2) {
-      return { data: null, error: 'Please enter at least 2 characters to search.' };
+  if (inFlight) {
+    const onRetry = options.onRetry;
+    if (onRetry) {
+      inFlight.retryListeners.add(onRetry);
+    }
+    try {
+      return await waitUnlessAborted(inFlight.promise, options.signal);
+    } catch (error) {
+      if (isAbortError(error) && !options.signal?.aborted) {
+        return sharedApiRequest(key, url, init, options);
+      }
+      throw error;
+    } finally {
+      inFlight.retryListeners.delete(onRetry);
     }
+  }
+
+  const retryListeners = new Set(options.onRetry ? [options.onRetry] : []);
+  const request = {
+    retryListeners,
+    promise: makeApiRequest(url, init, {
+      ...options,
+      onRetry: retryInfo => retryListeners.forEach(listener => listener(retryInfo))
+    }).then(async data => {
+      // Responses carrying GraphQL errors are not worth keeping
+      if (!data?.errors?.length) {
+        await responseCache.set(key, data);
+      }
+      return data;
+    }).finally(() => {
+      if (inFlightRequests.get(key) === request) {
+        inFlightRequests.delete(key);
+      }
+    })
+  };
+  inFlightRequests.set(key, request);
+
+  return request.promise;
+}
+
+/**
+ * Reads the GraphQL error list from a failed response body, if there is one
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object[]>} GraphQL errors (empty if the body has none)
+ */
+async function readGraphQLErrors(response) {
+  if (typeof response.json !== 'function') {
+    return [];
+  }
+  try {
+    const body = await response.json();
+    return Array.isArray(body?.errors) ? body.errors : [];
+  } catch {
+    return [];
+  }
+}
 
-    const data = await makeGraphQLRequest(ANIME_SEARCH_MULTIPLE_QUERY, { 
-      search: trimmedSearch,
-      page: 1,
-      perPage: limit
+/**
+ * Gets the active request transport, creating it on first use
+ * Replay mode (?transport=replay or PUBLIC_ANIME_TRANSPORT=replay) serves the recordings at
+ * PUBLIC_ANIME_RECORDINGS_URL, loaded with a plain fetch from the same origin
+ * @returns {import('./transport.js').Transport} Active transport
+ */
+function getTransport() {
+  if (!activeTransport) {
+    const mode = resolveTransportMode({
+      search: typeof window !== 'undefined' ? window.location?.search : '',
+      configured: import.meta.env?.PUBLIC_ANIME_TRANSPORT
     });
-    
-    if (!data.Page || !data.Page.media || data.Page.media.length === 0) {
-      return { 
-        data: null, 
-        error: `No anime found for "${trimmedSearch}". Try a different title or check your spelling.` 
-      };
+    const recordingsUrl = import.meta.env?.PUBLIC_ANIME_RECORDINGS_URL || DEFAULT_RECORDINGS_URL;
+
+    activeTransport = mode === 'replay'
+      ? createReplayTransport({
+        load: async () => {
+          const response = await fetchTransport(recordingsUrl, { method: 'GET', headers: { 'Accept': 'application/json' } });
+          if (!response.ok) {
+            throw new Error(`Could not load recordings from ${recordingsUrl} (${response.status}). Record them with "npm run record -- <search terms>".`);
+          }
+          return response.json();
+        }
+      })
+      : fetchTransport;
+  }
+  return activeTransport;
+}
+
+/**
+ * Replaces the transport that sends API requests (a recorder, a replayer or a test double)
+ * @param {import('./transport.js').Transport|null} transport - Transport, or null to go back to the configured one
+ */
+export function setTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Keeps the issues a provider found in a response and passes them to the listeners
+ * @param {import('./anime-schema.js').ValidationIssue[]} issues - Issues of one response
+ */
+function recordValidationIssues(issues) {
+  validationIssues.push(...issues);
+  validationIssues.splice(0, Math.max(0, validationIssues.length - MAX_VALIDATION_ISSUES));
+  issues.forEach(issue => validationListeners.forEach(listener => listener(issue)));
+}
+
+/**
+ * Calls the listener for every problem found in a provider response: repaired values,
+ * dropped values and discarded records, each with the path of the field
+ * @param {function(import('./anime-schema.js').ValidationIssue): void} listener - Issue listener
+ * @returns {function(): void} Unsubscribes the listener
+ */
+export function onValidationIssue(listener) {
+  validationListeners.add(listener);
+  return () => validationListeners.delete(listener);
+}
+
+/**
+ * Gets the most recent validation issues (up to 100), oldest first
+ * @returns {import('./anime-schema.js').ValidationIssue[]} Issues
+ */
+export function getValidationIssues() {
+  return [...validationIssues];
+}
+
+/**
+ * Forgets the recorded validation issues
+ */
+export function clearValidationIssues() {
+  validationIssues.length = 0;
+}
+
+/**
+ * Gets the active data provider, creating it on first use
+ * @returns {import('./providers/index.js').AnimeProvider} Active provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(resolveProviderName({
+      search: typeof window !== 'undefined' ? window.location?.search : '',
+      configured: import.meta.env?.PUBLIC_ANIME_PROVIDER
+    }), { requestJson: cachedApiRequest, onValidationIssues: recordValidationIssues });
+  }
+  return activeProvider;
+}
+
+/**
+ * Selects the data provider used by every search function
+ * @param {string} name - Provider name (anilist, kitsu, jikan, fixture)
+ * @param {Object} deps - Extra provider dependencies (e.g. fixtures for the fixture provider)
+ * @throws {Error} Unknown provider name
+ */
+export function setActiveProvider(name, deps = {}) {
+  activeProvider = createProvider(name, { requestJson: cachedApiRequest, onValidationIssues: recordValidationIssues, ...deps });
+}
+
+/**
+ * Gets the name of the active data provider
+ * @returns {string} Provider name
+ */
+export function getActiveProviderName() {
+  return getProvider().name;
+}
+
+/**
+ * Gets the names of all available data providers
+ * @returns {string[]} Provider names
+ */
+export function getAvailableProviders() {
+  return getProviderNames();
+}
+
+/**
+ * Validates a search term
+ * @param {string} searchTerm - Search term entered by the user
+ * @param {number} minChars - Minimum number of characters
+ * @returns {ValidationError|null} Validation error or null if the term is valid
+ */
+function validateSearchTerm(searchTerm, minChars) {
+  if (!searchTerm || typeof searchTerm !== 'string' || searchTerm.trim().length === 0) {
+    return new ValidationError('Please enter an anime title to search.');
+  }
+  if (searchTerm.trim().length < minChars) {
+    return new ValidationError(`Please enter at least ${minChars} character${minChars === 1 ? '' : 's'} to search.`);
+  }
+  return null;
+}
+
+/**
+ * Builds the response for a title search without matches
+ * @param {string} searchTerm - Trimmed search term
+ * @param {boolean} [filtered] - Whether search filters were applied
+ * @returns {{data: null, error: string, errorCode: string}} Not-found response
+ */
+function noMatchesResponse(searchTerm, filtered = false) {
+  return errorResponse(
+    new NotFoundError(),
+    filtered
+      ? `No anime found for "${searchTerm}" with the selected filters. Try removing some filters.`
+      : `No anime found for "${searchTerm}". Try a different title or check your spelling.`
+  );
+}
+
+/**
+ * Separates search filters and paging from the request options passed on to the provider
+ * @param {SearchOptions} options - Search options
+ * @returns {{filters: import('./search-filters.js').SearchFilters|undefined, page: number, requestOptions: RequestOptions}} Normalized filters (undefined if none were given), page and request options
+ */
+function splitSearchOptions({ filters, page, ...requestOptions }) {
+  return {
+    filters: filters ? normalizeSearchFilters(filters) : undefined,
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+    requestOptions
+  };
+}
+
+/**
+ * @typedef {Object} SearchClient
+ * @property {function(string, SearchOptions=): Promise<ApiResponse>} search - Debounced best-match search
+ * @property {function(string, number=, SearchOptions=): Promise<MultipleApiResponse>} searchMany - One page of matches for a title
+ * @property {function(number|string, RequestOptions=): Promise<ApiResponse>} getById - Anime by provider ID
+ * @property {function(): void} cancel - Cancels the pending debounced search
+ */
+
+/**
+ * Builds a search client around the given settings and rate-limit state
+ * @param {{debounceMs: number, minChars: number}} config - Client settings
+ * @param {{lastRequestTime: number, resetTime: number}} rateLimitState - Throttling state used by every request
+ * @returns {SearchClient} Search client
+ */
+function buildSearchClient({ debounceMs, minChars }, rateLimitState) {
+  let searchTimeout = null;
+  let resolvePendingSearch = null;
+
+  /**
+   * Cancels the pending debounced search; its promise resolves as cancelled
+   */
+  function cancel() {
+    if (searchTimeout) {
+      clearTimeout(searchTimeout);
+      searchTimeout = null;
+    }
+    if (resolvePendingSearch) {
+      const resolveCancelled = resolvePendingSearch;
+      resolvePendingSearch = null;
+      resolveCancelled();
     }
+  }
+
+  /**
+   * Searches for multiple anime by title, one page at a time
+   * @param {string} searchTerm - Anime title to search for
+   * @param {number} limit - Maximum number of results per page (default: 10)
+   * @param {SearchOptions} options - Search options
+   */
+  async function searchMany(searchTerm, limit = 10, options = {}) {
+    const { filters, page, requestOptions } = splitSearchOptions(options);
+
+    try {
+      // Input validation
+      const validationError = validateSearchTerm(searchTerm, minChars);
+      if (validationError) {
+        return errorResponse(validationError);
+      }
+
+      const trimmedSearch = searchTerm.trim();
+
+      // Providers return validated, normalized results
+      const { results, pageInfo } = await getProvider().searchPage(trimmedSearch, {
+        page,
+        perPage: limit,
+        ...(filters && { filters })
+      }, { ...requestOptions, rateLimitState });
+      throwIfAborted(options.signal);
+
+      // Running out of results on a later page is not an error
+      if (results.length === 0 && page === 1) {
+        return noMatchesResponse(trimmedSearch, Boolean(filters));
+      }
+
+      return { data: results, error: null, pageInfo };
+      
+    } catch (error) {
+      if (isAbortError(error)) {
+        return cancelledResponse();
+      }
+      console.error('Multiple anime search error:', error);
+      return errorResponse(error);
+    }
+  }
+
+  /**
+   * Searches for anime by title with debouncing and error handling
+   * A newer call supersedes a pending one, which then resolves as cancelled
+   * @param {string} searchTerm - Anime title to search for
+   * @param {SearchOptions} options - Search options
+   */
+  function search(searchTerm, options = {}) {
+    // Clear existing timeout for debouncing
+    cancel();
 
-    // Validate and normalize all results
-    const validatedResults = data.Page.media
-      .map(anime => validateAndNormalizeAnimeData({ Media: anime }))
-      .filter(anime => anime !== null);
+    return new Promise((resolve) => {
+      const { signal } = options;
 
-    if (validatedResults.length === 0) {
-      return { 
-        data: null, 
-        error: `No valid anime found for "${trimmedSearch}". Try a different title.` 
+      // Input validation
+      const validationError = validateSearchTerm(searchTerm, minChars);
+      if (validationError) {
+        resolve(errorResponse(validationError));
+        return;
+      }
+
+      const trimmedSearch = searchTerm.trim();
+
+      if (signal?.aborted) {
+        resolve(cancelledResponse());
+        return;
+      }
+
+      // Aborting before the debounce delay has elapsed skips the request entirely
+      const onAbort = () => {
+        if (resolvePendingSearch === resolveCancelled) {
+          cancel();
+        }
       };
+      const resolveCancelled = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(cancelledResponse());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      resolvePendingSearch = resolveCancelled;
+
+      // Debounced search execution
+      searchTimeout = setTimeout(async () => {
+        searchTimeout = null;
+        resolvePendingSearch = null;
+        signal?.removeEventListener('abort', onAbort);
+
+        try {
+          const { filters, requestOptions } = splitSearchOptions(options);
+          const providerOptions = { ...requestOptions, rateLimitState };
+
+          // The best match is the first result of the page the alternatives list asks for,
+          // so the follow-up searchMany() is served from the in-flight request or the cache
+          const { results } = await getProvider().searchPage(trimmedSearch, {
+            page: 1,
+            perPage: SEARCH_PAGE_SIZE,
+            ...(filters && { filters })
+          }, providerOptions);
+          const validatedData = results[0] || null;
+          throwIfAborted(signal);
+          
+          if (!validatedData) {
+            resolve(noMatchesResponse(trimmedSearch, Boolean(filters)));
+            return;
+          }
+
+          resolve({ data: validatedData, error: null });
+          
+        } catch (error) {
+          if (isAbortError(error)) {
+            resolve(cancelledResponse());
+            return;
+          }
+          console.error('Anime search error:', error);
+          resolve(errorResponse(error));
+        }
+      }, debounceMs);
+    });
+  }
+
+  /**
+   * Fetches a single anime by its provider ID (AniList ID by default)
+   * @param {number|string} animeId - Anime ID
+   * @param {RequestOptions} options - Request options
+   */
+  async function getById(animeId, options = {}) {
+    const id = Number(animeId);
+    if (!Number.isInteger(id) || id <= 0) {
+      return errorResponse(new ValidationError('Invalid anime ID.'));
     }
 
-    return { data: validatedResults, error: null };
-    
-  } catch (error) {
-    console.error('Multiple anime search error:', error);
-    
-    // Provide user-friendly error messages
-    let userMessage = 'An error occurred while searching. Please try again.';
-    
-    if (error.message.includes('Rate limit')) {
-      userMessage = 'Too many requests. Please wait a moment and try again.';
-    } else if (error.message.includes('temporarily unavailable')) {
-      userMessage = 'The anime database is temporarily unavailable. Please try again later.';
-    } else if (error.message.includes('Network error') || error.name === 'TypeError') {
-      userMessage = 'Network connection error. Please check your internet connection and try again.';
+    const notFoundMessage = `No anime found with ID ${id}.`;
+
+    try {
+      const validatedData = await getProvider().getById(id, { ...options, rateLimitState });
+      throwIfAborted(options.signal);
+
+      if (!validatedData) {
+        return errorResponse(new NotFoundError(), notFoundMessage);
+      }
+
+      return { data: validatedData, error: null };
+
+    } catch (error) {
+      if (isAbortError(error)) {
+        return cancelledResponse();
+      }
+      console.error('Anime lookup error:', error);
+
+      // AniList answers unknown IDs with a 404 "Not Found." error
+      const apiError = toAnimeApiError(error);
+      return errorResponse(apiError, apiError.code === ERROR_CODES.NOT_FOUND ? notFoundMessage : undefined);
     }
-    
-    return { data: null, error: userMessage };
   }
+
+  return { search, searchMany, getById, cancel };
+}
+
+/**
+ * Creates a search client with its own debounce timer and rate-limit state
+ * Independent clients let several search boxes on one page search without cancelling each other
+ * @param {Object} options - Client options
+ * @param {number} [options.debounceMs] - Debounce delay for search() in milliseconds (default: 300)
+ * @param {number} [options.minChars] - Minimum search term length (default: 2)
+ * @returns {SearchClient} Search client
+ */
+export function createSearchClient({ debounceMs = DEBOUNCE_DELAY, minChars = MIN_SEARCH_CHARS } = {}) {
+  return buildSearchClient({ debounceMs, minChars }, createRateLimitState());
+}
+
+// Client behind the module-level search functions
+const defaultSearchClient = buildSearchClient({ debounceMs: DEBOUNCE_DELAY, minChars: MIN_SEARCH_CHARS }, sharedRateLimitState);
+
+/**
+ * Searches for multiple anime by title, one page at a time
+ * @param {string} searchTerm - Anime title to search for
+ * @param {number} limit - Maximum number of results per page (default: 10)
+ * @param {SearchOptions} options - Search options, including optional filters and the page to load
+ * @returns {Promise<MultipleApiResponse>} Promise resolving to a page of anime with its pageInfo, error or cancellation
+ */
+export function searchMultipleAnime(searchTerm, limit = 10, options = {}) {
+  return defaultSearchClient.searchMany(searchTerm, limit, options);
 }
 
 /**
  * Searches for anime by title with debouncing and error handling
+ * A newer call supersedes a pending one, which then resolves as cancelled
  * @param {string} searchTerm - Anime title to search for
- * @returns {Promise<ApiResponse>} Promise resolving to anime data or error
+ * @param {SearchOptions} options - Search options, including optional filters
+ * @returns {Promise<ApiResponse>} Promise resolving to anime data, error or cancellation
  */
-export function searchAnime(searchTerm) {
-  return new Promise((resolve) => {
-    // Clear existing timeout for debouncing
-    if (searchTimeout) {
-      clearTimeout(searchTimeout);
-    }
+export function searchAnime(searchTerm, options = {}) {
+  return defaultSearchClient.search(searchTerm, options);
+}
 
-    // Input validation
-    if (!searchTerm || typeof searchTerm !== 'string' || searchTerm.trim().length === 0) {
-      resolve({ data: null, error: 'Please enter an anime title to search.' });
-      return;
-    }
+/**
+ * Fetches a single anime by its provider ID (AniList ID by default)
+ * Unlike a title search this always resolves to exactly the same series
+ * @param {number|string} animeId - Anime ID
+ * @param {RequestOptions} options - Request options
+ * @returns {Promise<ApiResponse>} Promise resolving to anime data, error or cancellation
+ */
+export function getAnimeById(animeId, options = {}) {
+  return defaultSearchClient.getById(animeId, options);
+}
 
-    const trimmedSearch = searchTerm.trim();
-    if (trimmedSearch.length < 2) {
-      resolve({ data: null, error: 'Please enter at least 2 characters to search.' });
-      return;
-    }
+/**
+ * Walks sequel/prequel/side-story/spin-off relations into a deduplicated franchise graph
+ * Each entry is fetched once; already visited IDs are skipped so relation cycles terminate
+ * @param {number|string} animeId - ID of the anime to start from
+ * @param {Object} options - Walk options
+ * @param {string[]} [options.relationTypes] - Relation types to follow (default: FRANCHISE_RELATION_TYPES)
+ * @param {number} [options.maxDepth] - Maximum number of hops from the starting anime
+ * @param {number} [options.maxEntries] - Maximum number of entries to fetch
+ * @param {function({loaded: number, queued: number}): void} [options.onProgress] - Called after each entry is fetched
+ * @param {AbortSignal} [options.signal] - Stops the walk between and during requests
+ * @param {string} [options.priority] - Budget priority of the related entries' requests (default: background)
+ * @returns {Promise<{data: FranchiseGraph|null, error: string|null, cancelled?: boolean}>} Promise resolving to the franchise, error or cancellation
+ */
+export async function getAnimeFranchise(animeId, options = {}) {
+  const rootId = Number(animeId);
+  if (!Number.isInteger(rootId) || rootId <= 0) {
+    return errorResponse(new ValidationError('Invalid anime ID.'));
+  }
 
-    // Debounced search execution
-    searchTimeout = setTimeout(async () => {
-      try {
-        const data = await makeGraphQLRequest(ANIME_SEARCH_QUERY, { 
-          search: trimmedSearch 
-        });
-        
-        const validatedData = validateAndNormalizeAnimeData(data);
-        
-        if (!validatedData) {
-          resolve({ 
-            data: null, 
-            error: `No anime found for "${trimmedSearch}". Try a different title or check your spelling.` 
-          });
-          return;
-        }
+  const {
+    relationTypes = FRANCHISE_RELATION_TYPES,
+    maxDepth = FRANCHISE_MAX_DEPTH,
+    maxEntries = FRANCHISE_MAX_ENTRIES,
+    onProgress,
+    ...requestOptions
+  } = options;
+
+  const provider = getProvider();
+  if (typeof provider.getRelations !== 'function') {
+    return errorResponse(new ValidationError(`Franchise totals are not supported by the ${provider.label} provider.`));
+  }
+
+  const entries = new Map();
+  const edges = [];
+  const queue = [{ id: rootId, depth: 0 }];
+  const queued = new Set([rootId]);
+  let truncated = false;
 
-        resolve({ data: validatedData, error: null });
-        
-      } catch (error) {
-        console.error('Anime search error:', error);
-        
-        // Provide user-friendly error messages
-        let userMessage = 'An error occurred while searching. Please try again.';
-        
-        if (error.message.includes('Rate limit')) {
-          userMessage = 'Too many requests. Please wait a moment and try again.';
-        } else if (error.message.includes('temporarily unavailable')) {
-          userMessage = 'The anime database is temporarily unavailable. Please try again later.';
-        } else if (error.message.includes('Network error') || error.name === 'TypeError') {
-          userMessage = 'Network connection error. Please check your internet connection and try again.';
+  try {
+    while (queue.length > 0) {
+      if (entries.size >= maxEntries) {
+        truncated = true;
+        break;
+      }
+
+      const { id, depth } = queue.shift();
+      // Related entries are fetched in the background so searches in the meantime go first
+      const result = await provider.getRelations(id, id === rootId ? requestOptions : { priority: 'background', ...requestOptions });
+      throwIfAborted(requestOptions.signal);
+      if (!result) {
+        if (id === rootId) {
+          return errorResponse(new NotFoundError(), `No anime found with ID ${rootId}.`);
         }
-        
-        resolve({ data: null, error: userMessage });
+        continue;
       }
-    }, DEBOUNCE_DELAY);
-  });
+
+      entries.set(id, { anime: result.anime, depth });
+
+      result.relations
+        .filter(relation => relationTypes.includes(relation.relationType))
+        .forEach(relation => {
+          const relatedId = relation.anime.id;
+          edges.push({ from: id, to: relatedId, relationType: relation.relationType });
+
+          if (queued.has(relatedId)) {
+            return; // Already fetched or waiting: this is what breaks relation cycles
+          }
+          if (depth + 1 > maxDepth) {
+            truncated = true;
+            return;
+          }
+          queued.add(relatedId);
+          queue.push({ id: relatedId, depth: depth + 1 });
+        });
+
+      onProgress?.({ loaded: entries.size, queued: queue.length });
+    }
+  } catch (error) {
+    if (isAbortError(error)) {
+      return cancelledResponse();
+    }
+    console.error('Franchise lookup error:', error);
+    return errorResponse(error);
+  }
+
+  return {
+    data: {
+      rootId,
+      entries: [...entries.values()],
+      // Keep only relations between entries we actually fetched
+      edges: edges.filter(edge => entries.has(edge.from) && entries.has(edge.to)),
+      truncated
+    },
+    error: null
+  };
 }
 
 /**
- * Cancels any pending search requests (useful for cleanup)
+ * Selects the franchise entries reachable from the root through the given relation types
+ * Lets the UI toggle relation types (e.g. exclude spin-offs) without refetching the graph
+ * @param {FranchiseGraph} franchise - Franchise graph from getAnimeFranchise
+ * @param {string[]} relationTypes - Relation types to follow
+ * @returns {AnimeData[]} Reachable anime, root first, in discovery order
+ */
+export function selectFranchiseEntries(franchise, relationTypes = FRANCHISE_RELATION_TYPES) {
+  if (!franchise || !Array.isArray(franchise.entries)) {
+    return [];
+  }
+
+  const reachable = new Set([franchise.rootId]);
+  const queue = [franchise.rootId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    franchise.edges
+      .filter(edge => edge.from === id && relationTypes.includes(edge.relationType) && !reachable.has(edge.to))
+      .forEach(edge => {
+        reachable.add(edge.to);
+        queue.push(edge.to);
+      });
+  }
+
+  return franchise.entries
+    .filter(entry => reachable.has(entry.anime.id))
+    .map(entry => entry.anime);
+}
+
+/**
+ * Cancels the pending debounced search (useful for cleanup)
+ * Its promise resolves as cancelled; abort the request's signal to stop a search already in flight
  */
 export function cancelPendingSearch() {
-  if (searchTimeout) {
-    clearTimeout(searchTimeout);
-    searchTimeout = null;
+  defaultSearchClient.cancel();
+}
+
+/**
+ * Configures the response cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Entry lifetime in milliseconds (0 disables caching)
+ */
+export function configureCache(options = {}) {
+  if (typeof options.ttl === 'number') {
+    responseCache.setTTL(options.ttl);
   }
 }
 
+/**
+ * Removes every cached API response
+ * @returns {Promise<void>}
+ */
+export function clearCache() {
+  return responseCache.clear();
+}
+
+/**
+ * Gets response cache statistics (backend, TTL, hits, misses, stored entries)
+ * @returns {Promise<import('./anime-cache.js').CacheStats>} Cache statistics
+ */
+export function getCacheStats() {
+  return responseCache.getStats();
+}
+
+/**
+ * Gets the request budget left across all open tabs
+ * @returns {import('./rate-limiter.js').RateLimitBudget} Remaining requests and time until the budget is full
+ */
+export function getRateLimitBudget() {
+  return requestBudget.getBudget();
+}
+
+/**
+ * Calls the listener whenever a request from this or another tab spends the budget
+ * @param {function(import('./rate-limiter.js').RateLimitBudget): void} listener - Budget listener
+ * @returns {function(): void} Unsubscribes the listener
+ */
+export function onRateLimitBudgetChange(listener) {
+  return requestBudget.subscribe(listener);
+}
+
 /**
  * Gets the default episode duration when API doesn't provide one
  * @returns {number} Default episode duration in minutes
@@ -347,41 +1172,36 @@ export function getDefaultEpisodeDuration() {
 }
 
 /**
- * Fetches a random popular anime from the top 1000
- * @returns {Promise<ApiResponse>} Promise resolving to random anime data
+ * Fetches a random popular anime from the top 1000 that passes the filters and fits the time budget
+ * @param {import('./random-picker.js').RandomPickConstraints} [constraints] - Time budget, genre, format and year range
+ * @param {Object} [options] - Picker options
+ * @param {Object} [options.themeOptions] - includeOpening and includeEnding for the watch time budget
+ * @param {number} [options.maxAttempts] - Pages requested before giving up
+ * @param {function(): number} [options.random] - Random number source in [0, 1), e.g. to request chosen pages
+ * @returns {Promise<ApiResponse>} Promise resolving to random anime data; when nothing qualifies, the error explains why
  */
-export async function getRandomPopularAnime() {
+export async function getRandomPopularAnime(constraints = {}, { themeOptions, maxAttempts, random } = {}) {
   try {
-    // Get a random page from the first 20 pages (50 per page = 1000 total)
-    const randomPage = Math.floor(Math.random() * 20) + 1;
-    
-    const data = await makeGraphQLRequest(POPULAR_ANIME_QUERY, { 
-      page: randomPage, 
-      perPage: 50 
-    });
-    
-    if (!data.Page || !data.Page.media || data.Page.media.length === 0) {
-      return { data: null, error: 'No popular anime found.' };
-    }
-    
-    // Select a random anime from the page
-    const randomIndex = Math.floor(Math.random() * data.Page.media.length);
-    const randomAnime = data.Page.media[randomIndex];
-    
-    const validatedData = validateAndNormalizeAnimeData({ Media: randomAnime });
-    
-    if (!validatedData) {
-      return { data: null, error: 'Failed to load random anime.' };
+    const provider = getProvider();
+    const { anime, reason } = await pickRandomAnime(
+      pageOptions => provider.popularPage(pageOptions),
+      constraints,
+      {
+        ...(themeOptions ? { themeOptions } : {}),
+        ...(maxAttempts ? { maxAttempts } : {}),
+        ...(random ? { random } : {})
+      }
+    );
+
+    if (!anime) {
+      return errorResponse(new NotFoundError(reason), reason);
     }
-    
-    return { data: validatedData, error: null };
+
+    return { data: anime, error: null };
     
   } catch (error) {
     console.error('Random anime fetch error:', error);
-    return { 
-      data: null, 
-      error: 'Failed to load random anime. Please try searching manually.' 
-    };
+    return errorResponse(error, 'Failed to load random anime. Please try searching manually.');
   }
 }
 
@@ -394,5 +1214,6 @@ export function canCalculateTime(anime) {
   if (!anime) {
     return false;
   }
-  return anime.episodes !== null && anime.episodes > 0;
+  // Releasing shows without an episode count can still be calculated up to the latest aired episode
+  return (anime.episodes !== null && anime.episodes > 0) || getAiredEpisodeCount(anime) > 0;
 }
\ No newline at end of file
@@ -3,21 +3,56 @@
  * These tests verify the core functionality without making actual API calls
  */
 
-import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 import { 
   searchAnime, 
+  searchMultipleAnime,
+  getAnimeById,
+  getAnimeFranchise,
+  getRandomPopularAnime,
+  selectFranchiseEntries,
   cancelPendingSearch, 
+  createSearchClient,
   getDefaultEpisodeDuration, 
-  canCalculateTime 
+  canCalculateTime,
+  clearCache,
+  getCacheStats,
+  setActiveProvider,
+  getActiveProviderName,
+  setTransport,
+  onValidationIssue,
+  getValidationIssues,
+  clearValidationIssues
 } from './anime-api.js';
+import { createRecordingTransport, createReplayTransport } from './transport.js';
 
 // Mock fetch for testing
 global.fetch = vi.fn();
 
+// Builds a successful AniList response for a page of media
+function mockPageResponse(media) {
+  return {
+    ok: true,
+    status: 200,
+    json: async () => ({ data: { Page: { media } } })
+  };
+}
+
+const mockMedia = {
+  id: 20,
+  title: { romaji: 'Naruto', english: 'Naruto', native: 'ナルト' },
+  coverImage: { large: '', medium: '' },
+  episodes: 220,
+  duration: 23,
+  status: 'FINISHED',
+  description: null
+};
+
 describe('AniList API Integration', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     vi.clearAllMocks();
     cancelPendingSearch(); // Clear any pending requests
+    await clearCache();
   });
 
   describe('getDefaultEpisodeDuration', () => {
@@ -79,4 +114,721 @@ describe('AniList API Integration', () => {
       expect(result.error).toBe('Please enter at least 2 characters to search.');
     });
   });
-});
\ No newline at end of file
+
+  describe('response cache', () => {
+    test('should serve repeat lookups from the cache', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      const first = await searchMultipleAnime('naruto', 5);
+      const second = await searchMultipleAnime('naruto', 5);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+      expect(second.data[0].id).toBe(20);
+    });
+
+    test('should key the cache by query variables', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      await searchMultipleAnime('naruto', 5);
+      await searchMultipleAnime('naruto', 8);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should go back to the network after clearCache', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      await searchMultipleAnime('naruto', 5);
+      await clearCache();
+      await searchMultipleAnime('naruto', 5);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not cache failed requests', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+      fetch.mockResolvedValueOnce(mockPageResponse([mockMedia]));
+
+      const failed = await searchMultipleAnime('naruto', 5);
+      const succeeded = await searchMultipleAnime('naruto', 5);
+
+      expect(failed.error).not.toBeNull();
+      expect(succeeded.data).toHaveLength(1);
+    });
+
+    test('should report cache statistics', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      await searchMultipleAnime('naruto', 5);
+      await searchMultipleAnime('naruto', 5);
+
+      const stats = await getCacheStats();
+      expect(stats.hits).toBe(1);
+      expect(stats.misses).toBe(1);
+      expect(stats.entries).toBe(1);
+    });
+  });
+
+  describe('getAnimeById', () => {
+    test('should fetch an anime by ID', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({ data: { Media: mockMedia } }) });
+
+      const result = await getAnimeById('20');
+
+      expect(result.error).toBeNull();
+      expect(result.data.id).toBe(20);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).variables).toEqual({ id: 20 });
+    });
+
+    test('should reject invalid IDs without a request', async () => {
+      expect(await getAnimeById('abc')).toEqual({ data: null, error: 'Invalid anime ID.', errorCode: 'VALIDATION' });
+      expect(await getAnimeById(-5)).toEqual({ data: null, error: 'Invalid anime ID.', errorCode: 'VALIDATION' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown IDs as not found', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+      const result = await getAnimeById(999999);
+
+      expect(result).toEqual({ data: null, error: 'No anime found with ID 999999.', errorCode: 'NOT_FOUND' });
+    });
+  });
+
+  describe('response validation', () => {
+    afterEach(() => {
+      clearValidationIssues();
+    });
+
+    test('should keep the valid results and report malformed ones with their field paths', async () => {
+      const onIssue = vi.fn();
+      const unsubscribe = onValidationIssue(onIssue);
+      fetch.mockResolvedValue(mockPageResponse([
+        { ...mockMedia, duration: -23 },
+        { ...mockMedia, id: 'twenty-one', title: { romaji: 'One Piece' } }
+      ]));
+
+      const result = await searchMultipleAnime('naruto', 5);
+      unsubscribe();
+
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0]).toMatchObject({ id: 20, duration: null });
+      expect(onIssue.mock.calls.map(([issue]) => issue)).toEqual([
+        { path: 'data.Page.media[0].duration', message: 'must be at least 1', value: -23, action: 'dropped', provider: 'anilist' },
+        { path: 'data.Page.media[1].id', message: 'must be a number', value: 'twenty-one', action: 'rejected', provider: 'anilist' }
+      ]);
+      expect(getValidationIssues()).toHaveLength(2);
+    });
+  });
+
+  describe('error codes', () => {
+    test('should flag invalid search terms as validation errors', async () => {
+      const result = await searchMultipleAnime('a');
+
+      expect(result.errorCode).toBe('VALIDATION');
+      expect(result.error).toBe('Please enter at least 2 characters to search.');
+    });
+
+    test('should flag searches without matches as not found', async () => {
+      fetch.mockResolvedValueOnce(mockPageResponse([]));
+
+      const result = await searchMultipleAnime('zzzz');
+
+      expect(result.errorCode).toBe('NOT_FOUND');
+    });
+
+    test('should report unreachable networks as NETWORK', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      const result = await searchMultipleAnime('naruto');
+
+      expect(result).toEqual({
+        data: null,
+        error: 'Network connection error. Please check your internet connection and try again.',
+        errorCode: 'NETWORK'
+      });
+    });
+
+    test('should surface GraphQL errors from a failed response body', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        json: async () => ({ errors: [{ message: 'Invalid query', status: 400 }] })
+      });
+
+      const result = await searchMultipleAnime('naruto');
+
+      expect(result.errorCode).toBe('GRAPHQL');
+    });
+  });
+
+  describe('search filters', () => {
+    test('should send filters as AniList arguments', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      await searchMultipleAnime('fate', 5, {
+        filters: { format_in: ['MOVIE', 'TV'], season: 'FALL', seasonYear: '2019', genre_in: ['Action'], status: 'FINISHED' }
+      });
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).variables).toEqual({
+        search: 'fate',
+        page: 1,
+        perPage: 5,
+        format_in: ['TV', 'MOVIE'],
+        season: 'FALL',
+        seasonYear: 2019,
+        genre_in: ['Action'],
+        status: 'FINISHED',
+        isAdult: false
+      });
+    });
+
+    test('should drop invalid filter values', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      await searchMultipleAnime('fate', 5, { filters: { format_in: ['BOOK'], season: 'MONSOON', seasonYear: 'soon', status: '' } });
+
+      const { variables } = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(variables).toEqual({ search: 'fate', page: 1, perPage: 5, isAdult: false });
+    });
+
+    test('should apply filters to the best-match search', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+      const client = createSearchClient({ debounceMs: 0 });
+
+      const result = await client.search('fate', { filters: { format_in: ['MOVIE'] } });
+
+      const { variables } = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(variables).toMatchObject({ search: 'fate', perPage: 8, format_in: ['MOVIE'] });
+      expect(result.data.id).toBe(20);
+    });
+
+    test('should mention the filters when nothing matches', async () => {
+      fetch.mockResolvedValue(mockPageResponse([]));
+
+      const result = await searchMultipleAnime('fate', 5, { filters: { status: 'HIATUS' } });
+
+      expect(result.errorCode).toBe('NOT_FOUND');
+      expect(result.error).toContain('with the selected filters');
+    });
+  });
+
+  describe('pagination', () => {
+    test('should return the page info of a search', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ data: { Page: { media: [mockMedia], pageInfo: { total: 42, currentPage: 2, hasNextPage: true } } } })
+      });
+
+      const result = await searchMultipleAnime('naruto', 5, { page: 2 });
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).variables).toMatchObject({ page: 2, perPage: 5 });
+      expect(result.pageInfo).toEqual({ currentPage: 2, hasNextPage: true, total: 42 });
+    });
+
+    test('should treat an empty later page as the end of the results', async () => {
+      fetch.mockResolvedValue(mockPageResponse([]));
+
+      const result = await searchMultipleAnime('naruto', 5, { page: 3 });
+
+      expect(result).toEqual({ data: [], error: null, pageInfo: { currentPage: 3, hasNextPage: false, total: null } });
+    });
+  });
+
+  describe('franchise', () => {
+    // Season 1 <-> Season 2 <-> Season 3 chain, a movie side story and a spin-off with its own sequel
+    const franchiseFixtures = [
+      { id: 1, title: { romaji: 'Season 1' }, episodes: 12, duration: 24, relations: [
+        { relationType: 'SEQUEL', id: 2 }, { relationType: 'SPIN_OFF', id: 5 }, { relationType: 'ADAPTATION', id: 9 }
+      ] },
+      { id: 2, title: { romaji: 'Season 2' }, episodes: 12, duration: 24, relations: [
+        { relationType: 'PREQUEL', id: 1 }, { relationType: 'SEQUEL', id: 3 }, { relationType: 'SIDE_STORY', id: 4 }
+      ] },
+      { id: 3, title: { romaji: 'Season 3' }, episodes: 12, duration: 24, relations: [{ relationType: 'PREQUEL', id: 2 }] },
+      { id: 4, title: { romaji: 'Movie' }, episodes: 1, duration: 100, relations: [{ relationType: 'PARENT', id: 2 }] },
+      { id: 5, title: { romaji: 'Spin-off' }, episodes: 10, duration: 12, relations: [
+        { relationType: 'PARENT', id: 1 }, { relationType: 'SEQUEL', id: 6 }
+      ] },
+      { id: 6, title: { romaji: 'Spin-off 2' }, episodes: 10, duration: 12, relations: [{ relationType: 'PREQUEL', id: 5 }] },
+      { id: 9, title: { romaji: 'Other Adaptation' }, episodes: 24, duration: 24 }
+    ];
+
+    beforeEach(() => {
+      setActiveProvider('fixture', { fixtures: franchiseFixtures });
+    });
+
+    afterEach(() => {
+      setActiveProvider('anilist');
+    });
+
+    test('should collect the whole franchise without duplicates', async () => {
+      const result = await getAnimeFranchise(2);
+
+      expect(result.error).toBeNull();
+      expect(result.data.rootId).toBe(2);
+      expect(result.data.entries.map(entry => entry.anime.id).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(result.data.truncated).toBe(false);
+    });
+
+    test('should only follow the requested relation types', async () => {
+      const result = await getAnimeFranchise(1, { relationTypes: ['SEQUEL', 'PREQUEL'] });
+
+      expect(result.data.entries.map(entry => entry.anime.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should respect the depth limit', async () => {
+      const result = await getAnimeFranchise(1, { maxDepth: 1 });
+
+      expect(result.data.entries.map(entry => entry.anime.id)).toEqual([1, 2, 5]);
+      expect(result.data.entries.map(entry => entry.depth)).toEqual([0, 1, 1]);
+      expect(result.data.truncated).toBe(true);
+    });
+
+    test('should respect the entry limit', async () => {
+      const result = await getAnimeFranchise(1, { maxEntries: 2 });
+
+      expect(result.data.entries).toHaveLength(2);
+      expect(result.data.truncated).toBe(true);
+    });
+
+    test('should report progress', async () => {
+      const onProgress = vi.fn();
+
+      await getAnimeFranchise(3, { onProgress });
+
+      expect(onProgress).toHaveBeenCalledTimes(6);
+      expect(onProgress.mock.calls.at(-1)[0]).toEqual({ loaded: 6, queued: 0 });
+    });
+
+    test('should report an unknown starting anime', async () => {
+      const result = await getAnimeFranchise(404);
+
+      expect(result).toEqual({ data: null, error: 'No anime found with ID 404.', errorCode: 'NOT_FOUND' });
+    });
+
+    test('should explain when the provider has no relation data', async () => {
+      setActiveProvider('jikan');
+
+      const result = await getAnimeFranchise(1);
+
+      expect(result.error).toBe('Franchise totals are not supported by the Jikan (MyAnimeList) provider.');
+    });
+
+    test('should select entries reachable through the chosen relation types', async () => {
+      const { data: franchise } = await getAnimeFranchise(1);
+
+      const ids = types => selectFranchiseEntries(franchise, types).map(anime => anime.id);
+      expect(ids(['SEQUEL', 'PREQUEL', 'SIDE_STORY', 'SPIN_OFF'])).toEqual([1, 2, 5, 3, 4, 6]);
+      // Excluding spin-offs also drops the spin-off's own sequel
+      expect(ids(['SEQUEL', 'PREQUEL', 'SIDE_STORY'])).toEqual([1, 2, 3, 4]);
+      expect(ids([])).toEqual([1]);
+    });
+  });
+
+  describe('data providers', () => {
+    afterEach(() => {
+      setActiveProvider('anilist');
+    });
+
+    test('should use AniList by default', () => {
+      expect(getActiveProviderName()).toBe('anilist');
+    });
+
+    test('should serve searches from the selected provider', async () => {
+      setActiveProvider('fixture');
+
+      const result = await searchMultipleAnime('naruto', 5);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(getActiveProviderName()).toBe('fixture');
+      expect(result.data[0].title.english).toBe('Naruto');
+    });
+
+    test('should accept custom fixtures', async () => {
+      setActiveProvider('fixture', {
+        fixtures: [{ id: 1, title: { romaji: 'Custom Show' }, episodes: 3, duration: 10 }]
+      });
+
+      const result = await searchMultipleAnime('custom', 5);
+
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0].episodes).toBe(3);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => setActiveProvider('nope')).toThrow('Unknown anime data provider');
+    });
+  });
+
+  describe('request deduplication', () => {
+    // Resolves fetch calls by hand so requests stay in flight
+    function deferFetch() {
+      const pending = [];
+      fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        pending.push({ resolve, reject, init });
+      }));
+      return pending;
+    }
+
+    test('should share one request between identical concurrent calls', async () => {
+      const pending = deferFetch();
+
+      const first = searchMultipleAnime('naruto', 5);
+      const second = searchMultipleAnime('naruto', 5);
+      await vi.waitFor(() => expect(pending).toHaveLength(1));
+      pending[0].resolve(mockPageResponse([mockMedia]));
+
+      const [firstResult, secondResult] = await Promise.all([first, second]);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(firstResult.data[0].id).toBe(20);
+      expect(secondResult).toEqual(firstResult);
+    });
+
+    test('should answer a search and its alternatives with one round trip', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia, { ...mockMedia, id: 21 }]));
+
+      const best = await searchAnime('naruto', { filters: { format_in: ['TV'] } });
+      const alternatives = await searchMultipleAnime('naruto', 8, { filters: { format_in: ['TV'] } });
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(best.data.id).toBe(20);
+      expect(alternatives.data.map(anime => anime.id)).toEqual([20, 21]);
+    });
+
+    test('should keep a shared request going while another caller still waits', async () => {
+      const pending = deferFetch();
+      const controller = new AbortController();
+
+      const aborted = searchMultipleAnime('naruto', 5, { signal: controller.signal });
+      const waiting = searchMultipleAnime('naruto', 5);
+      await vi.waitFor(() => expect(pending).toHaveLength(1));
+      controller.abort();
+      pending[0].reject(new DOMException('The operation was aborted.', 'AbortError'));
+      await vi.waitFor(() => expect(pending).toHaveLength(2));
+      pending[1].resolve(mockPageResponse([mockMedia]));
+
+      expect((await aborted).cancelled).toBe(true);
+      expect((await waiting).data[0].id).toBe(20);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not share requests with different variables', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+
+      await Promise.all([searchMultipleAnime('naruto', 5), searchMultipleAnime('naruto', 5, { page: 2 })]);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('request transport', () => {
+    afterEach(() => {
+      setTransport(null);
+    });
+
+    test('should send requests through the configured transport', async () => {
+      const transport = vi.fn().mockResolvedValue(mockPageResponse([mockMedia]));
+      setTransport(transport);
+
+      const result = await searchMultipleAnime('naruto', 5);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(transport).toHaveBeenCalledWith('https://graphql.anilist.co', expect.objectContaining({ method: 'POST' }));
+      expect(result.data[0].id).toBe(20);
+    });
+
+    test('should replay recorded responses without a network', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+      const recorder = createRecordingTransport();
+      setTransport(recorder);
+      await searchMultipleAnime('naruto', 5);
+      const recordings = JSON.parse(JSON.stringify(recorder.toJSON()));
+
+      fetch.mockClear();
+      await clearCache();
+      setTransport(createReplayTransport({ recordings }));
+      const result = await searchMultipleAnime('naruto', 5);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result.data[0].title.english).toBe('Naruto');
+    });
+
+    test('should replay a recorded page of popular anime for a random pick', async () => {
+      fetch.mockResolvedValue(mockPageResponse([mockMedia]));
+      const recorder = createRecordingTransport();
+      setTransport(recorder);
+      // Aims the picker at page 3 of 50, as the recorder does
+      const pickPage3 = { maxAttempts: 1, random: () => 2.5 / 50 };
+      await getRandomPopularAnime({}, pickPage3);
+      const recordings = JSON.parse(JSON.stringify(recorder.toJSON()));
+
+      expect(recordings.recordings[0].request.body.variables.page).toBe(3);
+
+      fetch.mockClear();
+      await clearCache();
+      setTransport(createReplayTransport({ recordings }));
+      const result = await getRandomPopularAnime({}, pickPage3);
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(result.data.id).toBe(20);
+    });
+
+    test('should report requests that were never recorded', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      setTransport(createReplayTransport({ recordings: [] }));
+
+      const result = await searchMultipleAnime('bleach', 5);
+
+      expect(result.data).toBeNull();
+      expect(consoleSpy.mock.calls.flat().some(arg => /No recorded response for POST .*"search":"bleach"/.test(String(arg?.message ?? arg)))).toBe(true);
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('cancellation', () => {
+    test('should resolve as cancelled without fetching when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await searchMultipleAnime('naruto', 5, { signal: controller.signal });
+
+      expect(result).toEqual({ data: null, error: null, cancelled: true });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should pass the signal to fetch', async () => {
+      fetch.mockResolvedValueOnce(mockPageResponse([mockMedia]));
+      const controller = new AbortController();
+
+      await searchMultipleAnime('naruto', 5, { signal: controller.signal });
+
+      expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    test('should report an aborted fetch as cancelled instead of an error', async () => {
+      const controller = new AbortController();
+      fetch.mockImplementationOnce(() => {
+        controller.abort();
+        return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+
+      const result = await getAnimeById(20, { signal: controller.signal });
+
+      expect(result).toEqual({ data: null, error: null, cancelled: true });
+    });
+
+    test('should resolve a superseded debounced search as cancelled', async () => {
+      fetch.mockResolvedValueOnce(mockPageResponse([mockMedia]));
+
+      const first = searchAnime('nar');
+      const second = searchAnime('naruto');
+
+      expect(await first).toEqual({ data: null, error: null, cancelled: true });
+      expect((await second).data.id).toBe(20);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip the request when aborted during the debounce delay', async () => {
+      const controller = new AbortController();
+
+      const promise = searchAnime('naruto', { signal: controller.signal });
+      controller.abort();
+
+      expect(await promise).toEqual({ data: null, error: null, cancelled: true });
+      await new Promise(resolve => setTimeout(resolve, 350));
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search clients', () => {
+    test('should debounce each client independently', async () => {
+      fetch
+        .mockResolvedValueOnce(mockPageResponse([mockMedia]))
+        .mockResolvedValueOnce(mockPageResponse([{ ...mockMedia, id: 269 }]));
+      const left = createSearchClient({ debounceMs: 10 });
+      const right = createSearchClient({ debounceMs: 10 });
+
+      const [leftResult, rightResult] = await Promise.all([left.search('naruto'), right.search('bleach')]);
+
+      expect(leftResult.data.id).toBe(20);
+      expect(rightResult.data.id).toBe(269);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only cancel its own pending search', async () => {
+      fetch.mockResolvedValueOnce(mockPageResponse([mockMedia]));
+      const left = createSearchClient({ debounceMs: 10 });
+      const right = createSearchClient({ debounceMs: 10 });
+
+      const leftSearch = left.search('naruto');
+      const rightSearch = right.search('bleach');
+      right.cancel();
+
+      expect((await leftSearch).data.id).toBe(20);
+      expect((await rightSearch).cancelled).toBe(true);
+    });
+
+    test('should apply the minimum search length', async () => {
+      const client = createSearchClient({ minChars: 4 });
+
+      const result = await client.searchMany('one');
+
+      expect(result.error).toBe('Please enter at least 4 characters to search.');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retry with backoff', () => {
+    let api;
+
+    // Builds a failed response with optional headers
+    function mockErrorResponse(status, headers = {}) {
+      return {
+        ok: false,
+        status,
+        statusText: 'Error',
+        headers: new Headers(headers)
+      };
+    }
+
+    beforeEach(async () => {
+      // Fresh module state so rate-limit pauses don't leak between tests
+      // (the request budget shared between tabs lives in localStorage)
+      localStorage.clear();
+      vi.resetModules();
+      api = await import('./anime-api.js');
+      await api.clearCache();
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    test('should retry a 429 after the Retry-After delay', async () => {
+      fetch
+        .mockResolvedValueOnce(mockErrorResponse(429, { 'Retry-After': '3' }))
+        .mockResolvedValueOnce(mockPageResponse([mockMedia]));
+      const onRetry = vi.fn();
+
+      const promise = api.searchMultipleAnime('naruto', 5, { onRetry });
+      await vi.advanceTimersByTimeAsync(3500);
+      const result = await promise;
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(result.data[0].id).toBe(20);
+      expect(onRetry).toHaveBeenCalledWith({
+        reason: 'rate-limited',
+        attempt: 1,
+        maxRetries: 3,
+        delayMs: 3000
+      });
+    });
+
+    test('should back off exponentially on server errors', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(1); // Upper bound of the jitter
+      fetch
+        .mockResolvedValueOnce(mockErrorResponse(503))
+        .mockResolvedValueOnce(mockErrorResponse(502))
+        .mockResolvedValueOnce(mockPageResponse([mockMedia]));
+      const onRetry = vi.fn();
+
+      const promise = api.searchMultipleAnime('naruto', 5, { onRetry });
+      await vi.advanceTimersByTimeAsync(4000);
+      const result = await promise;
+
+      expect(result.error).toBeNull();
+      expect(onRetry.mock.calls.map(([info]) => info.delayMs)).toEqual([1000, 2000]);
+      expect(onRetry.mock.calls[0][0].reason).toBe('server-error');
+    });
+
+    test('should give up after the maximum number of retries', async () => {
+      fetch.mockResolvedValue(mockErrorResponse(500));
+
+      const promise = api.searchMultipleAnime('naruto', 5);
+      await vi.advanceTimersByTimeAsync(20000);
+      const result = await promise;
+
+      expect(fetch).toHaveBeenCalledTimes(4); // First attempt + 3 retries
+      expect(result.error).toBe('The anime database is temporarily unavailable. Please try again later.');
+      expect(result.errorCode).toBe('UPSTREAM_DOWN');
+    });
+
+    test('should pass the Retry-After hint on when giving up on a rate limit', async () => {
+      fetch.mockResolvedValue(mockErrorResponse(429, { 'Retry-After': '120' }));
+
+      const result = await api.searchMultipleAnime('naruto', 5);
+
+      expect(fetch).toHaveBeenCalledTimes(1); // Longer than we are willing to wait
+      expect(result.errorCode).toBe('RATE_LIMITED');
+      expect(result.retryAfterMs).toBe(120000);
+    });
+
+    test('should not retry client errors', async () => {
+      fetch.mockResolvedValue(mockErrorResponse(400));
+
+      const promise = api.searchMultipleAnime('naruto', 5);
+      await vi.advanceTimersByTimeAsync(1000);
+      await promise;
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop waiting for a retry when aborted', async () => {
+      fetch.mockResolvedValue(mockErrorResponse(429, { 'Retry-After': '30' }));
+      const controller = new AbortController();
+
+      const promise = api.searchMultipleAnime('naruto', 5, { signal: controller.signal });
+      await vi.advanceTimersByTimeAsync(1000);
+      controller.abort();
+      const result = await promise;
+
+      expect(result.cancelled).toBe(true);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should pause the queue until X-RateLimit-Reset when the quota is spent', async () => {
+      const resetAt = Math.floor(Date.now() / 1000) + 10;
+      fetch.mockResolvedValueOnce({
+        ...mockPageResponse([mockMedia]),
+        headers: new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetAt) })
+      });
+      fetch.mockResolvedValueOnce(mockPageResponse([mockMedia]));
+
+      await api.searchMultipleAnime('naruto', 5);
+
+      const onRetry = vi.fn();
+      const promise = api.searchMultipleAnime('bleach', 5, { onRetry });
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(onRetry.mock.calls[0][0].reason).toBe('quota-exhausted');
+
+      await vi.advanceTimersByTimeAsync(6000);
+      await promise;
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should spend the shared request budget and follow the remaining count the API reports', async () => {
+      const listener = vi.fn();
+      api.onRateLimitBudgetChange(listener);
+      fetch.mockResolvedValueOnce(mockPageResponse([mockMedia]));
+      fetch.mockResolvedValueOnce({
+        ...mockPageResponse([mockMedia]),
+        headers: new Headers({ 'X-RateLimit-Remaining': '12' })
+      });
+
+      await api.searchMultipleAnime('naruto', 5);
+      expect(api.getRateLimitBudget()).toMatchObject({ remaining: 89, capacity: 90, isLow: false });
+
+      const promise = api.searchMultipleAnime('bleach', 5);
+      await vi.advanceTimersByTimeAsync(100);
+      await promise;
+      expect(api.getRateLimitBudget()).toMatchObject({ remaining: 12, isLow: true });
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ remaining: 12 }));
+    });
+  });
+});
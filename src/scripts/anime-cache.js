@@ -0,0 +1,360 @@
+/**
+ * Response Cache Module
+ * Persists API responses in IndexedDB (falling back to localStorage, then memory)
+ * so repeated lookups are served without a network round trip
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Cache key (query plus variables)
+ * @property {any} value - Cached response data
+ * @property {number} expiresAt - Expiry timestamp in milliseconds
+ */
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {string} backend - Storage backend in use (indexeddb, localstorage or memory)
+ * @property {number} ttl - Entry lifetime in milliseconds
+ * @property {number} hits - Lookups served from the cache
+ * @property {number} misses - Lookups that had to go to the network
+ * @property {number} writes - Entries written to the cache
+ * @property {number} entries - Entries currently stored (expired entries are purged lazily)
+ */
+
+const DEFAULT_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const CACHE_DB_NAME = 'anime-time-calculator';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE_NAME = 'responses';
+const LOCAL_STORAGE_PREFIX = 'anime-time-calculator:cache:';
+
+/**
+ * Serializes a value with object keys sorted so equivalent variables map to the same key
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON representation
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Builds a cache key from a query and its variables
+ * @param {string} query - GraphQL query string (or request URL)
+ * @param {Object} variables - Query variables
+ * @returns {string} Cache key
+ */
+export function buildCacheKey(query, variables = {}) {
+  const normalizedQuery = String(query).replace(/\s+/g, ' ').trim();
+  return `${normalizedQuery}|${stableStringify(variables || {})}`;
+}
+
+/**
+ * Creates an in-memory store, used when no persistent storage is available
+ * @returns {Object} Store with async get/set/delete/clear/count methods
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(entry) {
+      entries.set(entry.key, entry);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    async count() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Creates a localStorage-backed store
+ * @param {Storage} storage - Storage implementation (window.localStorage)
+ * @returns {Object} Store with async get/set/delete/clear/count methods
+ */
+function createLocalStorageStore(storage) {
+  function ownKeys() {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  function purgeExpired() {
+    const now = Date.now();
+    ownKeys().forEach(key => {
+      try {
+        const entry = JSON.parse(storage.getItem(key));
+        if (!entry || entry.expiresAt <= now) {
+          storage.removeItem(key);
+        }
+      } catch {
+        storage.removeItem(key);
+      }
+    });
+  }
+
+  return {
+    name: 'localstorage',
+    async get(key) {
+      const raw = storage.getItem(LOCAL_STORAGE_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(entry) {
+      const serialized = JSON.stringify(entry);
+      try {
+        storage.setItem(LOCAL_STORAGE_PREFIX + entry.key, serialized);
+      } catch {
+        // Quota exceeded: drop expired entries and try once more
+        purgeExpired();
+        storage.setItem(LOCAL_STORAGE_PREFIX + entry.key, serialized);
+      }
+    },
+    async delete(key) {
+      storage.removeItem(LOCAL_STORAGE_PREFIX + key);
+    },
+    async clear() {
+      ownKeys().forEach(key => storage.removeItem(key));
+    },
+    async count() {
+      return ownKeys().length;
+    }
+  };
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates an IndexedDB-backed store
+ * @param {IDBFactory} factory - IndexedDB factory (window.indexedDB)
+ * @returns {Object} Store with async get/set/delete/clear/count methods
+ */
+function createIndexedDBStore(factory) {
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
+            db.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open request was blocked'));
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, operation) {
+    const db = await openDatabase();
+    const transaction = db.transaction(CACHE_STORE_NAME, mode);
+    return promisifyRequest(operation(transaction.objectStore(CACHE_STORE_NAME)));
+  }
+
+  return {
+    name: 'indexeddb',
+    async get(key) {
+      return (await withStore('readonly', store => store.get(key))) || null;
+    },
+    async set(entry) {
+      await withStore('readwrite', store => store.put(entry));
+    },
+    async delete(key) {
+      await withStore('readwrite', store => store.delete(key));
+    },
+    async clear() {
+      await withStore('readwrite', store => store.clear());
+    },
+    async count() {
+      return withStore('readonly', store => store.count());
+    }
+  };
+}
+
+/**
+ * Picks the stores to try, most capable first
+ * @param {string} backend - Requested backend (auto, indexeddb, localstorage, memory)
+ * @returns {Object[]} Candidate stores in order of preference
+ */
+function createStoreChain(backend) {
+  const candidates = [];
+  const hasIndexedDB = typeof indexedDB !== 'undefined' && indexedDB !== null;
+  let hasLocalStorage = false;
+
+  try {
+    hasLocalStorage = typeof localStorage !== 'undefined' && localStorage !== null;
+  } catch {
+    // Accessing localStorage throws when storage is disabled
+  }
+
+  if ((backend === 'auto' || backend === 'indexeddb') && hasIndexedDB) {
+    candidates.push(createIndexedDBStore(indexedDB));
+  }
+  if ((backend === 'auto' || backend === 'indexeddb' || backend === 'localstorage') && hasLocalStorage) {
+    candidates.push(createLocalStorageStore(localStorage));
+  }
+  candidates.push(createMemoryStore());
+
+  return candidates;
+}
+
+/**
+ * Creates a response cache with a configurable TTL
+ * Storage failures never surface to callers: the cache degrades to the next backend
+ * and, at worst, behaves as a miss
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Entry lifetime in milliseconds (default: 1 hour)
+ * @param {string} options.backend - Preferred backend: auto, indexeddb, localstorage or memory
+ * @returns {Object} Cache instance
+ */
+export function createResponseCache(options = {}) {
+  const { backend = 'auto' } = options;
+  const stores = createStoreChain(backend);
+  let ttl = typeof options.ttl === 'number' && options.ttl >= 0 ? options.ttl : DEFAULT_CACHE_TTL;
+  let stats = { hits: 0, misses: 0, writes: 0 };
+
+  /**
+   * Runs an operation against the active store, falling back when it fails
+   */
+  async function runWithFallback(operation) {
+    while (stores.length > 0) {
+      try {
+        return await operation(stores[0]);
+      } catch (error) {
+        if (stores.length === 1) {
+          throw error;
+        }
+        console.warn(`Response cache: ${stores[0].name} unavailable, falling back.`, error);
+        stores.shift();
+      }
+    }
+    return undefined;
+  }
+
+  return {
+    /**
+     * Looks up a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<any>} Cached value, or undefined on a miss
+     */
+    async get(key) {
+      try {
+        const entry = await runWithFallback(store => store.get(key));
+        if (entry && entry.expiresAt > Date.now()) {
+          stats.hits++;
+          return entry.value;
+        }
+        if (entry) {
+          await runWithFallback(store => store.delete(key));
+        }
+      } catch (error) {
+        console.warn('Response cache read failed:', error);
+      }
+      stats.misses++;
+      return undefined;
+    },
+
+    /**
+     * Stores a value
+     * @param {string} key - Cache key
+     * @param {any} value - Value to store (must be structured-cloneable / JSON-serializable)
+     */
+    async set(key, value) {
+      if (ttl === 0) {
+        return;
+      }
+      try {
+        await runWithFallback(store => store.set({ key, value, expiresAt: Date.now() + ttl }));
+        stats.writes++;
+      } catch (error) {
+        console.warn('Response cache write failed:', error);
+      }
+    },
+
+    /**
+     * Removes every cached entry and resets counters
+     */
+    async clear() {
+      try {
+        await runWithFallback(store => store.clear());
+      } catch (error) {
+        console.warn('Response cache clear failed:', error);
+      }
+      stats = { hits: 0, misses: 0, writes: 0 };
+    },
+
+    /**
+     * Updates the lifetime used for new entries
+     * @param {number} newTtl - Lifetime in milliseconds (0 disables caching)
+     */
+    setTTL(newTtl) {
+      if (typeof newTtl === 'number' && newTtl >= 0) {
+        ttl = newTtl;
+      }
+    },
+
+    /**
+     * Gets cache statistics
+     * @returns {Promise<CacheStats>} Current statistics
+     */
+    async getStats() {
+      let entries = 0;
+      try {
+        entries = await runWithFallback(store => store.count());
+      } catch (error) {
+        console.warn('Response cache count failed:', error);
+      }
+      return {
+        backend: stores[0].name,
+        ttl,
+        ...stats,
+        entries
+      };
+    }
+  };
+}
+
+/**
+ * Gets the default cache lifetime
+ * @returns {number} Default TTL in milliseconds
+ */
+export function getDefaultCacheTTL() {
+  return DEFAULT_CACHE_TTL;
+}
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Response Cache Module
+ * Tests key building, TTL expiry, storage backends and statistics
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createResponseCache, buildCacheKey, getDefaultCacheTTL } from './anime-cache.js';
+
+describe('buildCacheKey', () => {
+  test('should produce the same key regardless of variable order', () => {
+    const a = buildCacheKey('query { Media }', { search: 'naruto', page: 1 });
+    const b = buildCacheKey('query { Media }', { page: 1, search: 'naruto' });
+
+    expect(a).toBe(b);
+  });
+
+  test('should ignore whitespace differences in the query', () => {
+    const a = buildCacheKey('query {\n  Media\n}', {});
+    const b = buildCacheKey('query { Media }', {});
+
+    expect(a).toBe(b);
+  });
+
+  test('should produce different keys for different variables', () => {
+    const a = buildCacheKey('query', { search: 'naruto' });
+    const b = buildCacheKey('query', { search: 'bleach' });
+
+    expect(a).not.toBe(b);
+  });
+});
+
+describe('createResponseCache', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('should use the default TTL when none is given', async () => {
+    const cache = createResponseCache({ backend: 'memory' });
+    const stats = await cache.getStats();
+
+    expect(stats.ttl).toBe(getDefaultCacheTTL());
+    expect(stats.backend).toBe('memory');
+  });
+
+  test('should return undefined on a miss and the stored value on a hit', async () => {
+    const cache = createResponseCache({ backend: 'memory' });
+
+    expect(await cache.get('key')).toBeUndefined();
+
+    await cache.set('key', { Media: { id: 1 } });
+    expect(await cache.get('key')).toEqual({ Media: { id: 1 } });
+  });
+
+  test('should expire entries after the TTL', async () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    const cache = createResponseCache({ backend: 'memory', ttl: 500 });
+
+    await cache.set('key', 'value');
+    now.mockReturnValue(1499);
+    expect(await cache.get('key')).toBe('value');
+
+    now.mockReturnValue(1500);
+    expect(await cache.get('key')).toBeUndefined();
+  });
+
+  test('should not store anything when TTL is 0', async () => {
+    const cache = createResponseCache({ backend: 'memory', ttl: 0 });
+
+    await cache.set('key', 'value');
+    expect(await cache.get('key')).toBeUndefined();
+  });
+
+  test('should persist entries in localStorage across instances', async () => {
+    const first = createResponseCache({ backend: 'localstorage' });
+    await first.set('key', { value: 42 });
+
+    const second = createResponseCache({ backend: 'localstorage' });
+    expect(await second.get('key')).toEqual({ value: 42 });
+    expect((await second.getStats()).backend).toBe('localstorage');
+  });
+
+  test('should fall back to localStorage when IndexedDB is unavailable', async () => {
+    const cache = createResponseCache();
+    const stats = await cache.getStats();
+
+    // jsdom does not implement IndexedDB
+    expect(stats.backend).toBe('localstorage');
+  });
+
+  test('should track hits, misses and writes', async () => {
+    const cache = createResponseCache({ backend: 'memory' });
+
+    await cache.get('key');
+    await cache.set('key', 'value');
+    await cache.get('key');
+    await cache.get('key');
+
+    const stats = await cache.getStats();
+    expect(stats.hits).toBe(2);
+    expect(stats.misses).toBe(1);
+    expect(stats.writes).toBe(1);
+    expect(stats.entries).toBe(1);
+  });
+
+  test('should remove all entries and reset counters on clear', async () => {
+    const cache = createResponseCache({ backend: 'localstorage' });
+    localStorage.setItem('unrelated', 'keep me');
+
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.clear();
+
+    const stats = await cache.getStats();
+    expect(stats.entries).toBe(0);
+    expect(stats.writes).toBe(0);
+    expect(localStorage.getItem('unrelated')).toBe('keep me');
+  });
+
+  test('should fall back to memory when localStorage writes fail', async () => {
+    const cache = createResponseCache({ backend: 'localstorage' });
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    await cache.set('key', 'value');
+
+    expect(await cache.get('key')).toBe('value');
+    expect((await cache.getStats()).backend).toBe('memory');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Anime Data Model
+ * Normalizes provider media records into the AnimeData shape used across the app
+ */
+
+import { FORMAT_LABELS } from './search-filters.js';
+
+/**
+ * Validates an airing schedule node ({ episode, airingAt })
+ * @param {any} node - AniList airing schedule node
+ * @returns {import('./anime-api.js').AiringEpisode|null} Airing episode or null if invalid
+ */
+function normalizeAiringEpisode(node) {
+  if (!node || !Number.isInteger(node.episode) || !Number.isFinite(node.airingAt)) {
+    return null;
+  }
+  return { episode: node.episode, airingAt: node.airingAt };
+}
+
+/**
+ * Validates a date whose parts may be unknown ({ year, month, day })
+ * @param {any} date - AniList FuzzyDate
+ * @returns {import('./anime-api.js').FuzzyDate|null} Date or null if not even the year is known
+ */
+function normalizeFuzzyDate(date) {
+  if (!date || !Number.isInteger(date.year)) {
+    return null;
+  }
+  return {
+    year: date.year,
+    month: Number.isInteger(date.month) ? date.month : null,
+    day: Number.isInteger(date.day) ? date.day : null
+  };
+}
+
+/**
+ * Keeps the non-empty strings of a list, without duplicates
+ * @param {any} list - List of values
+ * @returns {string[]} Strings
+ */
+function normalizeStringList(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return [...new Set(list.filter(value => typeof value === 'string' && value.trim().length > 0))];
+}
+
+/**
+ * Parses an ISO date string ("2013-04-07") into a fuzzy date
+ * Used by providers whose APIs report plain dates
+ * @param {string|null} value - ISO date string
+ * @returns {{year: number, month: number, day: number}|null} Fuzzy date or null if unparseable
+ */
+export function parseISODate(value) {
+  const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+  if (!match) {
+    return null;
+  }
+  return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+/**
+ * Gets AniList's broadcast season for a month (seasons follow calendar quarters)
+ * @param {number|null} month - Month (1-12)
+ * @returns {string|null} WINTER, SPRING, SUMMER, FALL or null if unknown
+ */
+export function getSeasonFromMonth(month) {
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    return null;
+  }
+  return ['WINTER', 'SPRING', 'SUMMER', 'FALL'][Math.floor((month - 1) / 3)];
+}
+
+/**
+ * Validates a media record and provides defaults for missing values
+ * Providers map their own payloads into AniList-style media before calling this,
+ * so every backend produces exactly the same AnimeData shape
+ * @param {any} media - AniList-style media record
+ * @returns {import('./anime-api.js').AnimeData|null} Validated anime data or null if invalid
+ */
+export function normalizeAnimeMedia(media) {
+  if (!media || typeof media !== 'object') {
+    return null;
+  }
+
+  // Validate required fields
+  if (!media.id || !media.title) {
+    return null;
+  }
+
+  return {
+    id: media.id,
+    title: {
+      romaji: media.title.romaji || 'Unknown Title',
+      english: media.title.english || null,
+      native: media.title.native || 'Unknown Title'
+    },
+    synonyms: normalizeStringList(media.synonyms),
+    coverImage: {
+      large: media.coverImage?.large || '',
+      medium: media.coverImage?.medium || '',
+      color: /^#[0-9a-f]{3,8}$/i.test(media.coverImage?.color) ? media.coverImage.color : null
+    },
+    format: media.format || null,
+    episodes: media.episodes || null,
+    duration: media.duration || null, // Will use default 24 minutes in UI if null
+    status: media.status || 'UNKNOWN',
+    season: media.season || null,
+    seasonYear: media.seasonYear || null,
+    startDate: normalizeFuzzyDate(media.startDate),
+    endDate: normalizeFuzzyDate(media.endDate),
+    genres: normalizeStringList(media.genres),
+    studios: normalizeStringList((media.studios?.nodes || []).map(studio => studio?.name)),
+    averageScore: Number.isFinite(media.averageScore) ? media.averageScore : null,
+    siteUrl: media.siteUrl || null,
+    description: media.description || null,
+    nextAiringEpisode: normalizeAiringEpisode(media.nextAiringEpisode),
+    airingSchedule: (media.airingSchedule?.nodes || [])
+      .map(normalizeAiringEpisode)
+      .filter(node => node !== null)
+      .sort((a, b) => a.episode - b.episode)
+  };
+}
+
+/**
+ * Normalizes a list of media records, dropping invalid entries
+ * @param {any[]} mediaList - AniList-style media records
+ * @returns {import('./anime-api.js').AnimeData[]} Validated anime data
+ */
+export function normalizeAnimeMediaList(mediaList) {
+  if (!Array.isArray(mediaList)) {
+    return [];
+  }
+
+  return mediaList
+    .map(normalizeAnimeMedia)
+    .filter(anime => anime !== null);
+}
+
+/**
+ * Builds the short facts that tell similar titles apart, e.g. ["TV", "Fall 2019", "Bones", "85%"]
+ * @param {import('./anime-api.js').AnimeData} anime - Anime data
+ * @returns {string[]} Format, season (or start year), main studio and average score, where known
+ */
+export function getAnimeMetaParts(anime) {
+  if (!anime) {
+    return [];
+  }
+
+  const parts = [];
+  if (anime.format) {
+    parts.push(FORMAT_LABELS[anime.format] || anime.format);
+  }
+
+  const year = anime.seasonYear || anime.startDate?.year;
+  if (anime.season && year) {
+    parts.push(`${anime.season.charAt(0)}${anime.season.slice(1).toLowerCase()} ${year}`);
+  } else if (year) {
+    parts.push(String(year));
+  }
+
+  if (anime.studios?.length > 0) {
+    parts.push(anime.studios[0]);
+  }
+  if (anime.averageScore) {
+    parts.push(`${anime.averageScore}%`);
+  }
+  return parts;
+}
+
+/**
+ * Counts the episodes that have aired so far
+ * Finished shows count every episode; releasing shows count up to the next airing episode
+ * @param {import('./anime-api.js').AnimeData} anime - Anime data
+ * @param {number} [now] - Current time in milliseconds (default: Date.now())
+ * @returns {number} Aired episodes (0 if unknown)
+ */
+export function getAiredEpisodeCount(anime, now = Date.now()) {
+  if (!anime || anime.status === 'NOT_YET_RELEASED') {
+    return 0;
+  }
+
+  // Episodes from the schedule that have aired since the data was fetched count too
+  const upcoming = [anime.nextAiringEpisode, ...(anime.airingSchedule || [])]
+    .filter(Boolean)
+    .filter(node => node.airingAt * 1000 > now)
+    .sort((a, b) => a.episode - b.episode);
+
+  if (upcoming.length > 0) {
+    return upcoming[0].episode - 1;
+  }
+
+  const lastKnown = [anime.nextAiringEpisode, ...(anime.airingSchedule || [])]
+    .filter(Boolean)
+    .reduce((max, node) => Math.max(max, node.episode), 0);
+
+  return anime.episodes || lastKnown;
+}
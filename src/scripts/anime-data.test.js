@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for the Anime Data Model
+ * Tests normalization defaults and the display helpers built on AnimeData
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  normalizeAnimeMedia,
+  parseISODate,
+  getSeasonFromMonth,
+  getAnimeMetaParts
+} from './anime-data.js';
+
+describe('normalizeAnimeMedia', () => {
+  test('should default the detail fields of sparse records', () => {
+    const anime = normalizeAnimeMedia({ id: 1, title: { romaji: 'Sparse' } });
+
+    expect(anime).toMatchObject({
+      synonyms: [],
+      coverImage: { large: '', medium: '', color: null },
+      format: null,
+      season: null,
+      seasonYear: null,
+      startDate: null,
+      endDate: null,
+      genres: [],
+      studios: [],
+      averageScore: null,
+      siteUrl: null
+    });
+  });
+
+  test('should drop invalid list entries and cover colors', () => {
+    const anime = normalizeAnimeMedia({
+      id: 1,
+      title: { romaji: 'Messy' },
+      coverImage: { color: 'red; background: url(x)' },
+      genres: ['Drama', '', null, 'Drama'],
+      studios: { nodes: [null, { name: 'MAPPA' }] },
+      startDate: { year: 2020, month: 'soon' }
+    });
+
+    expect(anime.coverImage.color).toBeNull();
+    expect(anime.genres).toEqual(['Drama']);
+    expect(anime.studios).toEqual(['MAPPA']);
+    expect(anime.startDate).toEqual({ year: 2020, month: null, day: null });
+  });
+});
+
+describe('date helpers', () => {
+  test('should parse ISO dates into fuzzy dates', () => {
+    expect(parseISODate('2013-04-07')).toEqual({ year: 2013, month: 4, day: 7 });
+    expect(parseISODate('2013-04-07T00:00:00+00:00')).toEqual({ year: 2013, month: 4, day: 7 });
+    expect(parseISODate('April 2013')).toBeNull();
+    expect(parseISODate(null)).toBeNull();
+  });
+
+  test('should map months to broadcast seasons', () => {
+    expect(getSeasonFromMonth(1)).toBe('WINTER');
+    expect(getSeasonFromMonth(6)).toBe('SPRING');
+    expect(getSeasonFromMonth(7)).toBe('SUMMER');
+    expect(getSeasonFromMonth(12)).toBe('FALL');
+    expect(getSeasonFromMonth(null)).toBeNull();
+  });
+});
+
+describe('getAnimeMetaParts', () => {
+  test('should list format, season, main studio and score', () => {
+    const anime = { format: 'TV_SHORT', season: 'FALL', seasonYear: 2019, studios: ['Bones', 'Sunrise'], averageScore: 85 };
+
+    expect(getAnimeMetaParts(anime)).toEqual(['TV Short', 'Fall 2019', 'Bones', '85%']);
+  });
+
+  test('should fall back to the start year and skip unknown facts', () => {
+    expect(getAnimeMetaParts({ format: 'MOVIE', startDate: { year: 2001, month: null, day: null }, studios: [] })).toEqual(['Movie', '2001']);
+    expect(getAnimeMetaParts({})).toEqual([]);
+    expect(getAnimeMetaParts(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Anime API Error Model
+ * Typed errors with stable codes, so callers never have to match on message wording
+ */
+
+// Stable error codes exposed to the UI through ApiResponse.errorCode
+export const ERROR_CODES = Object.freeze({
+  RATE_LIMITED: 'RATE_LIMITED',
+  UPSTREAM_DOWN: 'UPSTREAM_DOWN',
+  NETWORK: 'NETWORK',
+  NOT_FOUND: 'NOT_FOUND',
+  GRAPHQL: 'GRAPHQL',
+  VALIDATION: 'VALIDATION',
+  UNKNOWN: 'UNKNOWN'
+});
+
+// User-facing message for each code
+const USER_MESSAGES = {
+  [ERROR_CODES.RATE_LIMITED]: 'Too many requests. Please wait a moment and try again.',
+  [ERROR_CODES.UPSTREAM_DOWN]: 'The anime database is temporarily unavailable. Please try again later.',
+  [ERROR_CODES.NETWORK]: 'Network connection error. Please check your internet connection and try again.',
+  [ERROR_CODES.NOT_FOUND]: 'No matching anime was found.',
+  [ERROR_CODES.GRAPHQL]: 'The anime database rejected the request. Please try again.',
+  [ERROR_CODES.UNKNOWN]: 'An error occurred while searching. Please try again.'
+};
+
+/**
+ * @typedef {Object} AnimeApiErrorDetails
+ * @property {string} [code] - One of ERROR_CODES
+ * @property {number|null} [status] - HTTP status of the failed response
+ * @property {number|null} [retryAfterMs] - How long to wait before retrying, if known
+ * @property {boolean} [retryable] - Whether retrying the same request can succeed
+ * @property {Object[]} [graphQLErrors] - Raw GraphQL error list from the response body
+ * @property {any} [cause] - Underlying error
+ */
+
+/**
+ * Base class of every error raised by the anime API layer
+ */
+export class AnimeApiError extends Error {
+  /**
+   * @param {string} message - Technical error message
+   * @param {AnimeApiErrorDetails} details - Error details
+   */
+  constructor(message, { code = ERROR_CODES.UNKNOWN, status = null, retryAfterMs = null, retryable = false, graphQLErrors = [], cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'AnimeApiError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable;
+    this.graphQLErrors = graphQLErrors;
+  }
+}
+
+/**
+ * Too many requests (HTTP 429 or an exhausted quota)
+ */
+export class RateLimitError extends AnimeApiError {
+  constructor(message = 'Rate limit exceeded. Please try again in a moment.', details = {}) {
+    super(message, { retryable: true, status: 429, ...details, code: ERROR_CODES.RATE_LIMITED });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The provider answered with a server error (HTTP 5xx)
+ */
+export class UpstreamError extends AnimeApiError {
+  constructor(message = 'Anime API is temporarily unavailable. Please try again later.', details = {}) {
+    super(message, { retryable: true, ...details, code: ERROR_CODES.UPSTREAM_DOWN });
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * The request never got a usable response (offline, CORS, unexpected status)
+ */
+export class NetworkError extends AnimeApiError {
+  constructor(message = 'Network error', details = {}) {
+    super(message, { retryable: true, ...details, code: ERROR_CODES.NETWORK });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The requested anime or endpoint does not exist
+ */
+export class NotFoundError extends AnimeApiError {
+  constructor(message = 'Not found.', details = {}) {
+    super(message, { status: 404, ...details, code: ERROR_CODES.NOT_FOUND });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The GraphQL response carried errors
+ */
+export class GraphQLError extends AnimeApiError {
+  constructor(message = 'GraphQL error', details = {}) {
+    super(message, { ...details, code: ERROR_CODES.GRAPHQL });
+    this.name = 'GraphQLError';
+  }
+}
+
+/**
+ * The request was rejected before it was sent (empty search term, invalid ID)
+ */
+export class ValidationError extends AnimeApiError {
+  constructor(message = 'Invalid request.', details = {}) {
+    super(message, { ...details, code: ERROR_CODES.VALIDATION });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Wraps any thrown value in an AnimeApiError
+ * fetch rejects with a TypeError when the network is unreachable
+ * @param {any} error - Caught error
+ * @returns {AnimeApiError} Typed error
+ */
+export function toAnimeApiError(error) {
+  if (error instanceof AnimeApiError) {
+    return error;
+  }
+  if (error?.name === 'TypeError') {
+    return new NetworkError(`Network error: ${error.message}`, { cause: error });
+  }
+  return new AnimeApiError(error?.message || String(error), { cause: error });
+}
+
+/**
+ * Gets the user-facing message for an error
+ * @param {any} error - Caught error
+ * @returns {string} Message suitable for display
+ */
+export function getUserErrorMessage(error) {
+  const apiError = toAnimeApiError(error);
+  // Validation messages are written for the user already
+  if (apiError.code === ERROR_CODES.VALIDATION) {
+    return apiError.message;
+  }
+  return USER_MESSAGES[apiError.code] || USER_MESSAGES[ERROR_CODES.UNKNOWN];
+}
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for the Anime API Error Model
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  ERROR_CODES,
+  AnimeApiError,
+  RateLimitError,
+  UpstreamError,
+  NetworkError,
+  NotFoundError,
+  GraphQLError,
+  ValidationError,
+  toAnimeApiError,
+  getUserErrorMessage
+} from './anime-errors.js';
+
+describe('AnimeApiError hierarchy', () => {
+  test('should give every subclass its stable code', () => {
+    expect(new RateLimitError().code).toBe(ERROR_CODES.RATE_LIMITED);
+    expect(new UpstreamError().code).toBe(ERROR_CODES.UPSTREAM_DOWN);
+    expect(new NetworkError().code).toBe(ERROR_CODES.NETWORK);
+    expect(new NotFoundError().code).toBe(ERROR_CODES.NOT_FOUND);
+    expect(new GraphQLError().code).toBe(ERROR_CODES.GRAPHQL);
+    expect(new ValidationError().code).toBe(ERROR_CODES.VALIDATION);
+    expect(new ValidationError()).toBeInstanceOf(AnimeApiError);
+  });
+
+  test('should carry retry hints and GraphQL errors', () => {
+    const rateLimited = new RateLimitError(undefined, { retryAfterMs: 5000 });
+    const graphQL = new GraphQLError('API Error: Bad', { graphQLErrors: [{ message: 'Bad' }] });
+
+    expect(rateLimited).toMatchObject({ retryable: true, retryAfterMs: 5000, status: 429 });
+    expect(graphQL).toMatchObject({ retryable: false, graphQLErrors: [{ message: 'Bad' }] });
+  });
+
+  test('should not let details override the code', () => {
+    expect(new NotFoundError('x', { code: 'NETWORK' }).code).toBe(ERROR_CODES.NOT_FOUND);
+  });
+});
+
+describe('toAnimeApiError', () => {
+  test('should keep typed errors as they are', () => {
+    const error = new UpstreamError();
+    expect(toAnimeApiError(error)).toBe(error);
+  });
+
+  test('should treat fetch TypeErrors as network errors', () => {
+    const error = toAnimeApiError(new TypeError('Failed to fetch'));
+
+    expect(error.code).toBe(ERROR_CODES.NETWORK);
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+
+  test('should wrap anything else as UNKNOWN', () => {
+    expect(toAnimeApiError(new Error('boom')).code).toBe(ERROR_CODES.UNKNOWN);
+  });
+});
+
+describe('getUserErrorMessage', () => {
+  test('should pick the message by code, not by wording', () => {
+    expect(getUserErrorMessage(new RateLimitError('Slow down'))).toBe('Too many requests. Please wait a moment and try again.');
+    expect(getUserErrorMessage(new Error('Rate limit'))).toBe('An error occurred while searching. Please try again.');
+  });
+
+  test('should show validation messages as written', () => {
+    expect(getUserErrorMessage(new ValidationError('Invalid anime ID.'))).toBe('Invalid anime ID.');
+  });
+});
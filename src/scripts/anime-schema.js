@@ -0,0 +1,355 @@
+/**
+ * Response Schema Module
+ * Declarative schemas for the provider responses, and a validator that checks types and ranges,
+ * repairs what it safely can (numbers sent as strings, enum values in the wrong case) and
+ * reports everything else with the exact field path, so upstream data changes show up
+ * instead of silently emptying the results
+ */
+
+import { ANIME_FORMATS, ANIME_SEASONS, ANIME_STATUSES } from './search-filters.js';
+
+/**
+ * @typedef {Object} SchemaNode
+ * @property {string} type - string, integer, number, boolean, enum, array or object
+ * @property {boolean} [required] - Missing or invalid values invalidate the enclosing record
+ * @property {number} [min] - Smallest accepted number
+ * @property {number} [max] - Largest accepted number
+ * @property {RegExp} [pattern] - Format strings must match
+ * @property {string[]} [values] - Accepted enum values
+ * @property {SchemaNode} [items] - Schema of array items
+ * @property {Object<string, SchemaNode>} [fields] - Schemas of object fields (other fields pass through)
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Field path in the response (e.g. Page.media[3].duration)
+ * @property {string} message - What is wrong with the value
+ * @property {any} value - Value as received
+ * @property {string} action - repaired (value fixed), dropped (value cleared) or rejected (record discarded)
+ * @property {string} [provider] - Provider that returned the response
+ */
+
+// Returned for values that invalidate their record
+const INVALID = Symbol('invalid');
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+// Formats of related manga and novels, which share the media fields with anime
+const RELATED_MEDIA_FORMATS = ['MANGA', 'NOVEL', 'ONE_SHOT'];
+
+const FUZZY_DATE_SCHEMA = {
+  type: 'object',
+  fields: {
+    year: { type: 'integer', min: 1900, max: 2100 },
+    month: { type: 'integer', min: 1, max: 12 },
+    day: { type: 'integer', min: 1, max: 31 }
+  }
+};
+
+const AIRING_EPISODE_SCHEMA = {
+  type: 'object',
+  fields: {
+    episode: { type: 'integer', min: 1, required: true },
+    airingAt: { type: 'integer', min: 0, required: true }
+  }
+};
+
+const STRING_LIST_SCHEMA = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Media record in AniList's shape; the other providers map their payloads into it
+ * @type {SchemaNode}
+ */
+export const MEDIA_SCHEMA = {
+  type: 'object',
+  fields: {
+    id: { type: 'integer', min: 1, required: true },
+    title: {
+      type: 'object',
+      required: true,
+      fields: {
+        romaji: { type: 'string' },
+        english: { type: 'string' },
+        native: { type: 'string' }
+      }
+    },
+    synonyms: STRING_LIST_SCHEMA,
+    coverImage: {
+      type: 'object',
+      fields: {
+        large: { type: 'string' },
+        medium: { type: 'string' },
+        color: { type: 'string', pattern: HEX_COLOR_PATTERN }
+      }
+    },
+    format: { type: 'enum', values: ANIME_FORMATS },
+    episodes: { type: 'integer', min: 1 },
+    duration: { type: 'integer', min: 1 },
+    status: { type: 'enum', values: ANIME_STATUSES },
+    season: { type: 'enum', values: ANIME_SEASONS },
+    seasonYear: { type: 'integer', min: 1900, max: 2100 },
+    startDate: FUZZY_DATE_SCHEMA,
+    endDate: FUZZY_DATE_SCHEMA,
+    genres: STRING_LIST_SCHEMA,
+    studios: {
+      type: 'object',
+      fields: {
+        nodes: { type: 'array', items: { type: 'object', fields: { name: { type: 'string' } } } }
+      }
+    },
+    averageScore: { type: 'integer', min: 0, max: 100 },
+    popularity: { type: 'integer', min: 0 },
+    siteUrl: { type: 'string' },
+    description: { type: 'string' },
+    nextAiringEpisode: AIRING_EPISODE_SCHEMA,
+    airingSchedule: {
+      type: 'object',
+      fields: {
+        nodes: { type: 'array', items: AIRING_EPISODE_SCHEMA }
+      }
+    }
+  }
+};
+
+/**
+ * List of media records; unusable records are dropped from it
+ * @type {SchemaNode}
+ */
+export const MEDIA_LIST_SCHEMA = { type: 'array', items: { ...MEDIA_SCHEMA, required: true } };
+
+const PAGE_INFO_SCHEMA = {
+  type: 'object',
+  fields: {
+    total: { type: 'integer', min: 0 },
+    currentPage: { type: 'integer', min: 1 },
+    hasNextPage: { type: 'boolean' }
+  }
+};
+
+// Related media may be manga or novels, told apart by their type
+const RELATED_MEDIA_SCHEMA = {
+  ...MEDIA_SCHEMA,
+  required: true,
+  fields: {
+    ...MEDIA_SCHEMA.fields,
+    type: { type: 'enum', values: ['ANIME', 'MANGA'] },
+    format: { type: 'enum', values: [...ANIME_FORMATS, ...RELATED_MEDIA_FORMATS] }
+  }
+};
+
+/**
+ * Schemas of the data payload of each AniList query
+ * @type {{media: SchemaNode, page: SchemaNode, relations: SchemaNode}}
+ */
+export const ANILIST_RESPONSE_SCHEMAS = {
+  // Media(id) and Media(search)
+  media: {
+    type: 'object',
+    fields: { Media: MEDIA_SCHEMA }
+  },
+  // Page { media, pageInfo } of searches and popular lists
+  page: {
+    type: 'object',
+    fields: {
+      Page: {
+        type: 'object',
+        fields: { media: MEDIA_LIST_SCHEMA, pageInfo: PAGE_INFO_SCHEMA }
+      }
+    }
+  },
+  // Media with its relations, for franchise walks
+  relations: {
+    type: 'object',
+    fields: {
+      Media: {
+        ...MEDIA_SCHEMA,
+        fields: {
+          ...MEDIA_SCHEMA.fields,
+          relations: {
+            type: 'object',
+            fields: {
+              edges: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: true,
+                  fields: { relationType: { type: 'string' }, node: RELATED_MEDIA_SCHEMA }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Reads a number, accepting numeric strings as a repair
+ * @param {any} value - Value to read
+ * @returns {{value?: number, repaired?: string, error?: string}} Check result
+ */
+function readNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value } : { error: 'must be a finite number' };
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return { value: Number(value), repaired: 'was a numeric string' };
+  }
+  return { error: 'must be a number' };
+}
+
+/**
+ * Checks a number against the node's range
+ * @param {{value?: number, repaired?: string, error?: string}} result - Result of readNumber
+ * @param {SchemaNode} schema - Schema node
+ * @returns {{value?: number, repaired?: string, error?: string}} Check result
+ */
+function checkRange(result, schema) {
+  if (result.error) {
+    return result;
+  }
+  if (schema.min !== undefined && result.value < schema.min) {
+    return { error: `must be at least ${schema.min}` };
+  }
+  if (schema.max !== undefined && result.value > schema.max) {
+    return { error: `must be at most ${schema.max}` };
+  }
+  return result;
+}
+
+// Checks for each node type; they return the (possibly repaired) value or an error
+const CHECKS = {
+  number: (value, schema) => checkRange(readNumber(value), schema),
+
+  integer: (value, schema) => {
+    const result = readNumber(value);
+    if (!result.error && !Number.isInteger(result.value)) {
+      return { error: 'must be an integer' };
+    }
+    return checkRange(result, schema);
+  },
+
+  string: (value, schema) => {
+    let result = { value };
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      result = { value: String(value), repaired: `was a ${typeof value}` };
+    } else if (typeof value !== 'string') {
+      return { error: 'must be a string' };
+    }
+    if (schema.pattern && !schema.pattern.test(result.value)) {
+      return { error: 'has an unexpected format' };
+    }
+    return result;
+  },
+
+  boolean: value => {
+    if (typeof value === 'boolean') {
+      return { value };
+    }
+    if (value === 'true' || value === 'false') {
+      return { value: value === 'true', repaired: 'was a string' };
+    }
+    return { error: 'must be true or false' };
+  },
+
+  enum: (value, schema) => {
+    if (schema.values.includes(value)) {
+      return { value };
+    }
+    const normalized = typeof value === 'string' ? value.trim().toUpperCase().replace(/[\s-]+/g, '_') : null;
+    if (schema.values.includes(normalized)) {
+      return { value: normalized, repaired: `was spelled "${value}"` };
+    }
+    return { error: `must be one of ${schema.values.join(', ')}` };
+  },
+
+  array: (value, schema, path, issues) => {
+    if (!Array.isArray(value)) {
+      return { error: 'must be a list' };
+    }
+    // Invalid items are reported at their own path and left out
+    const items = value
+      .map((item, index) => validateNode(item, schema.items, `${path}[${index}]`, issues))
+      .filter(item => item !== INVALID);
+    return { value: items };
+  },
+
+  object: (value, schema, path, issues) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'must be an object' };
+    }
+    const result = { ...value };
+    for (const [key, fieldSchema] of Object.entries(schema.fields || {})) {
+      const fieldValue = validateNode(value[key], fieldSchema, path ? `${path}.${key}` : key, issues);
+      if (fieldValue === INVALID) {
+        return { invalid: true };
+      }
+      if (fieldValue !== value[key]) {
+        result[key] = fieldValue;
+      }
+    }
+    return { value: result };
+  }
+};
+
+/**
+ * Validates a value against a schema node, collecting issues
+ * Missing values are fine unless required; invalid optional values become null
+ * @param {any} value - Value to validate
+ * @param {SchemaNode} schema - Schema node
+ * @param {string} path - Path of the value, for issue reports
+ * @param {ValidationIssue[]} issues - Collected issues
+ * @returns {any} Validated value, or INVALID if the enclosing record must be discarded
+ */
+function validateNode(value, schema, path, issues) {
+  if (value === undefined || value === null) {
+    if (!schema.required) {
+      return value;
+    }
+    issues.push({ path, message: 'is missing', value, action: 'rejected' });
+    return INVALID;
+  }
+
+  const result = CHECKS[schema.type](value, schema, path, issues);
+  if (result.invalid) {
+    return schema.required ? INVALID : null;
+  }
+  if (result.error) {
+    issues.push({ path, message: result.error, value, action: schema.required ? 'rejected' : 'dropped' });
+    return schema.required ? INVALID : null;
+  }
+  if (result.repaired) {
+    issues.push({ path, message: result.repaired, value, action: 'repaired' });
+  }
+  return result.value;
+}
+
+/**
+ * Validates a response against a schema
+ * @param {any} value - Response data
+ * @param {SchemaNode} schema - Schema of the response
+ * @param {string} [path] - Path of the data in the response (prefix of the issue paths)
+ * @returns {{value: any, issues: ValidationIssue[]}} Repaired data (null if unusable) and the issues found
+ */
+export function validateSchema(value, schema, path = '') {
+  const issues = [];
+  const validated = validateNode(value, schema, path, issues);
+  return { value: validated === INVALID ? null : validated, issues };
+}
+
+/**
+ * Creates the validator a provider runs its responses through
+ * @param {string} provider - Provider name, added to every issue
+ * @param {function(ValidationIssue[]): void} [onValidationIssues] - Receives the issues of each response that has any
+ * @returns {function(any, SchemaNode, string): any} (value, schema, path) => repaired value (null if unusable)
+ */
+export function createResponseValidator(provider, onValidationIssues) {
+  return (value, schema, path) => {
+    const result = validateSchema(value, schema, path);
+    if (result.issues.length > 0) {
+      onValidationIssues?.(result.issues.map(issue => ({ ...issue, provider })));
+    }
+    return result.value;
+  };
+}
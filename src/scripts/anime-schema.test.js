@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Response Schemas
+ * Tests type and range checks, repairs and issue paths
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  validateSchema,
+  createResponseValidator,
+  MEDIA_SCHEMA,
+  ANILIST_RESPONSE_SCHEMAS
+} from './anime-schema.js';
+
+const media = {
+  id: 5114,
+  title: { romaji: 'Hagane no Renkinjutsushi: FULLMETAL ALCHEMIST', english: 'Fullmetal Alchemist: Brotherhood', native: null },
+  format: 'TV',
+  episodes: 64,
+  duration: 24,
+  status: 'FINISHED',
+  genres: ['Action', 'Drama'],
+  averageScore: 90
+};
+
+describe('validateSchema', () => {
+  test('should pass valid records through untouched', () => {
+    const { value, issues } = validateSchema(media, MEDIA_SCHEMA);
+
+    expect(value).toEqual(media);
+    expect(issues).toEqual([]);
+  });
+
+  test('should repair numeric strings and enum spelling', () => {
+    const { value, issues } = validateSchema({ ...media, episodes: '64', format: 'tv', status: 'Finished' }, MEDIA_SCHEMA);
+
+    expect(value).toMatchObject({ episodes: 64, format: 'TV', status: 'FINISHED' });
+    expect(issues.map(issue => [issue.path, issue.action])).toEqual([
+      ['format', 'repaired'],
+      ['episodes', 'repaired'],
+      ['status', 'repaired']
+    ]);
+  });
+
+  test('should drop values out of type or range and report their paths', () => {
+    const { value, issues } = validateSchema({
+      ...media,
+      duration: -24,
+      episodes: 12.5,
+      averageScore: 900,
+      startDate: { year: 2009, month: 13, day: 5 }
+    }, MEDIA_SCHEMA, 'data.Media');
+
+    expect(value).toMatchObject({ duration: null, episodes: null, averageScore: null, startDate: { year: 2009, month: null, day: 5 } });
+    expect(issues).toEqual([
+      { path: 'data.Media.episodes', message: 'must be an integer', value: 12.5, action: 'dropped' },
+      { path: 'data.Media.duration', message: 'must be at least 1', value: -24, action: 'dropped' },
+      { path: 'data.Media.startDate.month', message: 'must be at most 12', value: 13, action: 'dropped' },
+      { path: 'data.Media.averageScore', message: 'must be at most 100', value: 900, action: 'dropped' }
+    ]);
+  });
+
+  test('should reject list items missing a required field and keep the rest', () => {
+    const response = {
+      Page: {
+        media: [media, { ...media, id: null }, { ...media, id: 'abc' }],
+        pageInfo: { total: 3, currentPage: 1, hasNextPage: 'false' }
+      }
+    };
+
+    const { value, issues } = validateSchema(response, ANILIST_RESPONSE_SCHEMAS.page, 'data');
+
+    expect(value.Page.media).toEqual([media]);
+    expect(value.Page.pageInfo.hasNextPage).toBe(false);
+    expect(issues).toEqual([
+      { path: 'data.Page.media[1].id', message: 'is missing', value: null, action: 'rejected' },
+      { path: 'data.Page.media[2].id', message: 'must be a number', value: 'abc', action: 'rejected' },
+      { path: 'data.Page.pageInfo.hasNextPage', message: 'was a string', value: 'false', action: 'repaired' }
+    ]);
+  });
+
+  test('should accept manga among related media', () => {
+    const response = {
+      Media: {
+        ...media,
+        relations: { edges: [{ relationType: 'SOURCE', node: { id: 25, title: { romaji: 'Hagane no Renkinjutsushi' }, type: 'MANGA', format: 'MANGA' } }] }
+      }
+    };
+
+    expect(validateSchema(response, ANILIST_RESPONSE_SCHEMAS.relations).issues).toEqual([]);
+  });
+});
+
+describe('createResponseValidator', () => {
+  test('should report the issues of a response with the provider name', () => {
+    const onValidationIssues = vi.fn();
+    const validate = createResponseValidator('kitsu', onValidationIssues);
+
+    validate(media, MEDIA_SCHEMA, 'data');
+    expect(onValidationIssues).not.toHaveBeenCalled();
+
+    expect(validate({ ...media, duration: 0 }, MEDIA_SCHEMA, 'data')).toMatchObject({ duration: null });
+    expect(onValidationIssues).toHaveBeenCalledWith([
+      { path: 'data.duration', message: 'must be at least 1', value: 0, action: 'dropped', provider: 'kitsu' }
+    ]);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Filler Data Module
+ * Loads which episodes of a series are filler, recap or mixed from the bundled dataset
+ * (public/data/filler.json, keyed by AniList ID), with corrections the viewer saved locally on top
+ *
+ * IDs of other providers (Kitsu, MyAnimeList) name different shows, so the dataset is only
+ * consulted for AniList IDs and corrections are saved per provider
+ */
+
+import { parseEpisodeRanges } from './time-calculator.js';
+
+/**
+ * @typedef {import('./time-calculator.js').EpisodeClassification} EpisodeClassification
+ */
+
+/**
+ * @typedef {Object} EpisodeTypesEntry
+ * @property {EpisodeClassification} episodeTypes - Episode types of the anime
+ * @property {'user'|'dataset'} source - Whether they come from the viewer's corrections or the dataset
+ */
+
+export const FILLER_DATA_URL = '/data/filler.json';
+
+// Provider whose IDs key the dataset
+export const DATASET_PROVIDER = 'anilist';
+
+// Episode types a dataset entry may list; episodes in none of them are canon
+export const EPISODE_TYPES = ['canon', 'mixed', 'filler', 'recap'];
+
+const STORAGE_KEY = 'anime-time-calculator:episode-types';
+
+/**
+ * Reads the episode types of one dataset entry or saved correction
+ * Each type is either text such as "26, 97-106" or a list of episode ranges
+ * @param {Object} entry - Entry with a value per episode type
+ * @returns {{episodeTypes: EpisodeClassification, error: string|null}} Episode types, or the first value that could not be read
+ */
+export function parseEpisodeClassification(entry) {
+  const episodeTypes = {};
+
+  for (const type of EPISODE_TYPES) {
+    const value = entry?.[type];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      episodeTypes[type] = value.filter(range => range && typeof range === 'object' && 'from' in range && 'to' in range);
+      continue;
+    }
+
+    const { ranges, error } = parseEpisodeRanges(String(value));
+    if (error) {
+      return { episodeTypes: {}, error: `${type}: ${error}` };
+    }
+    episodeTypes[type] = ranges;
+  }
+  return { episodeTypes, error: null };
+}
+
+/**
+ * Builds the key corrections are saved under
+ * @param {number|string} animeId - Anime ID
+ * @param {string} provider - Provider the ID belongs to
+ * @returns {string} Key such as "anilist:20"
+ */
+function getOverrideKey(animeId, provider) {
+  return `${provider}:${animeId}`;
+}
+
+/**
+ * Gets localStorage if it is usable
+ * @returns {Storage|null} localStorage or null
+ */
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // Accessing localStorage throws when storage is disabled
+  }
+}
+
+/**
+ * Creates the store of episode types
+ * The dataset is fetched once, the first time an anime is looked up
+ * @param {Object} [options] - Store options
+ * @param {string} [options.url] - Dataset URL (default: /data/filler.json)
+ * @param {typeof fetch} [options.fetchImpl] - Fetch implementation (default: global fetch)
+ * @param {Storage|null} [options.storage] - Where corrections are kept (default: localStorage)
+ * @returns {Object} Store with load, get, getOverride, saveOverride and removeOverride
+ */
+export function createFillerStore({ url = FILLER_DATA_URL, fetchImpl = globalThis.fetch, storage = getLocalStorage() } = {}) {
+  let dataset = null;
+  let memory = {};
+
+  function readOverrides() {
+    if (!storage) {
+      return memory;
+    }
+    try {
+      const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function writeOverrides(overrides) {
+    memory = overrides;
+    if (!storage) {
+      return;
+    }
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    } catch (error) {
+      console.warn('Could not save episode types:', error);
+    }
+  }
+
+  return {
+    /**
+     * Loads the dataset
+     * A failed load is not kept, so the next lookup tries again
+     * @returns {Promise<{data: Object<string, EpisodeClassification>|null, error: string|null}>} Episode types by AniList ID
+     */
+    load() {
+      if (!dataset) {
+        dataset = (async () => {
+          try {
+            const response = await fetchImpl(url);
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            const { anime = {} } = await response.json();
+
+            const data = {};
+            for (const [id, entry] of Object.entries(anime)) {
+              const { episodeTypes, error } = parseEpisodeClassification(entry);
+              if (error) {
+                console.warn(`Ignoring filler data of anime ${id}: ${error}`);
+              } else {
+                data[id] = episodeTypes;
+              }
+            }
+            return { data, error: null };
+          } catch (error) {
+            dataset = null;
+            return { data: null, error: `Filler data could not be loaded: ${error.message}` };
+          }
+        })();
+      }
+      return dataset;
+    },
+
+    /**
+     * Gets the episode types of an anime, preferring the viewer's corrections
+     * @param {number|string} animeId - Anime ID
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     * @returns {Promise<{data: EpisodeTypesEntry|null, error: string|null}>} Episode types, or null data if the anime has none
+     */
+    async get(animeId, provider = DATASET_PROVIDER) {
+      const override = this.getOverride(animeId, provider);
+      if (override) {
+        return { data: { episodeTypes: override, source: 'user' }, error: null };
+      }
+      if (provider !== DATASET_PROVIDER) {
+        return { data: null, error: null };
+      }
+
+      const { data, error } = await this.load();
+      if (error) {
+        return { data: null, error };
+      }
+      return { data: data[animeId] ? { episodeTypes: data[animeId], source: 'dataset' } : null, error: null };
+    },
+
+    /**
+     * Gets the corrections saved for an anime
+     * @param {number|string} animeId - Anime ID
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     * @returns {EpisodeClassification|null} Saved episode types or null
+     */
+    getOverride(animeId, provider = DATASET_PROVIDER) {
+      const overrides = readOverrides();
+      // Corrections saved before they were kept per provider are AniList ones
+      const override = overrides[getOverrideKey(animeId, provider)] ?? (provider === DATASET_PROVIDER ? overrides[animeId] : undefined);
+      return override ? parseEpisodeClassification(override).episodeTypes : null;
+    },
+
+    /**
+     * Saves corrected episode types for an anime, used instead of the dataset
+     * @param {number|string} animeId - Anime ID
+     * @param {EpisodeClassification} episodeTypes - Episode types
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     */
+    saveOverride(animeId, episodeTypes, provider = DATASET_PROVIDER) {
+      const overrides = { ...readOverrides() };
+      if (provider === DATASET_PROVIDER) {
+        delete overrides[animeId];
+      }
+      writeOverrides({ ...overrides, [getOverrideKey(animeId, provider)]: parseEpisodeClassification(episodeTypes).episodeTypes });
+    },
+
+    /**
+     * Removes the corrections of an anime, so the dataset applies again
+     * @param {number|string} animeId - Anime ID
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     */
+    removeOverride(animeId, provider = DATASET_PROVIDER) {
+      const { [getOverrideKey(animeId, provider)]: removed, ...overrides } = readOverrides();
+      if (provider === DATASET_PROVIDER) {
+        delete overrides[animeId];
+      }
+      writeOverrides(overrides);
+    }
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Filler Data
+ * Tests dataset parsing, loading and the viewer's corrections
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { createFillerStore, parseEpisodeClassification, EPISODE_TYPES } from './filler-data.js';
+import bundled from '../../public/data/filler.json';
+
+const dataset = {
+  version: 1,
+  anime: {
+    20: { title: 'Naruto', filler: '26, 97, 101-106' },
+    5114: { title: 'Broken', recap: 'twelve' }
+  }
+};
+
+function createFetch(body, ok = true) {
+  return vi.fn(async () => ({ ok, status: ok ? 200 : 404, json: async () => body }));
+}
+
+describe('parseEpisodeClassification', () => {
+  test('should read text and range lists', () => {
+    expect(parseEpisodeClassification({ filler: '26, 97-98', recap: [{ from: 'last', to: 'last' }], mixed: '' })).toEqual({
+      episodeTypes: { filler: [{ from: 26, to: 26 }, { from: 97, to: 98 }], recap: [{ from: 'last', to: 'last' }] },
+      error: null
+    });
+  });
+
+  test('should name the type that could not be read', () => {
+    expect(parseEpisodeClassification({ recap: 'twelve' })).toEqual({
+      episodeTypes: {},
+      error: 'recap: "twelve" is not an episode or range'
+    });
+  });
+
+});
+
+describe('bundled dataset', () => {
+  // Only the file's shape is checked, so data updates don't need test changes
+  test('should list readable entries keyed by AniList ID', () => {
+    expect(bundled.version).toEqual(expect.any(Number));
+    expect(Object.keys(bundled.anime).length).toBeGreaterThan(0);
+
+    for (const [id, entry] of Object.entries(bundled.anime)) {
+      expect(id).toMatch(/^\d+$/);
+      expect(entry.title).toEqual(expect.any(String));
+      Object.keys(entry).forEach(key => expect(['title', ...EPISODE_TYPES]).toContain(key));
+      expect(parseEpisodeClassification(entry).error).toBeNull();
+    }
+  });
+});
+
+describe('createFillerStore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should look up anime in the dataset and skip unreadable entries', async () => {
+    const fetchImpl = createFetch(dataset);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = createFillerStore({ fetchImpl });
+
+    expect(await store.get(20)).toEqual({
+      data: { episodeTypes: { filler: [{ from: 26, to: 26 }, { from: 97, to: 97 }, { from: 101, to: 106 }] }, source: 'dataset' },
+      error: null
+    });
+    expect(await store.get(5114)).toEqual({ data: null, error: null });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('anime 5114'));
+    warn.mockRestore();
+  });
+
+  test('should prefer saved corrections and fall back to the dataset once removed', async () => {
+    const store = createFillerStore({ fetchImpl: createFetch(dataset) });
+    store.saveOverride(20, { filler: '26', recap: [{ from: 'last', to: 'last' }] });
+
+    expect(createFillerStore({ fetchImpl: createFetch(dataset) }).getOverride(20)).toEqual({
+      filler: [{ from: 26, to: 26 }],
+      recap: [{ from: 'last', to: 'last' }]
+    });
+    expect((await store.get(20)).data.source).toBe('user');
+
+    store.removeOverride(20);
+    expect((await store.get(20)).data.source).toBe('dataset');
+  });
+
+  test('should only use the dataset for AniList IDs and keep corrections per provider', async () => {
+    const fetchImpl = createFetch(dataset);
+    const store = createFillerStore({ fetchImpl });
+
+    // Kitsu ID 20 is another show, so the dataset is not consulted
+    expect(await store.get(20, 'kitsu')).toEqual({ data: null, error: null });
+    expect(fetchImpl).not.toHaveBeenCalled();
+
+    store.saveOverride(20, { filler: '1-3' }, 'kitsu');
+    expect(store.getOverride(20, 'kitsu')).toEqual({ filler: [{ from: 1, to: 3 }] });
+    expect(store.getOverride(20, 'jikan')).toBeNull();
+    expect((await store.get(20)).data.source).toBe('dataset');
+
+    store.removeOverride(20, 'kitsu');
+    expect(store.getOverride(20, 'kitsu')).toBeNull();
+  });
+
+  test('should read corrections saved before they were kept per provider as AniList ones', () => {
+    localStorage.setItem('anime-time-calculator:episode-types', JSON.stringify({ 20: { filler: '26' } }));
+    const store = createFillerStore({ fetchImpl: createFetch(dataset) });
+
+    expect(store.getOverride(20)).toEqual({ filler: [{ from: 26, to: 26 }] });
+    expect(store.getOverride(20, 'kitsu')).toBeNull();
+
+    store.removeOverride(20);
+    expect(store.getOverride(20)).toBeNull();
+  });
+
+  test('should report a failed load and retry on the next lookup', async () => {
+    const fetchImpl = createFetch(null, false);
+    const store = createFillerStore({ fetchImpl });
+
+    expect(await store.get(20)).toEqual({ data: null, error: 'Filler data could not be loaded: HTTP 404' });
+    await store.get(20);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * iCalendar Export Module
+ * Writes a watch plan as an RFC 5545 calendar: one event per viewing session and, for shows
+ * that are still airing, an optional recurring event for new episodes
+ */
+
+import { calculateAiringWatchTime } from './time-calculator.js';
+import { formatEpisodeList } from './watch-planner.js';
+
+/**
+ * @typedef {Object} CalendarOptions
+ * @property {string} [sessionStart] - Local time viewing sessions start at, as HH:MM (default: 20:00)
+ * @property {boolean} [includeAiring] - Whether to add new episode airings of a releasing show (default: false)
+ * @property {string} [timeZone] - IANA time zone the plan was made in, shown by calendar apps (default: the system's)
+ * @property {Date|number} [now] - Creation time of the calendar (default: now)
+ */
+
+const PRODUCT_ID = '-//Anime Time Calculator//Watch Plan//EN';
+const UID_DOMAIN = 'anime-time-calculator.netlify.app';
+const SESSION_START_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets per line (RFC 5545 section 3.1)
+ * Lines are only broken between characters, so multi-byte titles stay intact
+ * @param {string} line - Content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME, e.g. 20260107T190000Z
+ * @param {Date} date - Instant
+ * @returns {string} UTC date-time
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats the local calendar day of a date, e.g. 20260107
+ * @param {Date} date - Date
+ * @returns {string} Local date
+ */
+function formatLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/**
+ * Formats a length of time as a DURATION, rounded up to whole minutes
+ * @param {number} minutes - Length in minutes
+ * @returns {string} Duration, e.g. PT1H12M
+ */
+function formatDuration(minutes) {
+  const total = Math.max(1, Math.ceil(minutes));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+/**
+ * Gets the title to show for an anime
+ * @param {Object} anime - Anime data
+ * @returns {string} English title, falling back to the romanized one
+ */
+function getAnimeTitle(anime) {
+  return anime?.title?.english || anime?.title?.romaji || 'Anime';
+}
+
+/**
+ * Builds the VEVENT lines of one viewing session
+ * Sessions start at the chosen local time on the planned day and are written in UTC, so every
+ * calendar app shows them at that local time, daylight-saving changes included
+ * @param {import('./watch-planner.js').ScheduledDay} day - Planned day
+ * @param {Object} context - Anime, title, session start and timestamp
+ * @returns {string[]} Content lines
+ */
+function buildSessionEvent(day, { anime, title, hours, minutes, stamp }) {
+  const start = new Date(day.date);
+  start.setHours(hours, minutes, 0, 0);
+  const episodes = formatEpisodeList(day.episodes);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:watch-${anime?.id ?? 'anime'}-${formatLocalDate(day.date)}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtcDateTime(start)}`,
+    `DURATION:${formatDuration(day.minutes)}`,
+    `SUMMARY:${escapeText(`${title}: ${episodes}`)}`,
+    `DESCRIPTION:${escapeText(`Watch ${title}, ${episodes} (${day.formattedTime}).`)}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Builds the recurring VEVENT of new episode airings
+ * Broadcasts are weekly at a fixed instant; with a known episode count the series ends at the
+ * last episode, otherwise it repeats until removed
+ * @param {Object} context - Anime, title and timestamp
+ * @returns {string[]} Content lines, empty if no upcoming episode is known or the projected
+ *   count is already behind the airing schedule
+ */
+function buildAiringEvent({ anime, title, stamp, now }) {
+  const { nextEpisode, projectedEpisodes } = calculateAiringWatchTime(anime, {}, now.getTime());
+  if (!nextEpisode) {
+    return [];
+  }
+
+  const remaining = projectedEpisodes ? projectedEpisodes - nextEpisode.episode + 1 : null;
+  if (remaining !== null && remaining < 1) {
+    return [];
+  }
+  const rule = remaining ? `RRULE:FREQ=WEEKLY;COUNT=${remaining}` : 'RRULE:FREQ=WEEKLY';
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:airing-${anime?.id ?? 'anime'}-${nextEpisode.episode}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtcDateTime(nextEpisode.airingAt)}`,
+    `DURATION:${formatDuration(anime?.duration || 24)}`,
+    ...(remaining === 1 ? [] : [rule]),
+    `SUMMARY:${escapeText(`New episode of ${title}`)}`,
+    `DESCRIPTION:${escapeText(
+      `Weekly broadcast of ${title} from episode ${nextEpisode.episode}${projectedEpisodes ? ` to episode ${projectedEpisodes}` : ''}.`
+    )}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Creates an iCalendar file from a watch plan
+ * @param {import('./watch-planner.js').WatchPlan} plan - Watch plan
+ * @param {Object} anime - Anime data (id, title, duration, status and airing schedule)
+ * @param {CalendarOptions} [options] - Calendar options
+ * @returns {string} Calendar text with CRLF line endings
+ */
+export function createWatchPlanCalendar(plan, anime, options = {}) {
+  const {
+    sessionStart = '20:00',
+    includeAiring = false,
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+    now = new Date()
+  } = options;
+
+  const match = SESSION_START_PATTERN.exec(sessionStart);
+  if (!match) {
+    throw new Error('Session start must be a time between 00:00 and 23:59');
+  }
+
+  const created = new Date(now);
+  const context = {
+    anime,
+    title: getAnimeTitle(anime),
+    hours: Number(match[1]),
+    minutes: Number(match[2]),
+    stamp: formatUtcDateTime(created),
+    now: created
+  };
+  const isAiring = anime?.status === 'RELEASING' || Boolean(anime?.nextAiringEpisode);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${context.title} watch plan`)}`,
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    ...(plan?.days || []).flatMap(day => buildSessionEvent(day, context)),
+    ...(includeAiring && isAiring ? buildAiringEvent(context) : []),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Suggests a file name for the calendar of an anime
+ * @param {Object} anime - Anime data
+ * @returns {string} e.g. frieren-watch-plan.ics
+ */
+export function getCalendarFileName(anime) {
+  const slug = getAnimeTitle(anime)
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'anime'}-watch-plan.ics`;
+}
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for the iCalendar Export
+ * Tests session events, airing recurrences, text escaping and line folding
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createWatchPlanCalendar, escapeText, foldLine, getCalendarFileName } from './ical-export.js';
+import { planWatchSchedule } from './watch-planner.js';
+
+// Wednesday
+const START = new Date(2026, 0, 7);
+const NOW = new Date(Date.UTC(2026, 0, 6, 12));
+const anime = { id: 154587, title: { english: 'Frieren: Beyond Journey\'s End', romaji: 'Sousou no Frieren' }, duration: 24 };
+const series = { episodes: 5, episodeDuration: 24, includeOpening: true, includeEnding: true };
+const plan = planWatchSchedule(series, { type: 'episodes-per-day', episodesPerDay: 2 }, START);
+
+// Unfolds a calendar back into its content lines
+const unfold = calendar => calendar.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('createWatchPlanCalendar', () => {
+  test('writes one event per viewing session', () => {
+    const lines = unfold(createWatchPlanCalendar(plan, anime, { now: NOW, timeZone: 'Europe/Berlin' }));
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('VERSION:2.0');
+    expect(lines).toContain('X-WR-TIMEZONE:Europe/Berlin');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(3);
+    expect(lines).toContain('SUMMARY:Frieren: Beyond Journey\'s End: Episodes 1–2');
+    expect(lines).toContain('SUMMARY:Frieren: Beyond Journey\'s End: Episode 5');
+    expect(lines).toContain('DURATION:PT48M');
+    expect(lines).toContain('UID:watch-154587-20260107@anime-time-calculator.netlify.app');
+    expect(lines).toContain('DTSTAMP:20260106T120000Z');
+    expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+  });
+
+  test('starts sessions at the local session time, written in UTC', () => {
+    const lines = unfold(createWatchPlanCalendar(plan, anime, { now: NOW, sessionStart: '21:30' }));
+    const expected = new Date(2026, 0, 7, 21, 30).toISOString().replace(/[-:]/g, '').replace('.000', '');
+
+    expect(lines).toContain(`DTSTART:${expected}`);
+  });
+
+  test('uses CRLF line endings and folds long lines', () => {
+    const calendar = createWatchPlanCalendar(plan, anime, { now: NOW });
+
+    expect(calendar.endsWith('\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toContain('\n');
+    calendar.split('\r\n').forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+  });
+
+  test('adds weekly airings of a releasing show only when asked', () => {
+    const airing = {
+      ...anime,
+      status: 'RELEASING',
+      episodes: 12,
+      nextAiringEpisode: { episode: 5, airingAt: Date.UTC(2026, 0, 9, 15) / 1000 }
+    };
+
+    const without = unfold(createWatchPlanCalendar(plan, airing, { now: NOW }));
+    expect(without.some(line => line.startsWith('RRULE'))).toBe(false);
+
+    const lines = unfold(createWatchPlanCalendar(plan, airing, { now: NOW, includeAiring: true }));
+    expect(lines).toContain('DTSTART:20260109T150000Z');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;COUNT=8');
+    expect(lines).toContain('SUMMARY:New episode of Frieren: Beyond Journey\'s End');
+  });
+
+  test('skips airings when the episode count is behind the schedule', () => {
+    const behind = {
+      ...anime,
+      status: 'RELEASING',
+      episodes: 4,
+      nextAiringEpisode: { episode: 6, airingAt: Date.UTC(2026, 0, 9, 15) / 1000 }
+    };
+    const lines = unfold(createWatchPlanCalendar(plan, behind, { now: NOW, includeAiring: true }));
+
+    expect(lines.some(line => line.startsWith('RRULE'))).toBe(false);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(3);
+  });
+
+  test('skips airings of a finished show', () => {
+    const lines = unfold(createWatchPlanCalendar(plan, { ...anime, status: 'FINISHED' }, { now: NOW, includeAiring: true }));
+
+    expect(lines.some(line => line.startsWith('RRULE'))).toBe(false);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(3);
+  });
+
+  test('rejects an invalid session start', () => {
+    expect(() => createWatchPlanCalendar(plan, anime, { sessionStart: '25:00' }))
+      .toThrow('Session start must be a time between 00:00 and 23:59');
+  });
+});
+
+describe('calendar text helpers', () => {
+  test('escapes TEXT values', () => {
+    expect(escapeText('a, b; c\\d\ne')).toBe('a\\, b\\; c\\\\d\\ne');
+  });
+
+  test('folds without splitting multi-byte characters', () => {
+    const line = `SUMMARY:${'葬送のフリーレン'.repeat(6)}`;
+    const folded = foldLine(line);
+
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+    folded.split('\r\n').forEach(part => {
+      expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75);
+    });
+  });
+
+  test('suggests a file name from the title', () => {
+    expect(getCalendarFileName(anime)).toBe('frieren-beyond-journey-s-end-watch-plan.ics');
+    expect(getCalendarFileName(null)).toBe('anime-watch-plan.ics');
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * AniList Data Provider
+ * Queries the AniList GraphQL API
+ */
+
+import { normalizeAnimeMedia, normalizeAnimeMediaList } from '../anime-data.js';
+import { GraphQLError, NotFoundError } from '../anime-errors.js';
+import { createResponseValidator, ANILIST_RESPONSE_SCHEMAS } from '../anime-schema.js';
+
+// AniList GraphQL API endpoint
+export const ANILIST_API_URL = 'https://graphql.anilist.co';
+
+// Fields of every media record, shared by all queries so they normalize identically
+const MEDIA_FIELDS_FRAGMENT = `
+  fragment MediaFields on Media {
+    id
+    title {
+      romaji
+      english
+      native
+    }
+    synonyms
+    coverImage {
+      large
+      medium
+      color
+    }
+    format
+    episodes
+    duration
+    status
+    season
+    seasonYear
+    startDate {
+      year
+      month
+      day
+    }
+    endDate {
+      year
+      month
+      day
+    }
+    genres
+    studios (isMain: true) {
+      nodes {
+        name
+      }
+    }
+    averageScore
+    siteUrl
+    description
+  }
+`;
+
+// Airing fields, requested for top-level media only to keep nested queries cheap
+const AIRING_FIELDS_FRAGMENT = `
+  fragment AiringFields on Media {
+    nextAiringEpisode {
+      episode
+      airingAt
+    }
+    airingSchedule (notYetAired: true, perPage: 50) {
+      nodes {
+        episode
+        airingAt
+      }
+    }
+  }
+`;
+
+// GraphQL query for anime search (single result)
+const ANIME_SEARCH_QUERY = `
+  query ($search: String) {
+    Media (search: $search, type: ANIME) {
+      ...MediaFields
+      ...AiringFields
+    }
+  }
+  ${MEDIA_FIELDS_FRAGMENT}
+  ${AIRING_FIELDS_FRAGMENT}
+`;
+
+// GraphQL query for anime search with multiple results
+const ANIME_SEARCH_MULTIPLE_QUERY = `
+  query (
+    $search: String, $page: Int, $perPage: Int,
+    $format_in: [MediaFormat], $season: MediaSeason, $seasonYear: Int,
+    $genre_in: [String], $status: MediaStatus, $isAdult: Boolean,
+    $startDate_greater: FuzzyDateInt, $startDate_lesser: FuzzyDateInt
+  ) {
+    Page (page: $page, perPage: $perPage) {
+      media (
+        search: $search, type: ANIME,
+        format_in: $format_in, season: $season, seasonYear: $seasonYear,
+        genre_in: $genre_in, status: $status, isAdult: $isAdult,
+        startDate_greater: $startDate_greater, startDate_lesser: $startDate_lesser
+      ) {
+        ...MediaFields
+        ...AiringFields
+      }
+      pageInfo {
+        total
+        currentPage
+        hasNextPage
+      }
+    }
+  }
+  ${MEDIA_FIELDS_FRAGMENT}
+  ${AIRING_FIELDS_FRAGMENT}
+`;
+
+// GraphQL query for fetching a single anime by its AniList ID
+const ANIME_BY_ID_QUERY = `
+  query ($id: Int) {
+    Media (id: $id, type: ANIME) {
+      ...MediaFields
+      ...AiringFields
+    }
+  }
+  ${MEDIA_FIELDS_FRAGMENT}
+  ${AIRING_FIELDS_FRAGMENT}
+`;
+
+// GraphQL query for fetching an anime together with its related entries
+const ANIME_RELATIONS_QUERY = `
+  query ($id: Int) {
+    Media (id: $id, type: ANIME) {
+      ...MediaFields
+      ...AiringFields
+      relations {
+        edges {
+          relationType (version: 2)
+          node {
+            type
+            ...MediaFields
+          }
+        }
+      }
+    }
+  }
+  ${MEDIA_FIELDS_FRAGMENT}
+  ${AIRING_FIELDS_FRAGMENT}
+`;
+
+// GraphQL query for fetching popular anime (for random selection)
+const POPULAR_ANIME_QUERY = `
+  query (
+    $page: Int, $perPage: Int,
+    $format_in: [MediaFormat], $season: MediaSeason, $seasonYear: Int,
+    $genre_in: [String], $status: MediaStatus, $isAdult: Boolean,
+    $startDate_greater: FuzzyDateInt, $startDate_lesser: FuzzyDateInt
+  ) {
+    Page (page: $page, perPage: $perPage) {
+      media (
+        type: ANIME, sort: POPULARITY_DESC,
+        format_in: $format_in, season: $season, seasonYear: $seasonYear,
+        genre_in: $genre_in, status: $status, isAdult: $isAdult,
+        startDate_greater: $startDate_greater, startDate_lesser: $startDate_lesser
+      ) {
+        ...MediaFields
+        popularity
+      }
+      pageInfo {
+        total
+        currentPage
+        hasNextPage
+      }
+    }
+  }
+  ${MEDIA_FIELDS_FRAGMENT}
+`;
+
+/**
+ * Maps search filters to GraphQL variables
+ * Most filters already use AniList's argument names; the start year range becomes
+ * FuzzyDateInt bounds (YYYYMMDD, with 00 for an unknown month or day)
+ * @param {import('../search-filters.js').SearchFilters} [filters] - Normalized search filters
+ * @returns {Object} GraphQL variables
+ */
+export function mapAniListFilters(filters) {
+  if (!filters) {
+    return {};
+  }
+
+  const { yearFrom, yearTo, ...variables } = filters;
+  if (yearFrom) {
+    variables.startDate_greater = yearFrom * 10000 - 1;
+  }
+  if (yearTo) {
+    variables.startDate_lesser = (yearTo + 1) * 10000;
+  }
+  return variables;
+}
+
+/**
+ * Converts a GraphQL Page payload into a search page
+ * @param {any} pageData - Page object from the response
+ * @param {number} page - Requested page number
+ * @returns {import('./index.js').SearchPage} Normalized results and pagination details
+ */
+function toSearchPage(pageData, page) {
+  const pageInfo = pageData?.pageInfo;
+
+  return {
+    results: normalizeAnimeMediaList(pageData?.media),
+    pageInfo: {
+      currentPage: pageInfo?.currentPage ?? page,
+      hasNextPage: Boolean(pageInfo?.hasNextPage),
+      total: pageInfo?.total ?? null
+    }
+  };
+}
+
+/**
+ * Creates the AniList provider
+ * @param {Object} deps - Provider dependencies
+ * @param {Function} deps.requestJson - (url, init, options) => Promise<any> JSON request helper
+ * @param {function(import('../anime-schema.js').ValidationIssue[]): void} [deps.onValidationIssues] - Receives the problems found in responses
+ * @returns {import('./index.js').AnimeProvider} AniList provider
+ */
+export function createAniListProvider({ requestJson, onValidationIssues }) {
+  const validate = createResponseValidator('anilist', onValidationIssues);
+
+  /**
+   * Makes a GraphQL request, unwraps the data payload and validates it against the query's schema
+   * @throws {GraphQLError|NotFoundError} GraphQL errors reported by AniList
+   */
+  async function graphql(query, variables, options, schema) {
+    const data = await requestJson(ANILIST_API_URL, {
+      method: 'POST',
+      body: { query, variables }
+    }, options);
+
+    // Handle GraphQL errors
+    if (data.errors && data.errors.length > 0) {
+      const errorMessage = `API Error: ${data.errors[0].message || 'Unknown API error'}`;
+      // AniList reports unknown IDs as a GraphQL error with status 404
+      if (data.errors.every(error => error.status === 404)) {
+        throw new NotFoundError(errorMessage, { graphQLErrors: data.errors });
+      }
+      throw new GraphQLError(errorMessage, { graphQLErrors: data.errors });
+    }
+
+    return validate(data.data, schema, 'data');
+  }
+
+  async function searchPage(searchTerm, { page = 1, perPage = 10, filters } = {}, options = {}) {
+    // Unset filters are left out of the variables
+    const data = await graphql(ANIME_SEARCH_MULTIPLE_QUERY, {
+      search: searchTerm,
+      page,
+      perPage,
+      ...mapAniListFilters(filters)
+    }, options, ANILIST_RESPONSE_SCHEMAS.page);
+
+    return toSearchPage(data?.Page, page);
+  }
+
+  async function popularPage({ page = 1, perPage = 50, filters } = {}, options = {}) {
+    // Finished shows only, unless the filters ask for another status
+    const data = await graphql(POPULAR_ANIME_QUERY, {
+      page,
+      perPage,
+      status: 'FINISHED',
+      ...mapAniListFilters(filters)
+    }, options, ANILIST_RESPONSE_SCHEMAS.page);
+
+    return toSearchPage(data?.Page, page);
+  }
+
+  return {
+    name: 'anilist',
+    label: 'AniList',
+
+    async search(searchTerm, options = {}) {
+      const data = await graphql(ANIME_SEARCH_QUERY, { search: searchTerm }, options, ANILIST_RESPONSE_SCHEMAS.media);
+      return normalizeAnimeMedia(data?.Media);
+    },
+
+    async searchMany(searchTerm, pageOptions = {}, options = {}) {
+      return (await searchPage(searchTerm, pageOptions, options)).results;
+    },
+
+    searchPage,
+
+    popularPage,
+
+    async getById(id, options = {}) {
+      const data = await graphql(ANIME_BY_ID_QUERY, { id }, options, ANILIST_RESPONSE_SCHEMAS.media);
+      return normalizeAnimeMedia(data?.Media);
+    },
+
+    async getRelations(id, options = {}) {
+      const data = await graphql(ANIME_RELATIONS_QUERY, { id }, options, ANILIST_RESPONSE_SCHEMAS.relations);
+      const anime = normalizeAnimeMedia(data?.Media);
+      if (!anime) {
+        return null;
+      }
+
+      // Relations also cover manga and novels; only anime counts towards watch time
+      const relations = (data.Media.relations?.edges || [])
+        .filter(edge => edge?.node?.type === 'ANIME')
+        .map(edge => ({ relationType: edge.relationType, anime: normalizeAnimeMedia(edge.node) }))
+        .filter(relation => relation.anime !== null);
+
+      return { anime, relations };
+    },
+
+    async random(options = {}) {
+      // Get a random page from the first 20 pages (50 per page = 1000 total)
+      const randomPage = Math.floor(Math.random() * 20) + 1;
+      const { results } = await popularPage({ page: randomPage, perPage: 50 }, options);
+
+      // Select a random anime from the page
+      return results.length > 0 ? results[Math.floor(Math.random() * results.length)] : null;
+    }
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Built-in anime fixtures for offline development and tests
+ * Records use AniList's media shape and IDs
+ */
+
+export const DEFAULT_ANIME_FIXTURES = [
+  {
+    id: 16498,
+    title: { romaji: 'Shingeki no Kyojin', english: 'Attack on Titan', native: '進撃の巨人' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx16498-C6FPmWm59CyP.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx16498-C6FPmWm59CyP.jpg'
+    },
+    episodes: 25,
+    duration: 24,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'SPRING',
+    seasonYear: 2013,
+    genres: ['Action', 'Drama', 'Fantasy', 'Mystery'],
+    description: 'Several hundred years ago, humans were nearly exterminated by Titans.'
+  },
+  {
+    id: 20,
+    title: { romaji: 'NARUTO', english: 'Naruto', native: 'NARUTO -ナルト-' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx20-dE6UHbFFg1A5.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx20-dE6UHbFFg1A5.jpg'
+    },
+    episodes: 220,
+    duration: 23,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'FALL',
+    seasonYear: 2002,
+    genres: ['Action', 'Adventure', 'Comedy', 'Drama', 'Fantasy'],
+    description: 'Naruto Uzumaki wants to be the best ninja in the land.'
+  },
+  {
+    id: 5114,
+    title: { romaji: 'Hagane no Renkinjutsushi: FULLMETAL ALCHEMIST', english: 'Fullmetal Alchemist: Brotherhood', native: '鋼の錬金術師 FULLMETAL ALCHEMIST' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx5114-KJTQz9AIm6Wk.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx5114-KJTQz9AIm6Wk.jpg'
+    },
+    episodes: 64,
+    duration: 24,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'SPRING',
+    seasonYear: 2009,
+    genres: ['Action', 'Adventure', 'Drama', 'Fantasy'],
+    description: 'Two brothers search for a Philosopher\'s Stone after an attempt to revive their deceased mother goes wrong.'
+  },
+  {
+    id: 5081,
+    title: { romaji: 'Bakemonogatari', english: 'Bakemonogatari', native: '化物語' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx5081-YEEG4WTEd14Y.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx5081-YEEG4WTEd14Y.jpg'
+    },
+    episodes: 15,
+    duration: 25,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'SUMMER',
+    seasonYear: 2009,
+    genres: ['Comedy', 'Mystery', 'Psychological', 'Romance', 'Supernatural'],
+    description: 'Koyomi Araragi, a third-year high school student, manages to survive a vampire attack.',
+    relations: [
+      { relationType: 'SEQUEL', id: 11597 },
+      { relationType: 'PREQUEL', id: 15689 }
+    ]
+  },
+  {
+    id: 11597,
+    title: { romaji: 'Nisemonogatari', english: 'Nisemonogatari', native: '偽物語' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx11597-Vo4cs0yCxdYq.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx11597-Vo4cs0yCxdYq.jpg'
+    },
+    episodes: 11,
+    duration: 24,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'WINTER',
+    seasonYear: 2012,
+    genres: ['Comedy', 'Ecchi', 'Mystery', 'Romance', 'Supernatural'],
+    description: 'Koyomi Araragi\'s sisters get tangled up in the affairs of a mysterious con artist.',
+    relations: [
+      { relationType: 'PREQUEL', id: 5081 }
+    ]
+  },
+  {
+    id: 15689,
+    title: { romaji: 'Nekomonogatari (Kuro)', english: 'Nekomonogatari: Black', native: '猫物語（黒）' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx15689-P5G5hGGF0J3e.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx15689-P5G5hGGF0J3e.jpg'
+    },
+    episodes: 4,
+    duration: 24,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'WINTER',
+    seasonYear: 2013,
+    genres: ['Comedy', 'Ecchi', 'Mystery', 'Romance', 'Supernatural'],
+    description: 'The story of how Tsubasa Hanekawa first met her cat.',
+    relations: [
+      { relationType: 'SEQUEL', id: 5081 }
+    ]
+  },
+  {
+    id: 918,
+    title: { romaji: 'Gintama', english: 'Gintama', native: '銀魂' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx918-4E0xnDnB7EfM.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx918-4E0xnDnB7EfM.jpg'
+    },
+    episodes: 201,
+    duration: 24,
+    status: 'FINISHED',
+    format: 'TV',
+    season: 'SPRING',
+    seasonYear: 2006,
+    genres: ['Action', 'Comedy', 'Drama', 'Sci-Fi'],
+    description: 'Edo is a city that was home to the vigor and ambition of samurai across the country.'
+  },
+  {
+    id: 199,
+    title: { romaji: 'Sen to Chihiro no Kamikakushi', english: 'Spirited Away', native: '千と千尋の神隠し' },
+    coverImage: {
+      large: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx199-cSgc8ZKkVwu2.jpg',
+      medium: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/medium/bx199-cSgc8ZKkVwu2.jpg'
+    },
+    episodes: 1,
+    duration: 125,
+    status: 'FINISHED',
+    format: 'MOVIE',
+    season: 'SUMMER',
+    seasonYear: 2001,
+    genres: ['Adventure', 'Drama', 'Fantasy', 'Supernatural'],
+    description: 'Stubborn, spoiled, and naïve, 10-year-old Chihiro Ogino is less than pleased when she and her parents discover an abandoned amusement park.'
+  }
+];
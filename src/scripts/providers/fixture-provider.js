@@ -0,0 +1,102 @@
+/**
+ * Fixture Data Provider
+ * Serves anime from an in-memory list for offline development and tests
+ */
+
+import { normalizeAnimeMedia, normalizeAnimeMediaList } from '../anime-data.js';
+import { matchesSearchFilters } from '../search-filters.js';
+import { DEFAULT_ANIME_FIXTURES } from './fixture-data.js';
+
+/**
+ * Checks whether any title of a media record contains the search term
+ * @param {Object} media - AniList-style media record
+ * @param {string} searchTerm - Lowercased search term
+ * @returns {boolean} True if a title matches
+ */
+function matchesSearch(media, searchTerm) {
+  const titles = [media.title?.romaji, media.title?.english, media.title?.native];
+  return titles.some(title => typeof title === 'string' && title.toLowerCase().includes(searchTerm));
+}
+
+/**
+ * Creates the fixture provider
+ * @param {Object} deps - Provider dependencies
+ * @param {Object[]} [deps.fixtures] - AniList-style media records (defaults to the built-in set)
+ * @returns {import('./index.js').AnimeProvider} Fixture provider
+ */
+export function createFixtureProvider({ fixtures = DEFAULT_ANIME_FIXTURES } = {}) {
+  function searchAll(searchTerm) {
+    const normalizedTerm = searchTerm.toLowerCase();
+    return fixtures.filter(media => matchesSearch(media, normalizedTerm));
+  }
+
+  function toSearchPage(matches, page, perPage) {
+    const start = (page - 1) * perPage;
+
+    return {
+      results: normalizeAnimeMediaList(matches.slice(start, start + perPage)),
+      pageInfo: {
+        currentPage: page,
+        hasNextPage: start + perPage < matches.length,
+        total: matches.length
+      }
+    };
+  }
+
+  async function searchPage(searchTerm, { page = 1, perPage = 10, filters } = {}) {
+    const matches = searchAll(searchTerm).filter(media => matchesSearchFilters(media, filters));
+    return toSearchPage(matches, page, perPage);
+  }
+
+  async function popularPage({ page = 1, perPage = 50, filters } = {}) {
+    // Fixtures carry no popularity, so they keep their listed order; finished shows only unless filtered
+    const matches = fixtures.filter(media => matchesSearchFilters(media, { status: 'FINISHED', ...filters }));
+    return toSearchPage(matches, page, perPage);
+  }
+
+  return {
+    name: 'fixture',
+    label: 'Offline fixtures',
+
+    async search(searchTerm) {
+      return normalizeAnimeMedia(searchAll(searchTerm)[0]);
+    },
+
+    async searchMany(searchTerm, pageOptions = {}) {
+      return (await searchPage(searchTerm, pageOptions)).results;
+    },
+
+    searchPage,
+
+    popularPage,
+
+    async getById(id) {
+      return normalizeAnimeMedia(fixtures.find(media => media.id === Number(id)));
+    },
+
+    async getRelations(id) {
+      const media = fixtures.find(fixture => fixture.id === Number(id));
+      const anime = normalizeAnimeMedia(media);
+      if (!anime) {
+        return null;
+      }
+
+      // Fixture relations reference other fixtures by ID: [{ relationType, id }]
+      const relations = (media.relations || [])
+        .map(relation => ({
+          relationType: relation.relationType,
+          anime: normalizeAnimeMedia(fixtures.find(fixture => fixture.id === relation.id))
+        }))
+        .filter(relation => relation.anime !== null);
+
+      return { anime, relations };
+    },
+
+    async random() {
+      if (fixtures.length === 0) {
+        return null;
+      }
+      return normalizeAnimeMedia(fixtures[Math.floor(Math.random() * fixtures.length)]);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Anime Data Provider Registry
+ * Every provider implements the same interface and normalizes into AnimeData
+ */
+
+import { createAniListProvider } from './anilist-provider.js';
+import { createKitsuProvider } from './kitsu-provider.js';
+import { createJikanProvider } from './jikan-provider.js';
+import { createFixtureProvider } from './fixture-provider.js';
+
+/**
+ * @typedef {Object} PageOptions
+ * @property {number} [page] - 1-based page number
+ * @property {number} [perPage] - Results per page
+ * @property {import('../search-filters.js').SearchFilters} [filters] - Normalized search filters; providers ignore the ones their API cannot express
+ */
+
+/**
+ * @typedef {Object} AnimeProvider
+ * @property {string} name - Provider identifier (anilist, kitsu, jikan, fixture)
+ * @property {string} label - Human-readable provider name
+ * @property {function(string, Object=): Promise<import('../anime-api.js').AnimeData|null>} search - Best match for a title
+ * @property {function(string, PageOptions=, Object=): Promise<import('../anime-api.js').AnimeData[]>} searchMany - Page of matches for a title
+ * @property {function(string, PageOptions=, Object=): Promise<SearchPage>} searchPage - Page of matches plus pagination details
+ * @property {function(PageOptions=, Object=): Promise<SearchPage>} popularPage - Page of finished shows by popularity (filters may set another status)
+ * @property {function(number|string, Object=): Promise<import('../anime-api.js').AnimeData|null>} getById - Anime by provider ID
+ * @property {function(Object=): Promise<import('../anime-api.js').AnimeData|null>} random - Random popular anime
+ * @property {function(number|string, Object=): Promise<AnimeRelations|null>} [getRelations] - Anime plus related anime (optional)
+ */
+
+/**
+ * @typedef {Object} SearchPage
+ * @property {import('../anime-api.js').AnimeData[]} results - Matches on this page
+ * @property {import('../anime-api.js').PageInfo} pageInfo - Pagination details
+ */
+
+/**
+ * @typedef {Object} AnimeRelations
+ * @property {import('../anime-api.js').AnimeData} anime - The requested anime
+ * @property {{relationType: string, anime: import('../anime-api.js').AnimeData}[]} relations - Related anime entries
+ */
+
+// Provider used when nothing else is configured
+export const DEFAULT_PROVIDER = 'anilist';
+
+const PROVIDER_FACTORIES = {
+  anilist: createAniListProvider,
+  kitsu: createKitsuProvider,
+  jikan: createJikanProvider,
+  fixture: createFixtureProvider
+};
+
+/**
+ * Gets the names of all registered providers
+ * @returns {string[]} Provider names
+ */
+export function getProviderNames() {
+  return Object.keys(PROVIDER_FACTORIES);
+}
+
+/**
+ * Checks whether a provider name is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the provider exists
+ */
+export function isProviderName(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, name.toLowerCase());
+}
+
+/**
+ * Creates a provider by name
+ * @param {string} name - Provider name
+ * @param {Object} deps - Dependencies passed to the provider factory (requestJson, onValidationIssues, fixtures)
+ * @returns {AnimeProvider} Provider instance
+ * @throws {Error} Unknown provider name
+ */
+export function createProvider(name, deps = {}) {
+  if (!isProviderName(name)) {
+    throw new Error(`Unknown anime data provider "${name}". Available providers: ${getProviderNames().join(', ')}`);
+  }
+  return PROVIDER_FACTORIES[name.toLowerCase()](deps);
+}
+
+/**
+ * Resolves which provider to use: a ?provider= query parameter wins over configuration
+ * @param {Object} sources - Where to look
+ * @param {string} [sources.search] - URL query string (window.location.search)
+ * @param {string} [sources.configured] - Configured provider name (PUBLIC_ANIME_PROVIDER)
+ * @returns {string} Provider name
+ */
+export function resolveProviderName({ search = '', configured = '' } = {}) {
+  const fromQuery = new URLSearchParams(search).get('provider');
+  if (isProviderName(fromQuery)) {
+    return fromQuery.toLowerCase();
+  }
+  if (isProviderName(configured)) {
+    return configured.toLowerCase();
+  }
+  return DEFAULT_PROVIDER;
+}
@@ -0,0 +1,212 @@
+/**
+ * Jikan (MyAnimeList) Data Provider
+ * Queries the Jikan v4 REST API and maps results into AniList-style media
+ */
+
+import { normalizeAnimeMedia, normalizeAnimeMediaList } from '../anime-data.js';
+import { createResponseValidator, MEDIA_SCHEMA, MEDIA_LIST_SCHEMA } from '../anime-schema.js';
+
+// Jikan v4 REST API base URL
+export const JIKAN_API_URL = 'https://api.jikan.moe/v4';
+
+// Jikan caps the limit parameter at 25
+const JIKAN_MAX_PAGE_SIZE = 25;
+
+// MyAnimeList airing status mapped to AniList's MediaStatus
+const JIKAN_STATUS_MAP = {
+  'Finished Airing': 'FINISHED',
+  'Currently Airing': 'RELEASING',
+  'Not yet aired': 'NOT_YET_RELEASED'
+};
+
+// AniList MediaFormat values mapped to Jikan anime types
+const JIKAN_TYPE_MAP = {
+  TV: 'tv',
+  TV_SHORT: 'tv',
+  MOVIE: 'movie',
+  SPECIAL: 'special',
+  OVA: 'ova',
+  ONA: 'ona',
+  MUSIC: 'music'
+};
+
+// MyAnimeList types mapped to AniList's MediaFormat
+const JIKAN_FORMAT_MAP = {
+  'TV': 'TV',
+  'Movie': 'MOVIE',
+  'OVA': 'OVA',
+  'Special': 'SPECIAL',
+  'TV Special': 'SPECIAL',
+  'ONA': 'ONA',
+  'Music': 'MUSIC'
+};
+
+// AniList MediaStatus values Jikan can filter by
+const JIKAN_STATUS_FILTER_MAP = {
+  FINISHED: 'complete',
+  RELEASING: 'airing',
+  NOT_YET_RELEASED: 'upcoming'
+};
+
+const JIKAN_REQUEST_INIT = { method: 'GET' };
+
+/**
+ * Parses MyAnimeList duration strings ("24 min per ep", "1 hr 55 min") into minutes
+ * @param {string|null} duration - Duration string
+ * @returns {number|null} Duration in minutes or null if unknown
+ */
+export function parseJikanDuration(duration) {
+  if (typeof duration !== 'string') {
+    return null;
+  }
+
+  const hours = Number(duration.match(/(\d+)\s*hr/)?.[1] || 0);
+  const minutes = Number(duration.match(/(\d+)\s*min/)?.[1] || 0);
+  const seconds = Number(duration.match(/(\d+)\s*sec/)?.[1] || 0);
+  const total = hours * 60 + minutes + (hours === 0 && minutes === 0 ? Math.ceil(seconds / 60) : 0);
+
+  return total > 0 ? total : null;
+}
+
+/**
+ * Maps a Jikan anime resource to an AniList-style media record
+ * @param {any} anime - Jikan anime object
+ * @returns {Object|null} AniList-style media or null if unusable
+ */
+export function mapJikanAnime(anime) {
+  if (!anime || !anime.mal_id) {
+    return null;
+  }
+
+  return {
+    id: anime.mal_id,
+    title: {
+      romaji: anime.title || null,
+      english: anime.title_english || null,
+      native: anime.title_japanese || null
+    },
+    synonyms: anime.title_synonyms,
+    coverImage: {
+      large: anime.images?.jpg?.large_image_url || anime.images?.jpg?.image_url || '',
+      medium: anime.images?.jpg?.image_url || anime.images?.jpg?.small_image_url || ''
+    },
+    format: JIKAN_FORMAT_MAP[anime.type] || null,
+    episodes: anime.episodes,
+    duration: parseJikanDuration(anime.duration),
+    status: JIKAN_STATUS_MAP[anime.status] || null,
+    season: anime.season ? anime.season.toUpperCase() : null,
+    seasonYear: anime.year,
+    startDate: anime.aired?.prop?.from,
+    endDate: anime.aired?.prop?.to,
+    genres: (anime.genres || []).map(genre => genre?.name),
+    studios: { nodes: anime.studios || [] },
+    // MyAnimeList scores are out of 10, AniList's out of 100
+    averageScore: Number.isFinite(anime.score) ? Math.round(anime.score * 10) : null,
+    siteUrl: anime.url,
+    description: anime.synopsis
+  };
+}
+
+/**
+ * Maps search filters to Jikan query parameters
+ * Jikan filters by a single type and identifies genres by MyAnimeList ID, so format
+ * combinations, genres, seasons and single years are not applied. Its end_date
+ * parameter matches the end of the run, so only the start of a year range is applied
+ * @param {import('../search-filters.js').SearchFilters} [filters] - Normalized search filters
+ * @returns {Object<string, string>} Jikan query parameters
+ */
+export function mapJikanFilters(filters) {
+  const params = { sfw: String(!filters?.isAdult) };
+  if (!filters) {
+    return params;
+  }
+
+  const types = [...new Set((filters.format_in || []).map(format => JIKAN_TYPE_MAP[format]))];
+  if (types.length === 1) {
+    params.type = types[0];
+  }
+  if (JIKAN_STATUS_FILTER_MAP[filters.status]) {
+    params.status = JIKAN_STATUS_FILTER_MAP[filters.status];
+  }
+  if (filters.yearFrom) {
+    params.start_date = `${filters.yearFrom}-01-01`;
+  }
+  return params;
+}
+
+/**
+ * Creates the Jikan provider
+ * @param {Object} deps - Provider dependencies
+ * @param {Function} deps.requestJson - (url, init, options) => Promise<any> JSON request helper
+ * @param {function(import('../anime-schema.js').ValidationIssue[]): void} [deps.onValidationIssues] - Receives the problems found in responses
+ * @returns {import('./index.js').AnimeProvider} Jikan provider
+ */
+export function createJikanProvider({ requestJson, onValidationIssues }) {
+  // Records are validated after mapping, so issue paths use AniList's field names
+  const validate = createResponseValidator('jikan', onValidationIssues);
+
+  // params are the query parameters besides paging
+  async function requestPage(params, { page, perPage }, options) {
+    const query = new URLSearchParams({
+      ...params,
+      page: String(page),
+      limit: String(Math.min(perPage, JIKAN_MAX_PAGE_SIZE))
+    });
+    const data = await requestJson(`${JIKAN_API_URL}/anime?${query}`, JIKAN_REQUEST_INIT, options);
+
+    return {
+      results: normalizeAnimeMediaList(validate((data?.data || []).map(mapJikanAnime), MEDIA_LIST_SCHEMA, 'data')),
+      pageInfo: {
+        currentPage: data?.pagination?.current_page ?? page,
+        hasNextPage: Boolean(data?.pagination?.has_next_page),
+        total: data?.pagination?.items?.total ?? null
+      }
+    };
+  }
+
+  async function searchPage(searchTerm, { page = 1, perPage = 10, filters } = {}, options = {}) {
+    return requestPage({ q: searchTerm, ...mapJikanFilters(filters) }, { page, perPage }, options);
+  }
+
+  async function popularPage({ page = 1, perPage = JIKAN_MAX_PAGE_SIZE, filters } = {}, options = {}) {
+    // Finished shows only, unless the filters ask for another status
+    return requestPage({
+      status: 'complete',
+      ...mapJikanFilters(filters),
+      order_by: 'popularity',
+      sort: 'asc'
+    }, { page, perPage }, options);
+  }
+
+  async function searchMany(searchTerm, pageOptions = {}, options = {}) {
+    return (await searchPage(searchTerm, pageOptions, options)).results;
+  }
+
+  return {
+    name: 'jikan',
+    label: 'Jikan (MyAnimeList)',
+
+    async search(searchTerm, options = {}) {
+      const results = await searchMany(searchTerm, { page: 1, perPage: 1 }, options);
+      return results[0] || null;
+    },
+
+    searchMany,
+
+    searchPage,
+
+    popularPage,
+
+    async getById(id, options = {}) {
+      const data = await requestJson(`${JIKAN_API_URL}/anime/${encodeURIComponent(id)}`, JIKAN_REQUEST_INIT, options);
+      return normalizeAnimeMedia(validate(mapJikanAnime(data?.data), MEDIA_SCHEMA, 'data'));
+    },
+
+    async random(options = {}) {
+      // Sample from the 1000 most popular finished shows, like the AniList provider
+      const randomPage = Math.floor(Math.random() * 40) + 1;
+      const { results } = await popularPage({ page: randomPage }, options);
+      return results.length > 0 ? results[Math.floor(Math.random() * results.length)] : null;
+    }
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * Kitsu Data Provider
+ * Queries the Kitsu JSON:API and maps results into AniList-style media
+ */
+
+import { normalizeAnimeMedia, normalizeAnimeMediaList, parseISODate, getSeasonFromMonth } from '../anime-data.js';
+import { createResponseValidator, MEDIA_SCHEMA, MEDIA_LIST_SCHEMA } from '../anime-schema.js';
+
+// Kitsu JSON:API base URL
+export const KITSU_API_URL = 'https://kitsu.io/api/edge';
+
+// Kitsu web pages, used for siteUrl
+const KITSU_SITE_URL = 'https://kitsu.io/anime';
+
+// Kitsu caps page[limit] at 20
+const KITSU_MAX_PAGE_SIZE = 20;
+
+// Kitsu status values mapped to AniList's MediaStatus
+const KITSU_STATUS_MAP = {
+  finished: 'FINISHED',
+  current: 'RELEASING',
+  upcoming: 'NOT_YET_RELEASED',
+  unreleased: 'NOT_YET_RELEASED',
+  tba: 'NOT_YET_RELEASED'
+};
+
+// AniList MediaFormat values mapped to Kitsu subtypes
+const KITSU_SUBTYPE_MAP = {
+  TV: 'TV',
+  TV_SHORT: 'TV',
+  MOVIE: 'movie',
+  SPECIAL: 'special',
+  OVA: 'OVA',
+  ONA: 'ONA',
+  MUSIC: 'music'
+};
+
+// Kitsu subtypes mapped to AniList's MediaFormat
+const KITSU_FORMAT_MAP = {
+  TV: 'TV',
+  movie: 'MOVIE',
+  special: 'SPECIAL',
+  OVA: 'OVA',
+  ONA: 'ONA',
+  music: 'MUSIC'
+};
+
+// AniList MediaStatus values Kitsu can filter by
+const KITSU_STATUS_FILTER_MAP = {
+  FINISHED: 'finished',
+  RELEASING: 'current',
+  NOT_YET_RELEASED: 'upcoming'
+};
+
+const KITSU_REQUEST_INIT = {
+  method: 'GET',
+  headers: { 'Accept': 'application/vnd.api+json' }
+};
+
+/**
+ * Maps a Kitsu anime resource to an AniList-style media record
+ * @param {any} resource - Kitsu resource ({ id, attributes })
+ * @returns {Object|null} AniList-style media or null if unusable
+ */
+export function mapKitsuAnime(resource) {
+  if (!resource || !resource.attributes) {
+    return null;
+  }
+
+  const attributes = resource.attributes;
+  const titles = attributes.titles || {};
+  const startDate = parseISODate(attributes.startDate);
+  const averageRating = Number.parseFloat(attributes.averageRating);
+
+  return {
+    id: Number(resource.id),
+    title: {
+      romaji: titles.en_jp || attributes.canonicalTitle || null,
+      english: titles.en || titles.en_us || null,
+      native: titles.ja_jp || null
+    },
+    synonyms: attributes.abbreviatedTitles,
+    coverImage: {
+      large: attributes.posterImage?.large || attributes.posterImage?.original || '',
+      medium: attributes.posterImage?.medium || attributes.posterImage?.small || ''
+    },
+    format: KITSU_FORMAT_MAP[attributes.subtype] || null,
+    episodes: attributes.episodeCount,
+    duration: attributes.episodeLength,
+    status: KITSU_STATUS_MAP[attributes.status] || null,
+    // Kitsu has no seasons; derive them from the start date like AniList does
+    season: getSeasonFromMonth(startDate?.month),
+    seasonYear: startDate?.year,
+    startDate,
+    endDate: parseISODate(attributes.endDate),
+    // Genres and studios are separate Kitsu resources and are not requested
+    averageScore: Number.isFinite(averageRating) ? Math.round(averageRating) : null,
+    siteUrl: attributes.slug ? `${KITSU_SITE_URL}/${attributes.slug}` : null,
+    description: attributes.synopsis
+  };
+}
+
+/**
+ * Maps search filters to Kitsu filter parameters
+ * Statuses without a Kitsu equivalent (CANCELLED, HIATUS) are ignored, and a year
+ * range only applies when no single year is set
+ * @param {import('../search-filters.js').SearchFilters} [filters] - Normalized search filters
+ * @returns {Object<string, string>} Kitsu query parameters
+ */
+export function mapKitsuFilters(filters) {
+  if (!filters) {
+    return {};
+  }
+
+  const params = {};
+  if (filters.format_in) {
+    params['filter[subtype]'] = [...new Set(filters.format_in.map(format => KITSU_SUBTYPE_MAP[format]))].join(',');
+  }
+  if (filters.season) {
+    params['filter[season]'] = filters.season.toLowerCase();
+  }
+  if (filters.seasonYear) {
+    params['filter[seasonYear]'] = String(filters.seasonYear);
+  } else if (filters.yearFrom || filters.yearTo) {
+    // Kitsu ranges are "from..to", either side may be left open
+    params['filter[seasonYear]'] = `${filters.yearFrom || ''}..${filters.yearTo || ''}`;
+  }
+  if (filters.genre_in) {
+    // Kitsu categories are addressed by slug ("Slice of Life" -> "slice-of-life")
+    params['filter[categories]'] = filters.genre_in.map(genre => genre.toLowerCase().replace(/\s+/g, '-')).join(',');
+  }
+  if (KITSU_STATUS_FILTER_MAP[filters.status]) {
+    params['filter[status]'] = KITSU_STATUS_FILTER_MAP[filters.status];
+  }
+  if (!filters.isAdult) {
+    params['filter[ageRating]'] = 'G,PG,R';
+  }
+  return params;
+}
+
+/**
+ * Creates the Kitsu provider
+ * @param {Object} deps - Provider dependencies
+ * @param {Function} deps.requestJson - (url, init, options) => Promise<any> JSON request helper
+ * @param {function(import('../anime-schema.js').ValidationIssue[]): void} [deps.onValidationIssues] - Receives the problems found in responses
+ * @returns {import('./index.js').AnimeProvider} Kitsu provider
+ */
+export function createKitsuProvider({ requestJson, onValidationIssues }) {
+  // Records are validated after mapping, so issue paths use AniList's field names
+  const validate = createResponseValidator('kitsu', onValidationIssues);
+
+  // Kitsu pages by offset; params are the query parameters besides paging
+  async function requestPage(params, { page, perPage }, options) {
+    const limit = Math.min(perPage, KITSU_MAX_PAGE_SIZE);
+    const query = new URLSearchParams({
+      ...params,
+      'page[limit]': String(limit),
+      'page[offset]': String((page - 1) * limit)
+    });
+    const data = await requestJson(`${KITSU_API_URL}/anime?${query}`, KITSU_REQUEST_INIT, options);
+
+    return {
+      results: normalizeAnimeMediaList(validate((data?.data || []).map(mapKitsuAnime), MEDIA_LIST_SCHEMA, 'data')),
+      pageInfo: {
+        currentPage: page,
+        hasNextPage: Boolean(data?.links?.next),
+        total: data?.meta?.count ?? null
+      }
+    };
+  }
+
+  async function searchPage(searchTerm, { page = 1, perPage = 10, filters } = {}, options = {}) {
+    return requestPage({ 'filter[text]': searchTerm, ...mapKitsuFilters(filters) }, { page, perPage }, options);
+  }
+
+  async function popularPage({ page = 1, perPage = KITSU_MAX_PAGE_SIZE, filters } = {}, options = {}) {
+    // Finished shows only, unless the filters ask for another status
+    return requestPage({
+      'filter[status]': 'finished',
+      ...mapKitsuFilters(filters),
+      'sort': 'popularityRank'
+    }, { page, perPage }, options);
+  }
+
+  async function searchMany(searchTerm, pageOptions = {}, options = {}) {
+    return (await searchPage(searchTerm, pageOptions, options)).results;
+  }
+
+  return {
+    name: 'kitsu',
+    label: 'Kitsu',
+
+    async search(searchTerm, options = {}) {
+      const results = await searchMany(searchTerm, { page: 1, perPage: 1 }, options);
+      return results[0] || null;
+    },
+
+    searchMany,
+
+    searchPage,
+
+    popularPage,
+
+    async getById(id, options = {}) {
+      const data = await requestJson(`${KITSU_API_URL}/anime/${encodeURIComponent(id)}`, KITSU_REQUEST_INIT, options);
+      return normalizeAnimeMedia(validate(mapKitsuAnime(data?.data), MEDIA_SCHEMA, 'data'));
+    },
+
+    async random(options = {}) {
+      // Sample from the 1000 most popular finished shows, like the AniList provider
+      const randomPage = Math.floor(Math.random() * 50) + 1;
+      const { results } = await popularPage({ page: randomPage }, options);
+      return results.length > 0 ? results[Math.floor(Math.random() * results.length)] : null;
+    }
+  };
+}
@@ -0,0 +1,411 @@
+/**
+ * Unit Tests for Anime Data Providers
+ * Tests that every backend normalizes into the same AnimeData shape
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { createProvider, resolveProviderName, getProviderNames, DEFAULT_PROVIDER } from './index.js';
+import { mapKitsuAnime, mapKitsuFilters } from './kitsu-provider.js';
+import { mapJikanAnime, mapJikanFilters, parseJikanDuration } from './jikan-provider.js';
+import { DEFAULT_ANIME_FIXTURES } from './fixture-data.js';
+
+const ANIME_DATA_KEYS = [
+  'airingSchedule', 'averageScore', 'coverImage', 'description', 'duration', 'endDate', 'episodes', 'format', 'genres', 'id',
+  'nextAiringEpisode', 'season', 'seasonYear', 'siteUrl', 'startDate', 'status', 'studios', 'synonyms', 'title'
+];
+
+const kitsuResource = {
+  id: '7442',
+  type: 'anime',
+  attributes: {
+    canonicalTitle: 'Attack on Titan',
+    titles: { en: 'Attack on Titan', en_jp: 'Shingeki no Kyojin', ja_jp: '進撃の巨人' },
+    posterImage: { large: 'https://kitsu/large.jpg', medium: 'https://kitsu/medium.jpg' },
+    episodeCount: 25,
+    episodeLength: 24,
+    status: 'finished',
+    synopsis: 'Several hundred years ago...'
+  }
+};
+
+const jikanAnime = {
+  mal_id: 16498,
+  title: 'Shingeki no Kyojin',
+  title_english: 'Attack on Titan',
+  title_japanese: '進撃の巨人',
+  images: { jpg: { image_url: 'https://mal/medium.jpg', large_image_url: 'https://mal/large.jpg' } },
+  episodes: 25,
+  duration: '24 min per ep',
+  status: 'Finished Airing',
+  synopsis: 'Centuries ago...'
+};
+
+describe('provider registry', () => {
+  test('should register all providers', () => {
+    expect(getProviderNames()).toEqual(['anilist', 'kitsu', 'jikan', 'fixture']);
+  });
+
+  test('should throw for an unknown provider', () => {
+    expect(() => createProvider('crunchyroll')).toThrow('Unknown anime data provider "crunchyroll"');
+  });
+
+  test('should prefer the query parameter over configuration', () => {
+    expect(resolveProviderName({ search: '?provider=jikan', configured: 'kitsu' })).toBe('jikan');
+    expect(resolveProviderName({ search: '?provider=nope', configured: 'kitsu' })).toBe('kitsu');
+    expect(resolveProviderName({ search: '', configured: 'KITSU' })).toBe('kitsu');
+    expect(resolveProviderName()).toBe(DEFAULT_PROVIDER);
+  });
+});
+
+describe('AniList provider', () => {
+  test('should send GraphQL queries and normalize the result', async () => {
+    const requestJson = vi.fn().mockResolvedValue({
+      data: { Media: { id: 1, title: { romaji: 'Cowboy Bebop' }, episodes: 26, duration: 24, status: 'FINISHED' } }
+    });
+    const provider = createProvider('anilist', { requestJson });
+
+    const anime = await provider.search('bebop');
+
+    const [url, init] = requestJson.mock.calls[0];
+    expect(url).toBe('https://graphql.anilist.co');
+    expect(init.method).toBe('POST');
+    expect(init.body.variables).toEqual({ search: 'bebop' });
+    expect(Object.keys(anime).sort()).toEqual(ANIME_DATA_KEYS);
+    expect(anime.title).toEqual({ romaji: 'Cowboy Bebop', english: null, native: 'Unknown Title' });
+  });
+
+  test('should request every media field through the shared fragment', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ data: { Page: { media: [] } } });
+    const provider = createProvider('anilist', { requestJson });
+
+    await provider.searchMany('bebop');
+    await provider.getById(1);
+
+    requestJson.mock.calls.forEach(([, init]) => {
+      expect(init.body.query).toContain('...MediaFields');
+      expect(init.body.query).toContain('fragment MediaFields on Media');
+    });
+  });
+
+  test('should sample popular finished shows with filters and a start year range', async () => {
+    const requestJson = vi.fn().mockResolvedValue({
+      data: { Page: { media: [{ id: 1, title: { romaji: 'Bebop' } }], pageInfo: { total: 41, currentPage: 2, hasNextPage: true } } }
+    });
+    const provider = createProvider('anilist', { requestJson });
+
+    const { results, pageInfo } = await provider.popularPage({ page: 2, perPage: 20, filters: { genre_in: ['Action'], yearFrom: 1995, yearTo: 2000, isAdult: false } });
+
+    expect(requestJson.mock.calls[0][1].body.variables).toEqual({
+      page: 2,
+      perPage: 20,
+      status: 'FINISHED',
+      genre_in: ['Action'],
+      isAdult: false,
+      startDate_greater: 19949999,
+      startDate_lesser: 20010000
+    });
+    expect(results.map(anime => anime.id)).toEqual([1]);
+    expect(pageInfo).toEqual({ currentPage: 2, hasNextPage: true, total: 41 });
+  });
+
+  test('should normalize format, dates, genres, studios and score', async () => {
+    const requestJson = vi.fn().mockResolvedValue({
+      data: {
+        Media: {
+          id: 1,
+          title: { romaji: 'Cowboy Bebop' },
+          synonyms: ['CB'],
+          coverImage: { large: 'l.jpg', medium: 'm.jpg', color: '#e4a15d' },
+          format: 'TV',
+          season: 'SPRING',
+          seasonYear: 1998,
+          startDate: { year: 1998, month: 4, day: 3 },
+          endDate: { year: null, month: null, day: null },
+          genres: ['Action', 'Sci-Fi'],
+          studios: { nodes: [{ name: 'Sunrise' }] },
+          averageScore: 86,
+          siteUrl: 'https://anilist.co/anime/1'
+        }
+      }
+    });
+    const provider = createProvider('anilist', { requestJson });
+
+    const anime = await provider.getById(1);
+
+    expect(anime).toMatchObject({
+      synonyms: ['CB'],
+      coverImage: { color: '#e4a15d' },
+      format: 'TV',
+      season: 'SPRING',
+      seasonYear: 1998,
+      startDate: { year: 1998, month: 4, day: 3 },
+      endDate: null,
+      genres: ['Action', 'Sci-Fi'],
+      studios: ['Sunrise'],
+      averageScore: 86,
+      siteUrl: 'https://anilist.co/anime/1'
+    });
+  });
+
+  test('should normalize the airing schedule of releasing shows', async () => {
+    const requestJson = vi.fn().mockResolvedValue({
+      data: {
+        Media: {
+          id: 2,
+          title: { romaji: 'Airing Show' },
+          episodes: null,
+          duration: 24,
+          status: 'RELEASING',
+          nextAiringEpisode: { episode: 5, airingAt: 1700000000 },
+          airingSchedule: { nodes: [{ episode: 6, airingAt: 1700604800 }, { episode: 5, airingAt: 1700000000 }, null] }
+        }
+      }
+    });
+    const provider = createProvider('anilist', { requestJson });
+
+    const anime = await provider.getById(2);
+
+    expect(requestJson.mock.calls[0][1].body.query).toContain('nextAiringEpisode');
+    expect(anime.nextAiringEpisode).toEqual({ episode: 5, airingAt: 1700000000 });
+    expect(anime.airingSchedule.map(node => node.episode)).toEqual([5, 6]);
+  });
+
+  test('should surface GraphQL errors', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ errors: [{ message: 'Not Found.' }], data: null });
+    const provider = createProvider('anilist', { requestJson });
+
+    await expect(provider.getById(999999)).rejects.toThrow('API Error: Not Found.');
+  });
+
+  test('should raise typed errors carrying the raw GraphQL errors', async () => {
+    const errors = [{ message: 'Not Found.', status: 404 }];
+    const notFound = createProvider('anilist', { requestJson: vi.fn().mockResolvedValue({ errors, data: null }) });
+    const invalid = createProvider('anilist', {
+      requestJson: vi.fn().mockResolvedValue({ errors: [{ message: 'Syntax error', status: 400 }], data: null })
+    });
+
+    await expect(notFound.getById(999999)).rejects.toMatchObject({ code: 'NOT_FOUND', graphQLErrors: errors });
+    await expect(invalid.search('bebop')).rejects.toMatchObject({ code: 'GRAPHQL' });
+  });
+});
+
+describe('Kitsu provider', () => {
+  test('should map Kitsu resources to AnimeData', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ data: [kitsuResource] });
+    const provider = createProvider('kitsu', { requestJson });
+
+    const [anime] = await provider.searchMany('titan', { page: 2, perPage: 5 });
+
+    expect(requestJson.mock.calls[0][0]).toContain('filter%5Btext%5D=titan');
+    expect(requestJson.mock.calls[0][0]).toContain('page%5Boffset%5D=5');
+    expect(Object.keys(anime).sort()).toEqual(ANIME_DATA_KEYS);
+    expect(anime).toMatchObject({
+      id: 7442,
+      title: { romaji: 'Shingeki no Kyojin', english: 'Attack on Titan', native: '進撃の巨人' },
+      episodes: 25,
+      duration: 24,
+      status: 'FINISHED'
+    });
+  });
+
+  test('should derive format, season and score from Kitsu attributes', () => {
+    const media = mapKitsuAnime({
+      ...kitsuResource,
+      attributes: { ...kitsuResource.attributes, subtype: 'movie', startDate: '2013-04-07', averageRating: '84.6', slug: 'attack-on-titan' }
+    });
+
+    expect(media).toMatchObject({
+      format: 'MOVIE',
+      season: 'SPRING',
+      seasonYear: 2013,
+      startDate: { year: 2013, month: 4, day: 7 },
+      averageScore: 85,
+      siteUrl: 'https://kitsu.io/anime/attack-on-titan'
+    });
+  });
+
+  test('should sample popular Kitsu anime by popularity rank', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ data: [kitsuResource], meta: { count: 100 } });
+    const provider = createProvider('kitsu', { requestJson });
+
+    await provider.popularPage({ page: 3, perPage: 20, filters: { format_in: ['MOVIE'], isAdult: true } });
+
+    const params = new URL(requestJson.mock.calls[0][0]).searchParams;
+    expect(params.get('filter[status]')).toBe('finished');
+    expect(params.get('filter[subtype]')).toBe('movie');
+    expect(params.get('sort')).toBe('popularityRank');
+    expect(params.get('page[offset]')).toBe('40');
+  });
+
+  test('should report Kitsu pagination', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ data: [kitsuResource], meta: { count: 31 }, links: { next: 'https://kitsu/next' } });
+    const provider = createProvider('kitsu', { requestJson });
+
+    const { results, pageInfo } = await provider.searchPage('titan', { page: 3, perPage: 5 });
+
+    expect(results).toHaveLength(1);
+    expect(pageInfo).toEqual({ currentPage: 3, hasNextPage: true, total: 31 });
+  });
+
+  test('should map Kitsu statuses to AniList statuses', () => {
+    const current = mapKitsuAnime({ ...kitsuResource, attributes: { ...kitsuResource.attributes, status: 'current' } });
+    const upcoming = mapKitsuAnime({ ...kitsuResource, attributes: { ...kitsuResource.attributes, status: 'upcoming' } });
+
+    expect(current.status).toBe('RELEASING');
+    expect(upcoming.status).toBe('NOT_YET_RELEASED');
+  });
+
+  test('should map search filters to Kitsu filter parameters', () => {
+    expect(mapKitsuFilters({
+      format_in: ['TV', 'TV_SHORT', 'MOVIE'],
+      season: 'FALL',
+      seasonYear: 2019,
+      genre_in: ['Slice of Life'],
+      status: 'RELEASING',
+      isAdult: false
+    })).toEqual({
+      'filter[subtype]': 'TV,movie',
+      'filter[season]': 'fall',
+      'filter[seasonYear]': '2019',
+      'filter[categories]': 'slice-of-life',
+      'filter[status]': 'current',
+      'filter[ageRating]': 'G,PG,R'
+    });
+    expect(mapKitsuFilters({ status: 'HIATUS', isAdult: true })).toEqual({});
+    expect(mapKitsuFilters({ yearFrom: 2005, yearTo: 2010, isAdult: true })).toEqual({ 'filter[seasonYear]': '2005..2010' });
+    expect(mapKitsuFilters({ yearTo: 2010, isAdult: true })).toEqual({ 'filter[seasonYear]': '..2010' });
+    expect(mapKitsuFilters(undefined)).toEqual({});
+  });
+});
+
+describe('Jikan provider', () => {
+  test('should map Jikan anime to AnimeData', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ data: jikanAnime });
+    const provider = createProvider('jikan', { requestJson });
+
+    const anime = await provider.getById(16498);
+
+    expect(requestJson.mock.calls[0][0]).toBe('https://api.jikan.moe/v4/anime/16498');
+    expect(Object.keys(anime).sort()).toEqual(ANIME_DATA_KEYS);
+    expect(anime).toMatchObject({
+      id: 16498,
+      coverImage: { large: 'https://mal/large.jpg', medium: 'https://mal/medium.jpg' },
+      duration: 24,
+      status: 'FINISHED'
+    });
+  });
+
+  test('should map Jikan type, season, genres, studios and score', () => {
+    const media = mapJikanAnime({
+      ...jikanAnime,
+      type: 'TV Special',
+      season: 'spring',
+      year: 2013,
+      genres: [{ mal_id: 1, name: 'Action' }],
+      studios: [{ mal_id: 858, name: 'Wit Studio' }],
+      score: 8.54,
+      url: 'https://myanimelist.net/anime/16498'
+    });
+
+    expect(media).toMatchObject({ format: 'SPECIAL', season: 'SPRING', seasonYear: 2013, averageScore: 85, siteUrl: 'https://myanimelist.net/anime/16498' });
+    expect(media.genres).toEqual(['Action']);
+    expect(media.studios.nodes[0].name).toBe('Wit Studio');
+  });
+
+  test('should sample popular Jikan anime in popularity order', async () => {
+    const requestJson = vi.fn().mockResolvedValue({ data: [jikanAnime], pagination: { has_next_page: true } });
+    const provider = createProvider('jikan', { requestJson });
+
+    const { results } = await provider.popularPage({ page: 2, perPage: 20 });
+
+    const url = new URL(requestJson.mock.calls[0][0]);
+    expect(url.pathname).toBe('/v4/anime');
+    expect(Object.fromEntries(url.searchParams)).toEqual({ status: 'complete', sfw: 'true', order_by: 'popularity', sort: 'asc', page: '2', limit: '20' });
+    expect(results).toHaveLength(1);
+  });
+
+  test('should report Jikan pagination', async () => {
+    const requestJson = vi.fn().mockResolvedValue({
+      data: [jikanAnime],
+      pagination: { current_page: 2, has_next_page: false, items: { total: 12 } }
+    });
+    const provider = createProvider('jikan', { requestJson });
+
+    const { pageInfo } = await provider.searchPage('titan', { page: 2 });
+
+    expect(pageInfo).toEqual({ currentPage: 2, hasNextPage: false, total: 12 });
+  });
+
+  test('should parse MyAnimeList duration strings', () => {
+    expect(parseJikanDuration('24 min per ep')).toBe(24);
+    expect(parseJikanDuration('1 hr 55 min')).toBe(115);
+    expect(parseJikanDuration('2 hr')).toBe(120);
+    expect(parseJikanDuration('45 sec per ep')).toBe(1);
+    expect(parseJikanDuration('Unknown')).toBeNull();
+    expect(parseJikanDuration(null)).toBeNull();
+  });
+
+  test('should skip entries without an ID', () => {
+    expect(mapJikanAnime({ title: 'No ID' })).toBeNull();
+  });
+
+  test('should map the search filters Jikan supports', () => {
+    expect(mapJikanFilters({ format_in: ['MOVIE'], status: 'FINISHED', isAdult: false })).toEqual({ sfw: 'true', type: 'movie', status: 'complete' });
+    // Jikan takes a single type, so format combinations are not applied
+    expect(mapJikanFilters({ format_in: ['TV', 'MOVIE'], isAdult: false })).toEqual({ sfw: 'true' });
+    expect(mapJikanFilters(undefined)).toEqual({ sfw: 'true' });
+    // end_date matches the end of the run, so only the start of a year range is applied
+    expect(mapJikanFilters({ yearFrom: 2005, yearTo: 2010, isAdult: false })).toEqual({ sfw: 'true', start_date: '2005-01-01' });
+  });
+});
+
+describe('fixture provider', () => {
+  const provider = createProvider('fixture');
+
+  test('should search fixture titles case-insensitively', async () => {
+    const anime = await provider.search('attack on');
+
+    expect(anime.id).toBe(16498);
+    expect(Object.keys(anime).sort()).toEqual(ANIME_DATA_KEYS);
+  });
+
+  test('should page search results', async () => {
+    const fixtures = [1, 2, 3].map(id => ({ id, title: { romaji: `Show ${id}` } }));
+    const paged = createProvider('fixture', { fixtures });
+
+    const page2 = await paged.searchMany('show', { page: 2, perPage: 2 });
+    const { pageInfo } = await paged.searchPage('show', { page: 1, perPage: 2 });
+
+    expect(page2.map(anime => anime.id)).toEqual([3]);
+    expect(pageInfo).toEqual({ currentPage: 1, hasNextPage: true, total: 3 });
+  });
+
+  test('should filter search results', async () => {
+    const movies = await provider.searchMany('a', { filters: { format_in: ['MOVIE'], isAdult: false } });
+    const mysteries = await provider.searchMany('monogatari', { filters: { genre_in: ['Mystery', 'Psychological'], isAdult: false } });
+
+    expect(movies.map(anime => anime.id)).toEqual([199]);
+    expect(mysteries.map(anime => anime.id)).toEqual([5081]);
+  });
+
+  test('should page popular fixtures by start year range', async () => {
+    const { results, pageInfo } = await provider.popularPage({ filters: { yearFrom: 2009, yearTo: 2012, isAdult: false } });
+
+    expect(results.map(anime => anime.id)).toEqual([5114, 5081, 11597]);
+    expect(pageInfo).toEqual({ currentPage: 1, hasNextPage: false, total: 3 });
+  });
+
+  test('should look up fixtures by ID', async () => {
+    expect((await provider.getById('20')).title.english).toBe('Naruto');
+    expect(await provider.getById(1)).toBeNull();
+  });
+
+  test('should return a random fixture', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    const anime = await provider.random();
+
+    expect(anime.id).toBe(DEFAULT_ANIME_FIXTURES[0].id);
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Random Picker Module
+ * Samples popular anime until one passes the filters and fits a total watch time budget
+ */
+
+import { calculateWatchTime, formatTime } from './time-calculator.js';
+import { normalizeSearchFilters, matchesSearchFilters } from './search-filters.js';
+
+// Page size every provider supports
+export const SAMPLE_PAGE_SIZE = 20;
+
+// Pages sampled from (the 1000 most popular shows)
+export const MAX_SAMPLE_PAGES = 50;
+
+// Pages requested before giving up
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+/**
+ * @typedef {Object} RandomPickConstraints
+ * @property {number|null} [maxMinutes] - Total watch time budget in minutes (null for no limit)
+ * @property {import('./search-filters.js').SearchFilters} [filters] - Genre, format and year range filters
+ */
+
+/**
+ * @typedef {Object} RandomPickResult
+ * @property {import('./anime-api.js').AnimeData|null} anime - Picked anime, or null if nothing qualified
+ * @property {import('./time-calculator.js').TimeCalculationResult|null} watchTime - Watch time of the picked anime (null if unknown)
+ * @property {number} sampled - Titles examined
+ * @property {string|null} reason - Why nothing qualified
+ */
+
+/**
+ * Calculates the total watch time of an anime
+ * @param {import('./anime-api.js').AnimeData} anime - Anime data
+ * @param {Object} themeOptions - includeOpening and includeEnding
+ * @returns {import('./time-calculator.js').TimeCalculationResult|null} Watch time, or null without an episode count
+ */
+export function getAnimeWatchTime(anime, themeOptions) {
+  if (!anime?.episodes || anime.episodes <= 0) {
+    return null;
+  }
+  return calculateWatchTime({ episodes: anime.episodes, episodeDuration: anime.duration, ...themeOptions });
+}
+
+/**
+ * Explains why no anime qualified
+ * @param {RandomPickConstraints} constraints - Constraints used for sampling
+ * @param {number} sampled - Titles examined
+ * @returns {string} Message suitable for display
+ */
+export function describeNoPick({ maxMinutes = null } = {}, sampled) {
+  if (sampled === 0) {
+    return 'No popular anime match the selected genre, format and years. Try loosening the filters.';
+  }
+  if (maxMinutes) {
+    return `None of the ${sampled} popular anime sampled fit in ${formatTime(maxMinutes)}. Try a bigger time budget or fewer filters.`;
+  }
+  return `None of the ${sampled} popular anime sampled match the selected filters. Try loosening the filters.`;
+}
+
+/**
+ * Picks a random popular anime that passes the filters and fits the time budget
+ * Pages of popular anime are sampled at random until one has a qualifying title. Filters are
+ * checked again locally because providers ignore the ones their API cannot express
+ * @param {function(import('./providers/index.js').PageOptions): Promise<import('./providers/index.js').SearchPage>} fetchPage - Loads a page of popular anime
+ * @param {RandomPickConstraints} [constraints] - Time budget and filters
+ * @param {Object} [options] - Picker options
+ * @param {number} [options.maxAttempts] - Pages requested before giving up
+ * @param {Object} [options.themeOptions] - includeOpening and includeEnding for the watch time (default: both included)
+ * @param {function(): number} [options.random] - Random number source in [0, 1)
+ * @returns {Promise<RandomPickResult>} Picked anime or the reason nothing qualified
+ */
+export async function pickRandomAnime(fetchPage, constraints = {}, {
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  themeOptions = { includeOpening: true, includeEnding: true },
+  random = Math.random
+} = {}) {
+  const maxMinutes = constraints.maxMinutes > 0 ? constraints.maxMinutes : null;
+  const filters = normalizeSearchFilters(constraints.filters);
+  const triedPages = new Set();
+  let pageCount = MAX_SAMPLE_PAGES;
+  let sampled = 0;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const untriedPages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      if (!triedPages.has(page)) {
+        untriedPages.push(page);
+      }
+    }
+    if (untriedPages.length === 0) {
+      break;
+    }
+
+    const page = untriedPages[Math.floor(random() * untriedPages.length)];
+    triedPages.add(page);
+    const { results, pageInfo } = await fetchPage({ page, perPage: SAMPLE_PAGE_SIZE, filters });
+    sampled += results.length;
+
+    // Narrow the range once the provider reveals how many matches there are
+    if (pageInfo?.total != null) {
+      pageCount = Math.min(pageCount, Math.ceil(pageInfo.total / SAMPLE_PAGE_SIZE));
+    } else if (!pageInfo?.hasNextPage) {
+      pageCount = Math.min(pageCount, results.length > 0 ? page : page - 1);
+    }
+
+    const candidates = results
+      .filter(anime => matchesSearchFilters(anime, filters))
+      .map(anime => ({ anime, watchTime: getAnimeWatchTime(anime, themeOptions) }))
+      .filter(({ watchTime }) => !maxMinutes || (watchTime !== null && watchTime.totalMinutes <= maxMinutes));
+
+    if (candidates.length > 0) {
+      const { anime, watchTime } = candidates[Math.floor(random() * candidates.length)];
+      return { anime, watchTime, sampled, reason: null };
+    }
+  }
+
+  return { anime: null, watchTime: null, sampled, reason: describeNoPick({ maxMinutes }, sampled) };
+}
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for the Random Picker
+ * Tests page sampling, local filter checks and the watch time budget
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { pickRandomAnime, getAnimeWatchTime, describeNoPick, SAMPLE_PAGE_SIZE, MAX_SAMPLE_PAGES } from './random-picker.js';
+
+const WITH_THEMES = { includeOpening: true, includeEnding: true };
+
+function createAnime(id, episodes, duration = 24, extra = {}) {
+  return { id, episodes, duration, format: 'TV', genres: ['Action'], seasonYear: 2010, startDate: null, ...extra };
+}
+
+function createPage(results, pageInfo = {}) {
+  return { results, pageInfo: { currentPage: 1, hasNextPage: false, total: null, ...pageInfo } };
+}
+
+describe('getAnimeWatchTime', () => {
+  test('should calculate the total watch time of a known episode count', () => {
+    expect(getAnimeWatchTime(createAnime(1, 12), WITH_THEMES).totalMinutes).toBe(288);
+    expect(getAnimeWatchTime(createAnime(1, null), WITH_THEMES)).toBeNull();
+  });
+});
+
+describe('pickRandomAnime', () => {
+  test('should pick among the titles that fit the time budget', async () => {
+    const fetchPage = vi.fn().mockResolvedValue(createPage([createAnime(1, 220), createAnime(2, 12), createAnime(3, 13)], { total: 1000 }));
+
+    const result = await pickRandomAnime(fetchPage, { maxMinutes: 6 * 60 }, { themeOptions: WITH_THEMES, random: () => 0.99 });
+
+    expect(result.anime.id).toBe(3);
+    expect(result.watchTime.totalMinutes).toBe(312);
+    expect(result.reason).toBeNull();
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(fetchPage).toHaveBeenCalledWith({ page: MAX_SAMPLE_PAGES, perPage: SAMPLE_PAGE_SIZE, filters: { isAdult: false } });
+  });
+
+  test('should check filters locally since providers may ignore them', async () => {
+    const fetchPage = vi.fn().mockResolvedValue(createPage([
+      createAnime(1, 12, 24, { genres: ['Comedy'] }),
+      createAnime(2, 12, 24, { format: 'MOVIE' }),
+      createAnime(3, 12, 24, { seasonYear: 1999 }),
+      createAnime(4, 12)
+    ], { total: 4 }));
+
+    const result = await pickRandomAnime(fetchPage, {
+      filters: { genre_in: ['Action'], format_in: ['TV'], yearFrom: 2005, yearTo: 2015 }
+    }, { random: () => 0 });
+
+    expect(result.anime.id).toBe(4);
+  });
+
+  test('should retry other pages until a title qualifies', async () => {
+    const fetchPage = vi.fn()
+      .mockResolvedValueOnce(createPage([createAnime(1, 500)], { total: 1000 }))
+      .mockResolvedValueOnce(createPage([createAnime(2, 10)], { total: 1000 }));
+
+    const result = await pickRandomAnime(fetchPage, { maxMinutes: 600 }, { themeOptions: WITH_THEMES, random: () => 0 });
+
+    expect(result.anime.id).toBe(2);
+    expect(result.sampled).toBe(2);
+    expect(fetchPage.mock.calls.map(([options]) => options.page)).toEqual([1, 2]);
+  });
+
+  test('should only sample pages that exist once the total is known', async () => {
+    const fetchPage = vi.fn().mockResolvedValue(createPage([createAnime(1, 500)], { total: 30 }));
+
+    const result = await pickRandomAnime(fetchPage, { maxMinutes: 60 }, { maxAttempts: 5, random: () => 0.5 });
+
+    expect(fetchPage.mock.calls.map(([options]) => options.page)).toEqual([26, 2, 1]);
+    expect(result.anime).toBeNull();
+  });
+
+  test('should explain when nothing fits the time budget', async () => {
+    const fetchPage = vi.fn().mockResolvedValue(createPage([createAnime(1, 100), createAnime(2, null)], { total: 1000 }));
+
+    const result = await pickRandomAnime(fetchPage, { maxMinutes: 120 }, { maxAttempts: 2, random: () => 0 });
+
+    expect(result.anime).toBeNull();
+    expect(result.sampled).toBe(4);
+    expect(result.reason).toBe('None of the 4 popular anime sampled fit in 2 hours. Try a bigger time budget or fewer filters.');
+  });
+
+  test('should explain when no anime match the filters', async () => {
+    const fetchPage = vi.fn().mockResolvedValue(createPage([], { total: 0 }));
+
+    const result = await pickRandomAnime(fetchPage, { filters: { genre_in: ['Mecha'] } });
+
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(result.reason).toBe(describeNoPick({}, 0));
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Rate Limiter Module
+ * Token bucket that keeps every open tab of the app, together, under the API's request quota
+ * The bucket lives in localStorage, updated under a Web Lock where the browser has them, and
+ * changes are announced over a BroadcastChannel; without storage the channel carries the state
+ */
+
+/**
+ * @typedef {Object} RateLimitBudget
+ * @property {number} remaining - Requests that can be sent right now
+ * @property {number} capacity - Requests allowed per refill period
+ * @property {number} resetInMs - Time until the bucket is full again in milliseconds
+ * @property {boolean} isLow - True when few requests are left (or the API paused us) and the UI should warn
+ */
+
+/**
+ * @typedef {Object} BucketState
+ * @property {number} tokens - Tokens left (fractional while refilling)
+ * @property {number} updatedAt - Timestamp of the last refill in milliseconds
+ * @property {number} pausedUntil - Timestamp until which no request may be sent (API said the quota is spent)
+ */
+
+// AniList allows 90 requests per minute
+export const DEFAULT_CAPACITY = 90;
+export const DEFAULT_REFILL_MS = 60 * 1000;
+
+// Request priorities: background requests yield to user-initiated ones
+export const REQUEST_PRIORITIES = ['user', 'background'];
+
+// Tokens background requests leave untouched, so a search still goes out when the budget runs low
+export const BACKGROUND_RESERVE = 10;
+
+// Share of the capacity under which the budget counts as low
+const LOW_BUDGET_RATIO = 0.2;
+
+const STORAGE_KEY = 'anime-time-calculator:rate-limit';
+const CHANNEL_NAME = 'anime-time-calculator:rate-limit';
+const LOCK_NAME = 'anime-time-calculator:rate-limit';
+
+/**
+ * Gets localStorage if it is usable
+ * @returns {Storage|null} localStorage or null
+ */
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // Accessing localStorage throws when storage is disabled
+  }
+}
+
+/**
+ * Opens the channel tabs use to announce budget changes, if the browser has one
+ * @returns {BroadcastChannel|null} Channel or null
+ */
+function openChannel() {
+  if (typeof BroadcastChannel === 'undefined') {
+    return null;
+  }
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  // Outside the browser an open channel would keep the process alive
+  /** @type {any} */ (channel).unref?.();
+  return channel;
+}
+
+/**
+ * Gets the Web Locks API, if the browser has it
+ * @returns {LockManager|null} Lock manager or null
+ */
+function getLocks() {
+  return typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null;
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The request was cancelled.', 'AbortError');
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates a token bucket shared by all tabs of the same origin
+ * Every request takes one token; tokens refill continuously up to the capacity. A user request
+ * needs one token, a background request needs the reserve on top and waits while user requests
+ * of this tab are queued
+ * @param {Object} options - Limiter options
+ * @param {number} [options.capacity] - Requests allowed per refill period (default: 90)
+ * @param {number} [options.refillMs] - Time to refill an empty bucket in milliseconds (default: 1 minute)
+ * @param {number} [options.reserve] - Tokens kept back from background requests (default: 10)
+ * @param {Storage|null} [options.storage] - Where the shared state is kept (default: localStorage)
+ * @param {BroadcastChannel|null} [options.channel] - Channel announcing changes to other tabs
+ * @param {LockManager|null} [options.locks] - Web Locks that make updates atomic across tabs
+ * @returns {Object} Limiter with acquire, update, getBudget and subscribe
+ */
+export function createRateLimiter({
+  capacity = DEFAULT_CAPACITY,
+  refillMs = DEFAULT_REFILL_MS,
+  reserve = BACKGROUND_RESERVE,
+  storage = getLocalStorage(),
+  channel = openChannel(),
+  locks = getLocks()
+} = {}) {
+  /** @type {BucketState} */
+  let memoryState = { tokens: capacity, updatedAt: Date.now(), pausedUntil: 0 };
+  const listeners = new Set();
+  let waitingUserRequests = 0;
+
+  /**
+   * Reads the shared state and adds the tokens refilled since it was written
+   * @returns {BucketState} Current state
+   */
+  function readState() {
+    let state = memoryState;
+    try {
+      const stored = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null');
+      if (Number.isFinite(stored?.tokens) && Number.isFinite(stored?.updatedAt)) {
+        state = { tokens: stored.tokens, updatedAt: stored.updatedAt, pausedUntil: Number(stored.pausedUntil) || 0 };
+      }
+    } catch {
+      // Unreadable entries are replaced on the next write
+    }
+
+    const now = Date.now();
+    // A pause lasts until the API's window resets, which restores the whole quota
+    if (state.pausedUntil > 0 && state.pausedUntil <= now) {
+      return { tokens: capacity, updatedAt: now, pausedUntil: 0 };
+    }
+    const refilled = Math.max(0, now - state.updatedAt) * capacity / refillMs;
+    return { tokens: Math.min(capacity, state.tokens + refilled), updatedAt: now, pausedUntil: state.pausedUntil };
+  }
+
+  /**
+   * Stores the state and tells this tab's and the other tabs' listeners
+   * @param {BucketState} state - New state
+   */
+  function writeState(state) {
+    memoryState = state;
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Quota or privacy errors: the tab keeps its own bucket
+    }
+    channel?.postMessage(state);
+    notify();
+  }
+
+  /**
+   * Runs an update of the shared state under the cross-tab lock, when there is one
+   * @param {function(): any} update - Reads and writes the state
+   * @returns {Promise<any>} Result of the update
+   */
+  async function withLock(update) {
+    return locks ? locks.request(LOCK_NAME, update) : update();
+  }
+
+  function getBudget() {
+    const state = readState();
+    const now = Date.now();
+    const pausedMs = Math.max(0, state.pausedUntil - now);
+    const remaining = pausedMs > 0 ? 0 : Math.floor(state.tokens);
+
+    return {
+      remaining,
+      capacity,
+      resetInMs: Math.max(pausedMs, Math.ceil((capacity - state.tokens) * refillMs / capacity)),
+      isLow: remaining <= capacity * LOW_BUDGET_RATIO
+    };
+  }
+
+  function notify() {
+    if (listeners.size === 0) {
+      return;
+    }
+    const budget = getBudget();
+    listeners.forEach(listener => listener(budget));
+  }
+
+  // Other tabs announce their changes; without shared storage their message is the state
+  channel?.addEventListener('message', event => {
+    if (!storage && Number.isFinite(event.data?.tokens)) {
+      memoryState = event.data;
+    }
+    notify();
+  });
+
+  /**
+   * Takes a token, or says how long to wait for one
+   * @param {boolean} isUser - Whether the request was initiated by the user
+   * @returns {number} 0 when a token was taken, otherwise the wait in milliseconds
+   */
+  function tryTake(isUser) {
+    const state = readState();
+    const now = Date.now();
+    if (state.pausedUntil > now) {
+      return state.pausedUntil - now;
+    }
+
+    // Background requests let this tab's queued user requests go first
+    if (!isUser && waitingUserRequests > 0) {
+      return Math.ceil(refillMs / capacity);
+    }
+    const needed = isUser ? 1 : 1 + reserve;
+    if (state.tokens >= needed) {
+      writeState({ ...state, tokens: state.tokens - 1 });
+      return 0;
+    }
+    return Math.ceil((needed - state.tokens) * refillMs / capacity);
+  }
+
+  return {
+    /**
+     * Waits until a request may be sent and takes a token for it
+     * @param {Object} [options] - Acquire options
+     * @param {string} [options.priority] - user (default) or background
+     * @param {AbortSignal} [options.signal] - Stops waiting with an AbortError
+     * @param {function(number): void} [options.onWait] - Called with the delay before each wait
+     * @returns {Promise<void>}
+     */
+    async acquire({ priority = 'user', signal, onWait } = {}) {
+      const isUser = priority !== 'background';
+      if (isUser) {
+        waitingUserRequests++;
+      }
+
+      try {
+        for (;;) {
+          if (signal?.aborted) {
+            throw new DOMException('The request was cancelled.', 'AbortError');
+          }
+          const waitMs = await withLock(() => tryTake(isUser));
+          if (waitMs <= 0) {
+            return;
+          }
+          onWait?.(waitMs);
+          await sleep(waitMs, signal);
+        }
+      } finally {
+        if (isUser) {
+          waitingUserRequests--;
+        }
+      }
+    },
+
+    /**
+     * Corrects the bucket with what the API reports (it also counts other devices)
+     * @param {Object} report - Rate-limit report
+     * @param {number} [report.remaining] - Requests the API still accepts in this window
+     * @param {number} [report.pausedUntil] - Timestamp until which the API refuses requests
+     * @returns {Promise<void>}
+     */
+    async update({ remaining, pausedUntil } = {}) {
+      await withLock(() => {
+        const state = readState();
+        const tokens = Number.isFinite(remaining) ? Math.min(state.tokens, Math.max(0, remaining)) : state.tokens;
+        const paused = Number.isFinite(pausedUntil) ? Math.max(state.pausedUntil, pausedUntil) : state.pausedUntil;
+        if (tokens !== state.tokens || paused !== state.pausedUntil) {
+          writeState({ ...state, tokens, pausedUntil: paused });
+        }
+      });
+    },
+
+    /**
+     * Gets the budget left across all tabs
+     * @returns {RateLimitBudget} Remaining requests and time to a full bucket
+     */
+    getBudget,
+
+    /**
+     * Calls the listener whenever this or another tab spends tokens
+     * @param {function(RateLimitBudget): void} listener - Budget listener
+     * @returns {function(): void} Unsubscribes the listener
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Refills the bucket and lifts any pause (for tests and after changing accounts)
+     */
+    reset() {
+      writeState({ tokens: capacity, updatedAt: Date.now(), pausedUntil: 0 });
+    }
+  };
+}
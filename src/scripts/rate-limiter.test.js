@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for the Rate Limiter
+ * Tests the token bucket, priorities and sharing the budget between tabs
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRateLimiter, BACKGROUND_RESERVE } from './rate-limiter.js';
+
+// In-memory stand-in for localStorage, shared by the "tabs" of a test
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+// Channels that deliver each message to every other channel of the group, like BroadcastChannel
+function createChannelGroup() {
+  const channels = [];
+  return () => {
+    const listeners = [];
+    const channel = {
+      postMessage: data => channels
+        .filter(other => other !== channel)
+        .forEach(other => other.listeners.forEach(listener => listener({ data }))),
+      addEventListener: (type, listener) => listeners.push(listener),
+      listeners
+    };
+    channels.push(channel);
+    return channel;
+  };
+}
+
+describe('createRateLimiter', () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    storage = createStorage();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('should spend one token per request and warn when the budget runs low', async () => {
+    const limiter = createRateLimiter({ capacity: 10, refillMs: 10000, reserve: 2, storage, channel: null, locks: null });
+
+    for (let i = 0; i < 8; i++) {
+      await limiter.acquire();
+    }
+
+    expect(limiter.getBudget()).toEqual({ remaining: 2, capacity: 10, resetInMs: 8000, isLow: true });
+  });
+
+  test('should make an empty bucket wait for the next token', async () => {
+    const limiter = createRateLimiter({ capacity: 2, refillMs: 2000, reserve: 0, storage, channel: null, locks: null });
+    const onWait = vi.fn();
+    await limiter.acquire();
+    await limiter.acquire();
+
+    let sent = false;
+    const pending = limiter.acquire({ onWait }).then(() => { sent = true; });
+    await vi.advanceTimersByTimeAsync(999);
+    expect(sent).toBe(false);
+    expect(onWait).toHaveBeenCalledWith(1000);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(sent).toBe(true);
+  });
+
+  test('should keep the reserve for user requests', async () => {
+    const limiter = createRateLimiter({ capacity: BACKGROUND_RESERVE + 1, refillMs: 60000, storage, channel: null, locks: null });
+    await limiter.acquire({ priority: 'background' });
+
+    let backgroundSent = false;
+    limiter.acquire({ priority: 'background' }).then(() => { backgroundSent = true; });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(backgroundSent).toBe(false);
+
+    // The user request gets a reserved token straight away
+    await limiter.acquire({ priority: 'user' });
+    expect(limiter.getBudget().remaining).toBe(BACKGROUND_RESERVE - 1);
+  });
+
+  test('should share the budget and pauses between tabs', async () => {
+    const openChannel = createChannelGroup();
+    const firstTab = createRateLimiter({ capacity: 10, storage, channel: openChannel(), locks: null });
+    const secondTab = createRateLimiter({ capacity: 10, storage, channel: openChannel(), locks: null });
+    const listener = vi.fn();
+    secondTab.subscribe(listener);
+
+    await firstTab.acquire();
+    await firstTab.acquire();
+
+    expect(secondTab.getBudget().remaining).toBe(8);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ remaining: 8 }));
+
+    // The API says the quota is spent: the other tab waits too
+    await firstTab.update({ remaining: 0, pausedUntil: Date.now() + 5000 });
+    const onWait = vi.fn();
+    const pending = secondTab.acquire({ onWait });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onWait).toHaveBeenCalledWith(5000);
+    expect(secondTab.getBudget()).toMatchObject({ remaining: 0, isLow: true });
+
+    await vi.advanceTimersByTimeAsync(5000);
+    await pending;
+  });
+
+  test('should pass the state over the channel when storage is unavailable', async () => {
+    const openChannel = createChannelGroup();
+    const firstTab = createRateLimiter({ capacity: 10, storage: null, channel: openChannel(), locks: null });
+    const secondTab = createRateLimiter({ capacity: 10, storage: null, channel: openChannel(), locks: null });
+
+    await firstTab.acquire();
+
+    expect(secondTab.getBudget().remaining).toBe(9);
+  });
+
+  test('should stop waiting when the signal aborts', async () => {
+    const limiter = createRateLimiter({ capacity: 1, refillMs: 60000, storage, channel: null, locks: null });
+    await limiter.acquire();
+    const controller = new AbortController();
+
+    const pending = limiter.acquire({ signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
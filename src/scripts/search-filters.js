@@ -0,0 +1,199 @@
+/**
+ * Search Filters Module
+ * Validates search filters, maps them to and from URL query parameters and matches records against them
+ * Filters use AniList's argument names; other providers translate what they can express
+ * The start year range has no AniList argument of its own and is mapped to start dates
+ */
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string[]} [format_in] - Media formats (TV, MOVIE, OVA, ...)
+ * @property {string} [season] - Broadcast season (WINTER, SPRING, SUMMER, FALL)
+ * @property {number} [seasonYear] - Broadcast year
+ * @property {string[]} [genre_in] - Genres; results must have every listed genre
+ * @property {string} [status] - Release status (FINISHED, RELEASING, ...)
+ * @property {number} [yearFrom] - Earliest start year (inclusive)
+ * @property {number} [yearTo] - Latest start year (inclusive)
+ * @property {boolean} [isAdult] - Include adult titles (default: false)
+ */
+
+// AniList MediaFormat values available for anime
+export const ANIME_FORMATS = ['TV', 'TV_SHORT', 'MOVIE', 'SPECIAL', 'OVA', 'ONA', 'MUSIC'];
+
+// Display label for each format
+export const FORMAT_LABELS = {
+  TV: 'TV',
+  TV_SHORT: 'TV Short',
+  MOVIE: 'Movie',
+  SPECIAL: 'Special',
+  OVA: 'OVA',
+  ONA: 'ONA',
+  MUSIC: 'Music'
+};
+
+// AniList MediaSeason values
+export const ANIME_SEASONS = ['WINTER', 'SPRING', 'SUMMER', 'FALL'];
+
+// AniList MediaStatus values
+export const ANIME_STATUSES = ['FINISHED', 'RELEASING', 'NOT_YET_RELEASED', 'CANCELLED', 'HIATUS'];
+
+// AniList genre collection (adult genres excluded)
+export const ANIME_GENRES = [
+  'Action', 'Adventure', 'Comedy', 'Drama', 'Ecchi', 'Fantasy', 'Horror', 'Mahou Shoujo', 'Mecha',
+  'Music', 'Mystery', 'Psychological', 'Romance', 'Sci-Fi', 'Slice of Life', 'Sports', 'Supernatural', 'Thriller'
+];
+
+// First year anime seasons are listed for, and how far ahead announced shows go
+const MIN_SEASON_YEAR = 1940;
+const MAX_YEARS_AHEAD = 2;
+
+// Query parameter for each filter (kept short so shared links stay readable)
+const URL_PARAMS = {
+  format_in: 'format',
+  season: 'season',
+  seasonYear: 'year',
+  genre_in: 'genre',
+  status: 'status'
+};
+
+/**
+ * Parses a year inside the listed range
+ * @param {any} value - Year as a number or string
+ * @returns {number|null} Year or null if missing or out of range
+ */
+function parseYear(value) {
+  const year = Number(value);
+  const maxYear = new Date().getFullYear() + MAX_YEARS_AHEAD;
+  if (value === '' || value == null || !Number.isInteger(year) || year < MIN_SEASON_YEAR || year > maxYear) {
+    return null;
+  }
+  return year;
+}
+
+/**
+ * Keeps the values of a list that appear in the allowed set, without duplicates
+ * @param {any} values - Value or list of values
+ * @param {string[]} allowed - Allowed values
+ * @returns {string[]} Valid values in allowed order
+ */
+function pickAllowed(values, allowed) {
+  const list = Array.isArray(values) ? values : [values];
+  return allowed.filter(value => list.includes(value));
+}
+
+/**
+ * Validates a filter object, dropping unknown keys, invalid values and empty filters
+ * isAdult is always present and defaults to false
+ * @param {any} filters - Filter object
+ * @returns {SearchFilters} Normalized filters
+ */
+export function normalizeSearchFilters(filters = {}) {
+  const source = filters && typeof filters === 'object' ? filters : {};
+  /** @type {SearchFilters} */
+  const normalized = {};
+
+  const formats = pickAllowed(source.format_in, ANIME_FORMATS);
+  if (formats.length > 0) {
+    normalized.format_in = formats;
+  }
+
+  if (ANIME_SEASONS.includes(source.season)) {
+    normalized.season = source.season;
+  }
+
+  const year = parseYear(source.seasonYear);
+  if (year !== null) {
+    normalized.seasonYear = year;
+  }
+
+  const genres = pickAllowed(source.genre_in, ANIME_GENRES);
+  if (genres.length > 0) {
+    normalized.genre_in = genres;
+  }
+
+  if (ANIME_STATUSES.includes(source.status)) {
+    normalized.status = source.status;
+  }
+
+  // A reversed range is treated as a typo and swapped
+  const yearFrom = parseYear(source.yearFrom);
+  const yearTo = parseYear(source.yearTo);
+  if (yearFrom !== null) {
+    normalized.yearFrom = yearTo !== null ? Math.min(yearFrom, yearTo) : yearFrom;
+  }
+  if (yearTo !== null) {
+    normalized.yearTo = yearFrom !== null ? Math.max(yearFrom, yearTo) : yearTo;
+  }
+
+  normalized.isAdult = source.isAdult === true;
+
+  return normalized;
+}
+
+/**
+ * Counts the filters the user has set (isAdult is a setting, not a filter)
+ * @param {SearchFilters} filters - Filter object
+ * @returns {number} Number of active filters
+ */
+export function countActiveFilters(filters) {
+  const normalized = normalizeSearchFilters(filters);
+  return Object.keys(URL_PARAMS).filter(key => normalized[key] !== undefined).length;
+}
+
+/**
+ * Reads filters from URL query parameters (?format=TV,MOVIE&season=FALL&year=2023&genre=Action&status=FINISHED)
+ * @param {URLSearchParams|string} params - Query parameters or query string
+ * @returns {SearchFilters} Normalized filters
+ */
+export function parseFiltersFromURLParams(params) {
+  const searchParams = params instanceof URLSearchParams ? params : new URLSearchParams(params);
+  const readList = name => (searchParams.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+
+  return normalizeSearchFilters({
+    format_in: readList(URL_PARAMS.format_in),
+    season: searchParams.get(URL_PARAMS.season),
+    seasonYear: searchParams.get(URL_PARAMS.seasonYear),
+    genre_in: readList(URL_PARAMS.genre_in),
+    status: searchParams.get(URL_PARAMS.status)
+  });
+}
+
+/**
+ * Writes filters into URL query parameters, removing the ones that are not set
+ * @param {SearchFilters} filters - Filter object
+ * @param {URLSearchParams} searchParams - Query parameters to update in place
+ */
+export function writeFiltersToURLParams(filters, searchParams) {
+  const normalized = normalizeSearchFilters(filters);
+
+  Object.entries(URL_PARAMS).forEach(([key, name]) => {
+    const value = normalized[key];
+    if (value === undefined) {
+      searchParams.delete(name);
+    } else {
+      searchParams.set(name, Array.isArray(value) ? value.join(',') : String(value));
+    }
+  });
+}
+
+/**
+ * Checks whether a media record or AnimeData object passes the search filters
+ * Records without a filtered field (e.g. no format) never match that filter
+ * @param {Object} media - AniList-style media record or AnimeData
+ * @param {SearchFilters} [filters] - Normalized search filters
+ * @returns {boolean} True if the record passes every filter
+ */
+export function matchesSearchFilters(media, filters) {
+  if (!filters) {
+    return true;
+  }
+  const startYear = media.startDate?.year ?? media.seasonYear;
+  return (!filters.format_in || filters.format_in.includes(media.format))
+    && (!filters.season || media.season === filters.season)
+    && (!filters.seasonYear || media.seasonYear === filters.seasonYear)
+    && (!filters.genre_in || filters.genre_in.every(genre => media.genres?.includes(genre)))
+    && (!filters.status || media.status === filters.status)
+    && (!filters.yearFrom || (startYear != null && startYear >= filters.yearFrom))
+    && (!filters.yearTo || (startYear != null && startYear <= filters.yearTo))
+    && (filters.isAdult || !media.isAdult);
+}
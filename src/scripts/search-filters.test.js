@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for Search Filters
+ * Tests filter validation and URL round trips
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  normalizeSearchFilters,
+  countActiveFilters,
+  parseFiltersFromURLParams,
+  writeFiltersToURLParams,
+  matchesSearchFilters
+} from './search-filters.js';
+
+describe('normalizeSearchFilters', () => {
+  test('should default to excluding adult titles', () => {
+    expect(normalizeSearchFilters()).toEqual({ isAdult: false });
+    expect(normalizeSearchFilters(null)).toEqual({ isAdult: false });
+  });
+
+  test('should keep valid values and drop everything else', () => {
+    const filters = normalizeSearchFilters({
+      format_in: ['MOVIE', 'BOOK', 'TV', 'MOVIE'],
+      season: 'spring',
+      seasonYear: '2021',
+      genre_in: 'Mecha',
+      status: 'RELEASING',
+      sort: 'SCORE_DESC'
+    });
+
+    expect(filters).toEqual({
+      format_in: ['TV', 'MOVIE'],
+      seasonYear: 2021,
+      genre_in: ['Mecha'],
+      status: 'RELEASING',
+      isAdult: false
+    });
+  });
+
+  test('should reject years outside the listed range', () => {
+    expect(normalizeSearchFilters({ seasonYear: 1850 }).seasonYear).toBeUndefined();
+    expect(normalizeSearchFilters({ seasonYear: 2020.5 }).seasonYear).toBeUndefined();
+    expect(normalizeSearchFilters({ seasonYear: '' }).seasonYear).toBeUndefined();
+  });
+
+  test('should keep a start year range in order', () => {
+    expect(normalizeSearchFilters({ yearFrom: '2015', yearTo: 2005 })).toEqual({ yearFrom: 2005, yearTo: 2015, isAdult: false });
+    expect(normalizeSearchFilters({ yearFrom: '', yearTo: '2010' })).toEqual({ yearTo: 2010, isAdult: false });
+  });
+});
+
+describe('matchesSearchFilters', () => {
+  const anime = { format: 'TV', season: 'SPRING', seasonYear: 2009, startDate: { year: 2009, month: 4, day: 5 }, genres: ['Action', 'Drama'], status: 'FINISHED' };
+
+  test('should match records that pass every filter', () => {
+    expect(matchesSearchFilters(anime, undefined)).toBe(true);
+    expect(matchesSearchFilters(anime, { format_in: ['TV', 'ONA'], genre_in: ['Drama'], yearFrom: 2005, yearTo: 2009, isAdult: false })).toBe(true);
+  });
+
+  test('should reject records outside a filter or missing the filtered field', () => {
+    expect(matchesSearchFilters(anime, { genre_in: ['Action', 'Comedy'] })).toBe(false);
+    expect(matchesSearchFilters(anime, { yearFrom: 2010 })).toBe(false);
+    expect(matchesSearchFilters({ ...anime, startDate: null, seasonYear: null }, { yearTo: 2020 })).toBe(false);
+  });
+});
+
+describe('countActiveFilters', () => {
+  test('should count set filters but not the adult setting', () => {
+    expect(countActiveFilters({ isAdult: true })).toBe(0);
+    expect(countActiveFilters({ format_in: ['TV', 'ONA'], season: 'FALL' })).toBe(2);
+  });
+});
+
+describe('URL parameters', () => {
+  test('should read filters from the query string', () => {
+    const filters = parseFiltersFromURLParams('?search=fate&format=TV,MOVIE&season=FALL&year=2019&genre=Action,Slice%20of%20Life&status=FINISHED');
+
+    expect(filters).toEqual({
+      format_in: ['TV', 'MOVIE'],
+      season: 'FALL',
+      seasonYear: 2019,
+      genre_in: ['Action', 'Slice of Life'],
+      status: 'FINISHED',
+      isAdult: false
+    });
+  });
+
+  test('should write filters next to other parameters and remove cleared ones', () => {
+    const params = new URLSearchParams('search=fate&season=WINTER&year=2000');
+
+    writeFiltersToURLParams({ format_in: ['TV', 'OVA'], status: 'RELEASING' }, params);
+
+    expect(params.toString()).toBe('search=fate&format=TV%2COVA&status=RELEASING');
+    expect(parseFiltersFromURLParams(params)).toEqual({ format_in: ['TV', 'OVA'], status: 'RELEASING', isAdult: false });
+  });
+});
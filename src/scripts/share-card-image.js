@@ -0,0 +1,86 @@
+/**
+ * Share Card Image Module
+ * Turns share cards into the files served by the /og routes at build time (Node only)
+ * Covers are embedded so the image needs nothing at view time, and finished cards are
+ * cached on disk per anime and option set so rebuilds only redraw what changed
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { renderShareCardSvg, THEME_OPTION_SETS } from './share-card.js';
+
+// Bump when the card layout changes so cached cards are redrawn
+const CARD_VERSION = 1;
+const CACHE_DIR = join(process.cwd(), 'node_modules', '.cache', 'anime-share-cards');
+const COVER_TIMEOUT_MS = 5000;
+
+// Covers already downloaded in this build, by URL
+const coverCache = new Map();
+
+/**
+ * Downloads a cover and encodes it as a data URI
+ * @param {string|null|undefined} url - Cover URL
+ * @returns {Promise<string|null>} Data URI, or null if there is no cover or it could not be loaded
+ */
+export function loadCoverDataUri(url) {
+  if (!url) {
+    return Promise.resolve(null);
+  }
+  if (!coverCache.has(url)) {
+    coverCache.set(url, (async () => {
+      try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(COVER_TIMEOUT_MS) });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const type = response.headers.get('content-type') || 'image/jpeg';
+        const bytes = Buffer.from(await response.arrayBuffer());
+        return `data:${type};base64,${bytes.toString('base64')}`;
+      } catch (error) {
+        console.warn(`Drawing share cards without the cover ${url}: ${error.message}`);
+        return null;
+      }
+    })());
+  }
+  return coverCache.get(url);
+}
+
+/**
+ * Renders a share card, reading it from the disk cache when the same card was drawn before
+ * Cards drawn without a cover that failed to download are not cached, so the next build retries it
+ * @param {import('./anime-api.js').AnimeData} anime - Anime data
+ * @param {string} themes - Option set name from THEME_OPTION_SETS
+ * @param {'svg'|'png'} format - Image format
+ * @returns {Promise<Buffer>} Image bytes
+ */
+export async function renderShareCard(anime, themes, format) {
+  const key = createHash('sha256')
+    .update(JSON.stringify({ version: CARD_VERSION, anime, themes, format }))
+    .digest('hex')
+    .slice(0, 32);
+  const cachePath = join(CACHE_DIR, `${anime.id}-${themes}-${key}.${format}`);
+
+  try {
+    return await readFile(cachePath);
+  } catch {
+    // Not drawn yet
+  }
+
+  const coverUrl = anime.coverImage?.large || anime.coverImage?.medium;
+  const coverDataUri = await loadCoverDataUri(coverUrl);
+  const svg = renderShareCardSvg(anime, { themeOptions: THEME_OPTION_SETS[themes], coverDataUri });
+
+  let image = Buffer.from(svg);
+  if (format === 'png') {
+    // sharp is only needed by the build, so it is loaded when a PNG is first drawn
+    const { default: sharp } = await import('sharp');
+    image = await sharp(image).png().toBuffer();
+  }
+
+  if (coverDataUri || !coverUrl) {
+    await mkdir(CACHE_DIR, { recursive: true });
+    await writeFile(cachePath, image);
+  }
+  return image;
+}
@@ -0,0 +1,171 @@
+/**
+ * Share Card Module
+ * Draws the 1200x630 preview image shown when a result is shared: cover, title, total
+ * watch time and the opening/ending settings it was calculated with
+ * Cards are plain SVG so they render anywhere; the build converts them to PNG
+ */
+
+import { getAnimeMetaParts, getAiredEpisodeCount } from './anime-data.js';
+import { calculateWatchTime } from './time-calculator.js';
+
+// OpenGraph's recommended image size
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+// Opening/ending settings a card can be drawn with, by the name used in its URL
+export const THEME_OPTION_SETS = {
+  'op-ed': { includeOpening: true, includeEnding: true },
+  'op': { includeOpening: true, includeEnding: false },
+  'ed': { includeOpening: false, includeEnding: true },
+  'none': { includeOpening: false, includeEnding: false }
+};
+
+// Cover placement, at the 2:3 ratio of AniList covers
+const COVER = { x: 60, y: 60, width: 340, height: 510 };
+const TEXT_X = 460;
+const TITLE_MAX_CHARS = 26;
+const TITLE_MAX_LINES = 3;
+
+/**
+ * Gets the name of an opening/ending option set
+ * @param {{includeOpening?: boolean, includeEnding?: boolean}} [themeOptions] - Theme options (default: both included)
+ * @returns {string} Option set name (op-ed, op, ed or none)
+ */
+export function getThemeOptionSetName({ includeOpening = true, includeEnding = true } = {}) {
+  return Object.keys(THEME_OPTION_SETS).find(name =>
+    THEME_OPTION_SETS[name].includeOpening === includeOpening && THEME_OPTION_SETS[name].includeEnding === includeEnding
+  );
+}
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {any} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Breaks text into lines of at most maxChars characters, ending with an ellipsis if it is cut
+ * SVG text does not wrap; character counts stand in for measuring the rendered width
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Longest line in characters
+ * @param {number} maxLines - Most lines to use
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  const kept = lines.slice(0, maxLines).map(kept => kept.length > maxChars ? `${kept.slice(0, maxChars - 1)}…` : kept);
+  if (lines.length > maxLines) {
+    const last = kept[maxLines - 1];
+    kept[maxLines - 1] = `${last.slice(0, maxChars - 1).replace(/[\s…]+$/, '')}…`;
+  }
+  return kept;
+}
+
+/**
+ * Calculates the watch time shown on a card
+ * Releasing shows count the episodes aired so far
+ * @param {import('./anime-api.js').AnimeData} anime - Anime data
+ * @param {{includeOpening: boolean, includeEnding: boolean}} themeOptions - Theme options
+ * @returns {{episodes: number, formattedTime: string}|null} Episodes counted and formatted total, or null if unknown
+ */
+export function getShareCardWatchTime(anime, themeOptions) {
+  const episodes = anime.episodes || getAiredEpisodeCount(anime);
+  if (!episodes) {
+    return null;
+  }
+  const { formattedTime } = calculateWatchTime({ episodes, episodeDuration: anime.duration, ...themeOptions });
+  return { episodes, formattedTime };
+}
+
+/**
+ * Describes the opening/ending settings of a card
+ * @param {{includeOpening: boolean, includeEnding: boolean}} themeOptions - Theme options
+ * @returns {string} Settings line
+ */
+function describeThemeOptions({ includeOpening, includeEnding }) {
+  if (includeOpening && includeEnding) {
+    return 'Openings and endings included';
+  }
+  if (!includeOpening && !includeEnding) {
+    return 'Openings and endings skipped';
+  }
+  return includeOpening ? 'Openings included, endings skipped' : 'Openings skipped, endings included';
+}
+
+/**
+ * Draws a share card
+ * @param {import('./anime-api.js').AnimeData} anime - Anime data
+ * @param {Object} [options] - Card options
+ * @param {{includeOpening: boolean, includeEnding: boolean}} [options.themeOptions] - Settings of the watch time (default: both included)
+ * @param {string|null} [options.coverDataUri] - Cover as a data URI; without one a placeholder in the cover color is drawn
+ * @returns {string} SVG document
+ */
+export function renderShareCardSvg(anime, { themeOptions = THEME_OPTION_SETS['op-ed'], coverDataUri = null } = {}) {
+  const title = anime.title.english || anime.title.romaji;
+  const accent = anime.coverImage?.color || '#40E0D0';
+  const watchTime = getShareCardWatchTime(anime, themeOptions);
+  const titleLines = wrapText(title, TITLE_MAX_CHARS, TITLE_MAX_LINES);
+  const metaParts = getAnimeMetaParts(anime);
+  if (watchTime) {
+    metaParts.push(`${watchTime.episodes} × ${anime.duration || 24} min`);
+  }
+
+  const cover = coverDataUri
+    ? `<image href="${escapeXml(coverDataUri)}" x="${COVER.x}" y="${COVER.y}" width="${COVER.width}" height="${COVER.height}" preserveAspectRatio="xMidYMid slice" clip-path="url(#cover-clip)"/>`
+    : `<rect x="${COVER.x}" y="${COVER.y}" width="${COVER.width}" height="${COVER.height}" rx="24" fill="${escapeXml(accent)}" opacity="0.35"/>
+  <text x="${COVER.x + COVER.width / 2}" y="${COVER.y + COVER.height / 2 + 40}" text-anchor="middle" font-size="120" font-weight="700" fill="#FFFFFF">${escapeXml(title.charAt(0))}</text>`;
+
+  const titleY = 150;
+  const titleText = titleLines
+    .map((line, index) => `<tspan x="${TEXT_X}" y="${titleY + index * 64}">${escapeXml(line)}</tspan>`)
+    .join('');
+  const metaY = titleY + titleLines.length * 64 + 10;
+
+  const time = watchTime
+    ? `<text x="${TEXT_X}" y="470" font-size="22" font-weight="600" fill="#5F7A7A" letter-spacing="2">TOTAL WATCH TIME</text>
+  <text x="${TEXT_X}" y="530" font-size="54" font-weight="800" fill="#008B8B">${escapeXml(watchTime.formattedTime)}</text>
+  <text x="${TEXT_X}" y="570" font-size="22" fill="#5F7A7A">${escapeXml(describeThemeOptions(themeOptions))}</text>`
+    : `<text x="${TEXT_X}" y="530" font-size="36" font-weight="700" fill="#5F7A7A">Episode count not announced yet</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="sans-serif">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#F0FFFF"/>
+      <stop offset="1" stop-color="#D8F7F3"/>
+    </linearGradient>
+    <clipPath id="cover-clip">
+      <rect x="${COVER.x}" y="${COVER.y}" width="${COVER.width}" height="${COVER.height}" rx="24"/>
+    </clipPath>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+  <rect width="12" height="${CARD_HEIGHT}" fill="${escapeXml(accent)}"/>
+  ${cover}
+  <text x="${TEXT_X}" y="90" font-size="24" font-weight="600" fill="#20B2AA">Anime Time Calculator</text>
+  <text font-size="54" font-weight="800" fill="#1A2E2E">${titleText}</text>
+  <text x="${TEXT_X}" y="${metaY}" font-size="26" fill="#5F7A7A">${escapeXml(metaParts.join(' · '))}</text>
+  ${time}
+</svg>
+`;
+}
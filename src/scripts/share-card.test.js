@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for Share Cards
+ * Tests option set names, title wrapping and the drawn card
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  renderShareCardSvg,
+  getThemeOptionSetName,
+  wrapText,
+  THEME_OPTION_SETS,
+  CARD_WIDTH,
+  CARD_HEIGHT
+} from './share-card.js';
+
+const anime = {
+  id: 5114,
+  title: { romaji: 'Hagane no Renkinjutsushi: FULLMETAL ALCHEMIST', english: 'Fullmetal Alchemist: Brotherhood' },
+  coverImage: { large: 'https://example.com/cover.jpg', color: '#e4a15d' },
+  format: 'TV',
+  season: 'SPRING',
+  seasonYear: 2009,
+  studios: ['Bones'],
+  averageScore: 90,
+  episodes: 64,
+  duration: 24,
+  status: 'FINISHED'
+};
+
+describe('getThemeOptionSetName', () => {
+  test('should name every option set and default to both included', () => {
+    for (const [name, options] of Object.entries(THEME_OPTION_SETS)) {
+      expect(getThemeOptionSetName(options)).toBe(name);
+    }
+    expect(getThemeOptionSetName()).toBe('op-ed');
+  });
+});
+
+describe('wrapText', () => {
+  test('should break on words and cut overflowing lines with an ellipsis', () => {
+    expect(wrapText('Fullmetal Alchemist: Brotherhood', 20, 3)).toEqual(['Fullmetal Alchemist:', 'Brotherhood']);
+    expect(wrapText('one two three four five six', 9, 2)).toEqual(['one two', 'three…']);
+    expect(wrapText('Supercalifragilistic', 10, 2)).toEqual(['Supercali…']);
+  });
+});
+
+describe('renderShareCardSvg', () => {
+  test('should draw the title, watch time and theme settings', () => {
+    const svg = renderShareCardSvg(anime, { themeOptions: THEME_OPTION_SETS.none, coverDataUri: 'data:image/jpeg;base64,AAAA' });
+
+    expect(svg).toContain(`width="${CARD_WIDTH}" height="${CARD_HEIGHT}"`);
+    expect(svg).toContain('Fullmetal Alchemist:');
+    expect(svg).toContain('TV · Spring 2009 · Bones · 90% · 64 × 24 min');
+    // 64 episodes of 21 minutes once openings and endings are skipped
+    expect(svg).toContain('22 hours 24 minutes');
+    expect(svg).toContain('Openings and endings skipped');
+    expect(svg).toContain('href="data:image/jpeg;base64,AAAA"');
+  });
+
+  test('should draw a placeholder without a cover and escape markup in titles', () => {
+    const svg = renderShareCardSvg({ ...anime, title: { romaji: 'Tom & Jerry <3' } });
+
+    expect(svg).not.toContain('<image');
+    expect(svg).toContain('fill="#e4a15d" opacity="0.35"');
+    expect(svg).toContain('Tom &amp; Jerry &lt;3');
+    expect(svg).toContain('25 hours 36 minutes');
+    expect(svg).toContain('Openings and endings included');
+  });
+
+  test('should say so when the episode count is unknown', () => {
+    const svg = renderShareCardSvg({ ...anime, episodes: null, status: 'NOT_YET_RELEASED' });
+
+    expect(svg).toContain('Episode count not announced yet');
+    expect(svg).not.toContain('TOTAL WATCH TIME');
+  });
+});
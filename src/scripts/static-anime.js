@@ -0,0 +1,37 @@
+/**
+ * Prerendered Anime Module
+ * Loads the anime that static pages and share cards are built for, once per build
+ */
+
+import { getAnimeById, setActiveProvider } from './anime-api.js';
+import { DEFAULT_ANIME_FIXTURES } from './providers/fixture-data.js';
+
+// Anime loaded for this build, shared by every route that prerenders them
+let prerenderedAnime = null;
+
+/**
+ * Loads every anime of the offline fixtures through the API module
+ * Builds read the fixtures themselves by default, so they need no network; a live provider
+ * fetches the same IDs. Anime that fail to load are skipped with a warning
+ * @param {string} [providerName] - Provider to load them from (default: fixture)
+ * @returns {Promise<import('./anime-api.js').AnimeData[]>} Anime to prerender
+ */
+export function getPrerenderedAnime(providerName = 'fixture') {
+  if (!prerenderedAnime) {
+    prerenderedAnime = (async () => {
+      setActiveProvider(providerName);
+
+      const animeList = [];
+      for (const { id } of DEFAULT_ANIME_FIXTURES) {
+        const { data, error } = await getAnimeById(id);
+        if (data) {
+          animeList.push(data);
+        } else {
+          console.warn(`Skipping anime ${id} in the static build: ${error}`);
+        }
+      }
+      return animeList;
+    })();
+  }
+  return prerenderedAnime;
+}
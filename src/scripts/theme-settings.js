@@ -0,0 +1,201 @@
+/**
+ * Theme Settings Module
+ * Keeps the viewer's opening/ending lengths and the episodes without a theme in localStorage:
+ * one set of defaults for every anime, plus overrides saved for single anime under their
+ * provider and ID (the same ID names different shows on different providers)
+ */
+
+import { getThemeDurations } from './time-calculator.js';
+import { DEFAULT_PROVIDER } from './providers/index.js';
+
+/**
+ * @typedef {Object} ThemeSettings
+ * @property {number} openingDuration - Opening length in minutes
+ * @property {number} endingDuration - Ending length in minutes
+ * @property {import('./time-calculator.js').EpisodeRange[]} episodesWithoutOpening - Episodes that have no opening
+ * @property {import('./time-calculator.js').EpisodeRange[]} episodesWithoutEnding - Episodes that have no ending
+ */
+
+/**
+ * @typedef {Object} ResolvedThemeSettings
+ * @property {ThemeSettings} settings - Settings to calculate with
+ * @property {'anime'|'user'|'default'} source - Where they come from: an override for the anime, the viewer's defaults or the built-in ones
+ */
+
+const STORAGE_KEY = 'anime-time-calculator:theme-settings';
+
+/**
+ * Gets the built-in settings
+ * @returns {ThemeSettings} 1.5-minute themes in every episode
+ */
+export function getDefaultThemeSettings() {
+  const { opening, ending } = getThemeDurations();
+  return { openingDuration: opening, endingDuration: ending, episodesWithoutOpening: [], episodesWithoutEnding: [] };
+}
+
+/**
+ * Keeps the known settings of a stored record, dropping anything malformed
+ * @param {any} value - Stored value
+ * @returns {Partial<ThemeSettings>} Usable settings
+ */
+function sanitizeSettings(value) {
+  const settings = {};
+  if (!value || typeof value !== 'object') {
+    return settings;
+  }
+
+  for (const key of ['openingDuration', 'endingDuration']) {
+    if (typeof value[key] === 'number' && value[key] >= 0) {
+      settings[key] = value[key];
+    }
+  }
+  for (const key of ['episodesWithoutOpening', 'episodesWithoutEnding']) {
+    if (Array.isArray(value[key])) {
+      settings[key] = value[key].filter(range => range && typeof range === 'object' && 'from' in range && 'to' in range);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Builds the key an override is saved under
+ * @param {number|string} animeId - Anime ID
+ * @param {string} provider - Provider the ID belongs to
+ * @returns {string} Key such as "anilist:16498"
+ */
+function getOverrideKey(animeId, provider) {
+  return `${provider}:${animeId}`;
+}
+
+/**
+ * Gets localStorage if it is usable
+ * @returns {Storage|null} localStorage or null
+ */
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // Accessing localStorage throws when storage is disabled
+  }
+}
+
+/**
+ * Creates the store of theme settings
+ * Without storage (or when it is full) settings last until the page is closed
+ * @param {Object} [options] - Store options
+ * @param {Storage|null} [options.storage] - Where settings are kept (default: localStorage)
+ * @returns {Object} Store with resolve, getDefaults, saveDefaults, getOverride, saveOverride and removeOverride
+ */
+export function createThemeSettingsStore({ storage = getLocalStorage() } = {}) {
+  let memory = { defaults: null, anime: {} };
+
+  function read() {
+    if (!storage) {
+      return memory;
+    }
+    try {
+      const stored = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+      return {
+        defaults: stored?.defaults ?? null,
+        anime: stored?.anime && typeof stored.anime === 'object' ? stored.anime : {}
+      };
+    } catch {
+      return { defaults: null, anime: {} };
+    }
+  }
+
+  // Overrides saved before they were kept per provider belong to the default provider
+  function findOverride(state, animeId, provider) {
+    return state.anime[getOverrideKey(animeId, provider)] ?? (provider === DEFAULT_PROVIDER ? state.anime[animeId] : undefined);
+  }
+
+  function withoutOverride(state, animeId, provider) {
+    const { [getOverrideKey(animeId, provider)]: removed, ...anime } = state.anime;
+    if (provider === DEFAULT_PROVIDER) {
+      delete anime[animeId];
+    }
+    return anime;
+  }
+
+  function write(state) {
+    memory = state;
+    if (!storage) {
+      return;
+    }
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.warn('Could not save theme settings:', error);
+    }
+  }
+
+  return {
+    /**
+     * Gets the settings to calculate an anime with
+     * @param {number|string|null} [animeId] - Anime ID
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     * @returns {ResolvedThemeSettings} Settings and where they come from
+     */
+    resolve(animeId, provider = DEFAULT_PROVIDER) {
+      const state = read();
+      const override = animeId != null ? findOverride(state, animeId, provider) : null;
+      const settings = {
+        ...getDefaultThemeSettings(),
+        ...sanitizeSettings(state.defaults),
+        ...sanitizeSettings(override)
+      };
+      return { settings, source: override ? 'anime' : state.defaults ? 'user' : 'default' };
+    },
+
+    /**
+     * Gets the viewer's defaults
+     * @returns {Partial<ThemeSettings>|null} Saved defaults or null
+     */
+    getDefaults() {
+      const { defaults } = read();
+      return defaults ? sanitizeSettings(defaults) : null;
+    },
+
+    /**
+     * Saves the viewer's defaults, used for every anime without an override
+     * @param {Partial<ThemeSettings>|null} settings - Settings, or null to go back to the built-in ones
+     */
+    saveDefaults(settings) {
+      const state = read();
+      write({ ...state, defaults: settings ? sanitizeSettings(settings) : null });
+    },
+
+    /**
+     * Gets the override saved for an anime
+     * @param {number|string} animeId - Anime ID
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     * @returns {Partial<ThemeSettings>|null} Saved override or null
+     */
+    getOverride(animeId, provider = DEFAULT_PROVIDER) {
+      const override = findOverride(read(), animeId, provider);
+      return override ? sanitizeSettings(override) : null;
+    },
+
+    /**
+     * Saves settings for one anime
+     * @param {number|string} animeId - Anime ID
+     * @param {Partial<ThemeSettings>} settings - Settings
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     */
+    saveOverride(animeId, settings, provider = DEFAULT_PROVIDER) {
+      const state = read();
+      const anime = withoutOverride(state, animeId, provider);
+      write({ ...state, anime: { ...anime, [getOverrideKey(animeId, provider)]: sanitizeSettings(settings) } });
+    },
+
+    /**
+     * Removes the override of an anime, so it uses the viewer's defaults again
+     * @param {number|string} animeId - Anime ID
+     * @param {string} [provider] - Provider the ID belongs to (default: anilist)
+     */
+    removeOverride(animeId, provider = DEFAULT_PROVIDER) {
+      const state = read();
+      write({ ...state, anime: withoutOverride(state, animeId, provider) });
+    }
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Theme Settings
+ * Tests defaults, per-anime overrides and how they are resolved
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+import { createThemeSettingsStore, getDefaultThemeSettings } from './theme-settings.js';
+
+describe('createThemeSettingsStore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should fall back to the built-in settings', () => {
+    const store = createThemeSettingsStore();
+
+    expect(store.resolve(5114)).toEqual({ settings: getDefaultThemeSettings(), source: 'default' });
+    expect(getDefaultThemeSettings()).toMatchObject({ openingDuration: 1.5, endingDuration: 1.5 });
+  });
+
+  test('should layer anime overrides over the viewer defaults', () => {
+    const store = createThemeSettingsStore();
+    store.saveDefaults({ openingDuration: 2, endingDuration: 1 });
+    store.saveOverride(5114, { openingDuration: 0, episodesWithoutEnding: [{ from: 'last', to: 'last' }] });
+
+    expect(store.resolve(5114)).toEqual({
+      settings: { openingDuration: 0, endingDuration: 1, episodesWithoutOpening: [], episodesWithoutEnding: [{ from: 'last', to: 'last' }] },
+      source: 'anime'
+    });
+    expect(store.resolve(1535)).toMatchObject({ settings: { openingDuration: 2, endingDuration: 1 }, source: 'user' });
+
+    store.removeOverride(5114);
+    expect(store.resolve(5114).source).toBe('user');
+  });
+
+  test('should persist settings across stores and ignore malformed values', () => {
+    createThemeSettingsStore().saveOverride(5114, { openingDuration: 2 });
+    expect(createThemeSettingsStore().getOverride(5114)).toEqual({ openingDuration: 2 });
+
+    localStorage.setItem('anime-time-calculator:theme-settings', JSON.stringify({
+      defaults: { openingDuration: 'long', endingDuration: 1, episodesWithoutOpening: [{ from: 1 }, { from: 1, to: 1 }] }
+    }));
+    expect(createThemeSettingsStore().resolve(5114).settings).toMatchObject({
+      openingDuration: 1.5,
+      endingDuration: 1,
+      episodesWithoutOpening: [{ from: 1, to: 1 }]
+    });
+
+    localStorage.setItem('anime-time-calculator:theme-settings', '{not json');
+    expect(createThemeSettingsStore().resolve(5114).source).toBe('default');
+  });
+
+  test('should keep anime overrides per provider', () => {
+    const store = createThemeSettingsStore();
+    store.saveOverride(5114, { openingDuration: 0 }, 'kitsu');
+
+    expect(store.resolve(5114, 'kitsu')).toMatchObject({ settings: { openingDuration: 0 }, source: 'anime' });
+    expect(store.resolve(5114, 'jikan').source).toBe('default');
+    expect(store.resolve(5114).source).toBe('default');
+
+    store.removeOverride(5114, 'kitsu');
+    expect(store.getOverride(5114, 'kitsu')).toBeNull();
+  });
+
+  test('should read overrides saved before they were kept per provider as AniList ones', () => {
+    localStorage.setItem('anime-time-calculator:theme-settings', JSON.stringify({ anime: { 5114: { openingDuration: 2 } } }));
+    const store = createThemeSettingsStore();
+
+    expect(store.getOverride(5114)).toEqual({ openingDuration: 2 });
+    expect(store.getOverride(5114, 'kitsu')).toBeNull();
+
+    store.saveOverride(5114, { openingDuration: 1 });
+    expect(JSON.parse(localStorage.getItem('anime-time-calculator:theme-settings')).anime).toEqual({ 'anilist:5114': { openingDuration: 1 } });
+  });
+
+  test('should keep settings in memory without storage', () => {
+    const store = createThemeSettingsStore({ storage: null });
+    store.saveOverride(5114, { endingDuration: 1 });
+
+    expect(store.resolve(5114).settings.endingDuration).toBe(1);
+  });
+});
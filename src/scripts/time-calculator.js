@@ -4,12 +4,43 @@
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5
  */
 
+import { getAiredEpisodeCount } from './anime-data.js';
+
 /**
  * @typedef {Object} TimeCalculationOptions
  * @property {number} episodes - Total number of episodes
  * @property {number} episodeDuration - Duration per episode in minutes
  * @property {boolean} includeOpening - Whether to include opening theme time
  * @property {boolean} includeEnding - Whether to include ending theme time
+ * @property {number} [openingDuration] - Opening length in minutes (default: 1.5)
+ * @property {number} [endingDuration] - Ending length in minutes (default: 1.5)
+ * @property {EpisodeRange[]} [episodesWithoutOpening] - Episodes that have no opening, e.g. a cold-open premiere
+ * @property {EpisodeRange[]} [episodesWithoutEnding] - Episodes that have no ending, e.g. the finale
+ * @property {number} [playbackSpeed] - Playback speed factor, e.g. 1.5 (default: 1)
+ * @property {'before-speed'|'after-speed'} [themeSkipTiming] - Whether skipped themes are cut from the
+ *   episode before it is sped up, so they would have played faster too (default), or after, at normal speed
+ * @property {EpisodeClassification} [episodeTypes] - Which episodes are filler, recap or mixed
+ * @property {boolean} [skipFiller] - Whether to leave out filler episodes
+ * @property {boolean} [skipRecaps] - Whether to leave out recap episodes
+ * @property {number} [fromEpisode] - First episode to count (default: 1)
+ * @property {number} [toEpisode] - Last episode to count (default: the final episode)
+ * @property {number} [watchedEpisodes] - Episodes already watched; shorthand for fromEpisode = watchedEpisodes + 1
+ */
+
+/**
+ * Episode types of a series; episodes in no list are canon. Mixed episodes (canon with some
+ * filler) are never skipped, and an episode listed as both filler and recap counts as filler
+ * @typedef {Object} EpisodeClassification
+ * @property {EpisodeRange[]} [canon] - Canon episodes
+ * @property {EpisodeRange[]} [mixed] - Mostly canon episodes with filler scenes
+ * @property {EpisodeRange[]} [filler] - Filler episodes
+ * @property {EpisodeRange[]} [recap] - Recap episodes
+ */
+
+/**
+ * @typedef {Object} EpisodeRange
+ * @property {number|'last'} from - First episode of the range ('last' is the final episode)
+ * @property {number|'last'} to - Last episode of the range, inclusive
  */
 
 /**
@@ -17,6 +48,9 @@
  * @property {number} baseMinutes - Base watch time in minutes (episodes * duration)
  * @property {number} openingMinutes - Additional minutes from opening themes
  * @property {number} endingMinutes - Additional minutes from ending themes
+ * @property {number} speedMinutes - Minutes saved by the playback speed
+ * @property {number} fillerMinutes - Minutes saved by leaving out filler episodes
+ * @property {number} recapMinutes - Minutes saved by leaving out recap episodes
  * @property {number} totalMinutes - Total watch time in minutes
  * @property {string} formattedTime - Formatted time string (e.g., "2 hours 30 minutes")
  * @property {Object} breakdown - Detailed breakdown of time components
@@ -26,6 +60,11 @@
 const OPENING_THEME_DURATION = 1.5; // 1 minute 30 seconds
 const ENDING_THEME_DURATION = 1.5;  // 1 minute 30 seconds
 const DEFAULT_EPISODE_DURATION = 24; // Default episode duration in minutes
+const DEFAULT_AIRING_INTERVAL = 7 * 24 * 60 * 60 * 1000; // Weekly broadcasts, in milliseconds
+const MAX_THEME_DURATION = 10; // Longest opening or ending accepted, in minutes
+const MIN_PLAYBACK_SPEED = 0.25;
+const MAX_PLAYBACK_SPEED = 4;
+const THEME_SKIP_TIMINGS = ['before-speed', 'after-speed'];
 
 /**
  * Validates calculation input parameters
@@ -81,6 +120,83 @@ function validateCalculationInput(options) {
     };
   }
 
+  // Validate theme durations (allow undefined/null for default)
+  for (const [name, duration] of [['Opening', options.openingDuration], ['Ending', options.endingDuration]]) {
+    if (duration !== undefined && duration !== null &&
+        (typeof duration !== 'number' || duration < 0 || duration > MAX_THEME_DURATION)) {
+      return {
+        isValid: false,
+        error: `${name} duration must be between 0 and ${MAX_THEME_DURATION} minutes`
+      };
+    }
+  }
+
+  const { playbackSpeed, themeSkipTiming } = options;
+  if (playbackSpeed !== undefined && playbackSpeed !== null &&
+      (typeof playbackSpeed !== 'number' || !(playbackSpeed >= MIN_PLAYBACK_SPEED && playbackSpeed <= MAX_PLAYBACK_SPEED))) {
+    return {
+      isValid: false,
+      error: `Playback speed must be between ${MIN_PLAYBACK_SPEED}x and ${MAX_PLAYBACK_SPEED}x`
+    };
+  }
+
+  if (themeSkipTiming !== undefined && themeSkipTiming !== null && !THEME_SKIP_TIMINGS.includes(themeSkipTiming)) {
+    return {
+      isValid: false,
+      error: `Theme skip timing must be one of: ${THEME_SKIP_TIMINGS.join(', ')}`
+    };
+  }
+
+  if (options.episodeTypes !== undefined && options.episodeTypes !== null && typeof options.episodeTypes !== 'object') {
+    return {
+      isValid: false,
+      error: 'Episode types must be an object of episode ranges'
+    };
+  }
+
+  // Validate progress against the episode count (allow undefined/null for the whole series)
+  const { fromEpisode, toEpisode, watchedEpisodes } = options;
+  const isSet = value => value !== undefined && value !== null;
+  if (isSet(fromEpisode) && isSet(watchedEpisodes)) {
+    return {
+      isValid: false,
+      error: 'Pass either fromEpisode or watchedEpisodes, not both'
+    };
+  }
+
+  if (isSet(watchedEpisodes) && !(Number.isInteger(watchedEpisodes) && watchedEpisodes >= 0 && watchedEpisodes <= episodes)) {
+    return {
+      isValid: false,
+      error: `Watched episodes must be a whole number between 0 and ${episodes}`
+    };
+  }
+
+  for (const [name, value] of [['First episode', fromEpisode], ['Last episode', toEpisode]]) {
+    if (isSet(value) && !(Number.isInteger(value) && value >= 1 && value <= episodes)) {
+      return {
+        isValid: false,
+        error: `${name} must be a whole number between 1 and ${episodes}`
+      };
+    }
+  }
+
+  const firstEpisode = isSet(fromEpisode) ? fromEpisode : (watchedEpisodes ?? 0) + 1;
+  if (isSet(toEpisode) && firstEpisode > toEpisode + 1) {
+    return {
+      isValid: false,
+      error: 'First episode must not come after the last episode'
+    };
+  }
+
+  for (const ranges of [options.episodesWithoutOpening, options.episodesWithoutEnding]) {
+    if (ranges !== undefined && ranges !== null && !Array.isArray(ranges)) {
+      return {
+        isValid: false,
+        error: 'Episode ranges must be an array'
+      };
+    }
+  }
+
   return { isValid: true, error: null };
 }
 
@@ -123,6 +239,92 @@ export function formatTime(totalMinutes) {
   return result || '0 minutes';
 }
 
+/**
+ * Formats a theme length the way the controls show it (e.g. "1m 30s")
+ * @param {number} minutes - Length in minutes
+ * @returns {string} Formatted length
+ */
+export function formatThemeDuration(minutes) {
+  const totalSeconds = Math.max(0, Math.round((Number(minutes) || 0) * 60));
+  const wholeMinutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  if (wholeMinutes === 0) {
+    return `${seconds}s`;
+  }
+  return seconds === 0 ? `${wholeMinutes}m` : `${wholeMinutes}m ${seconds}s`;
+}
+
+/**
+ * Counts the episodes of a series covered by any of the given ranges
+ * Overlapping ranges count each episode once; episodes past the series' end are ignored
+ * @param {EpisodeRange[]} ranges - Episode ranges
+ * @param {number} episodes - Episodes in the series
+ * @returns {number} Covered episodes
+ */
+export function countEpisodesInRanges(ranges, episodes) {
+  return getEpisodesInRanges(ranges, episodes).size;
+}
+
+/**
+ * Lists the episodes of a series covered by any of the given ranges
+ * @param {EpisodeRange[]} ranges - Episode ranges
+ * @param {number} episodes - Episodes in the series
+ * @returns {Set<number>} Covered episode numbers
+ */
+function getEpisodesInRanges(ranges, episodes) {
+  const resolve = value => value === 'last' ? episodes : Number(value);
+  const covered = new Set();
+
+  (Array.isArray(ranges) ? ranges : []).forEach(range => {
+    const from = Math.max(1, resolve(range?.from));
+    const to = Math.min(episodes, resolve(range?.to ?? range?.from));
+    for (let episode = from; episode <= to; episode++) {
+      covered.add(episode);
+    }
+  });
+  return covered;
+}
+
+/**
+ * Parses episode ranges as typed in the controls, e.g. "1, 12-13, last"
+ * @param {string} text - Comma-separated episodes and ranges; "last" is the final episode
+ * @returns {{ranges: EpisodeRange[], error: string|null}} Parsed ranges, or the part that could not be read
+ */
+export function parseEpisodeRanges(text) {
+  const ranges = [];
+  const parseEpisode = value => {
+    if (/^(last|finale)$/i.test(value)) {
+      return 'last';
+    }
+    return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+  };
+
+  for (const part of String(text ?? '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [fromText, toText, extra] = part.split('-').map(value => value.trim());
+    const from = parseEpisode(fromText);
+    const to = toText === undefined ? from : parseEpisode(toText);
+
+    if (from === null || to === null || extra !== undefined ||
+        (typeof from === 'number' && typeof to === 'number' && from > to) || (from === 'last' && to !== 'last')) {
+      return { ranges: [], error: `"${part}" is not an episode or range` };
+    }
+    ranges.push({ from, to });
+  }
+  return { ranges, error: null };
+}
+
+/**
+ * Formats episode ranges back into the text parseEpisodeRanges reads
+ * @param {EpisodeRange[]} ranges - Episode ranges
+ * @returns {string} Text such as "1, 12-13, last"
+ */
+export function formatEpisodeRanges(ranges) {
+  return (Array.isArray(ranges) ? ranges : [])
+    .map(({ from, to }) => from === to ? String(from) : `${from}-${to}`)
+    .join(', ');
+}
+
 /**
  * Calculates total watch time for an anime series
  * @param {TimeCalculationOptions} options - Calculation parameters
@@ -139,24 +341,72 @@ export function calculateWatchTime(options) {
     episodes,
     episodeDuration,
     includeOpening = false,
-    includeEnding = false
+    includeEnding = false,
+    episodesWithoutOpening = [],
+    episodesWithoutEnding = [],
+    episodeTypes = null,
+    skipFiller = false,
+    skipRecaps = false
   } = options;
+  const openingDuration = options.openingDuration ?? OPENING_THEME_DURATION;
+  const endingDuration = options.endingDuration ?? ENDING_THEME_DURATION;
+  const playbackSpeed = options.playbackSpeed ?? 1;
+  const themeSkipTiming = options.themeSkipTiming ?? 'before-speed';
 
   // Use default episode duration if not provided or invalid
   const finalEpisodeDuration = (typeof episodeDuration === 'number' && episodeDuration > 0) 
     ? episodeDuration 
     : DEFAULT_EPISODE_DURATION;
 
+  // Only the episodes still to watch count: from the one after the watched ones up to toEpisode
+  const firstEpisode = options.fromEpisode ?? (options.watchedEpisodes ?? 0) + 1;
+  const lastEpisode = options.toEpisode ?? episodes;
+  const inRange = episode => episode >= firstEpisode && episode <= lastEpisode;
+  const remainingEpisodes = Math.max(0, lastEpisode - firstEpisode + 1);
+
   // Calculate base time (episodes * duration per episode)
   // Note: API duration already includes OP/ED, so we subtract when NOT including them
-  const baseMinutes = episodes * finalEpisodeDuration;
+  const baseMinutes = remainingEpisodes * finalEpisodeDuration;
+
+  // Filler and recap episodes are left out first; themes and speed apply to the episodes counted
+  const fillerEpisodes = new Set(skipFiller ? [...getEpisodesInRanges(episodeTypes?.filler, episodes)].filter(inRange) : []);
+  const recapEpisodes = new Set(skipRecaps
+    ? [...getEpisodesInRanges(episodeTypes?.recap, episodes)].filter(episode => inRange(episode) && !fillerEpisodes.has(episode))
+    : []);
+  const fillerSubtraction = fillerEpisodes.size * finalEpisodeDuration;
+  const recapSubtraction = recapEpisodes.size * finalEpisodeDuration;
+  const isCounted = episode => inRange(episode) && !fillerEpisodes.has(episode) && !recapEpisodes.has(episode);
+  const countedEpisodes = remainingEpisodes - fillerEpisodes.size - recapEpisodes.size;
+  const countedMinutes = countedEpisodes * finalEpisodeDuration;
+
+  // Episodes without a theme have nothing to skip
+  const withoutOpening = getEpisodesInRanges(episodesWithoutOpening, episodes);
+  const withoutEnding = getEpisodesInRanges(episodesWithoutEnding, episodes);
+  let openingEpisodes = 0;
+  let endingEpisodes = 0;
+  for (let episode = firstEpisode; episode <= lastEpisode; episode++) {
+    if (isCounted(episode)) {
+      openingEpisodes += withoutOpening.has(episode) ? 0 : 1;
+      endingEpisodes += withoutEnding.has(episode) ? 0 : 1;
+    }
+  }
+
+  // Theme time cut when NOT including opening and ending themes, at normal speed
+  const skippedOpening = includeOpening ? 0 : openingEpisodes * openingDuration;
+  const skippedEnding = includeEnding ? 0 : endingEpisodes * endingDuration;
 
-  // Calculate time to subtract when NOT including opening and ending themes
-  const openingSubtraction = includeOpening ? 0 : episodes * OPENING_THEME_DURATION;
-  const endingSubtraction = includeEnding ? 0 : episodes * ENDING_THEME_DURATION;
+  // Speed saves time on the whole episode; themes cut before speeding up would have played
+  // faster too, so skipping them saves their sped-up length, while themes cut after save their full length
+  const skipsBeforeSpeed = themeSkipTiming === 'before-speed';
+  const openingSubtraction = skipsBeforeSpeed ? skippedOpening / playbackSpeed : skippedOpening;
+  const endingSubtraction = skipsBeforeSpeed ? skippedEnding / playbackSpeed : skippedEnding;
+  const speedSubtraction = countedMinutes - countedMinutes / playbackSpeed;
 
-  // Calculate total time (subtract OP/ED time when not including them)
-  const totalMinutes = baseMinutes - openingSubtraction - endingSubtraction;
+  // Calculate total time (subtract skipped episodes, OP/ED time when not including them and the speed)
+  const totalMinutes = Math.max(
+    0,
+    baseMinutes - fillerSubtraction - recapSubtraction - openingSubtraction - endingSubtraction - speedSubtraction
+  );
 
   // Format the result
   const formattedTime = formatTime(totalMinutes);
@@ -169,19 +419,230 @@ export function calculateWatchTime(options) {
     openingTime: includeOpening ? null : formatTime(openingSubtraction),
     endingTime: includeEnding ? null : formatTime(endingSubtraction),
     includeOpening,
-    includeEnding
+    includeEnding,
+    openingDuration,
+    endingDuration,
+    openingEpisodes,
+    endingEpisodes,
+    playbackSpeed,
+    themeSkipTiming,
+    // Slower than 1x adds time; the sign of speedMinutes tells which
+    speedTime: playbackSpeed === 1 ? null : formatTime(Math.abs(speedSubtraction)),
+    countedEpisodes,
+    fillerEpisodes: fillerEpisodes.size,
+    recapEpisodes: recapEpisodes.size,
+    fillerTime: fillerEpisodes.size > 0 ? formatTime(fillerSubtraction) : null,
+    recapTime: recapEpisodes.size > 0 ? formatTime(recapSubtraction) : null,
+    fromEpisode: firstEpisode,
+    toEpisode: lastEpisode,
+    watchedEpisodes: firstEpisode - 1,
+    remainingEpisodes,
+    progressPercent: lastEpisode > 0 ? Math.round(Math.min(firstEpisode - 1, lastEpisode) / lastEpisode * 100) : 0,
+    watchedTime: null
   };
 
+  // Time already spent, under the same settings, so progress can be shown as watched vs remaining
+  if (firstEpisode > 1) {
+    const { fromEpisode, watchedEpisodes, ...watchedOptions } = options;
+    breakdown.watchedTime = calculateWatchTime({
+      ...watchedOptions,
+      fromEpisode: 1,
+      toEpisode: Math.min(firstEpisode - 1, episodes)
+    }).formattedTime;
+  }
+
   return {
     baseMinutes,
     openingMinutes: openingSubtraction,
     endingMinutes: endingSubtraction,
+    speedMinutes: speedSubtraction,
+    fillerMinutes: fillerSubtraction,
+    recapMinutes: recapSubtraction,
     totalMinutes,
     formattedTime,
     breakdown
   };
 }
 
+/**
+ * @typedef {Object} FranchiseCalculationResult
+ * @property {{anime: Object, result: TimeCalculationResult}[]} entries - Per-entry results
+ * @property {Object[]} skipped - Entries without enough data to calculate (e.g. unknown episode count)
+ * @property {number} totalEpisodes - Episodes across all calculated entries
+ * @property {number} totalMinutes - Grand total in minutes
+ * @property {string} formattedTime - Formatted grand total
+ */
+
+/**
+ * Calculates watch time for every entry of a franchise plus the grand total
+ * @param {Object[]} animeList - Anime data objects (episodes and duration are used)
+ * @param {Object} options - Theme options applied to every entry
+ * @param {boolean} options.includeOpening - Whether to include opening theme time
+ * @param {boolean} options.includeEnding - Whether to include ending theme time
+ * @param {number} [options.openingDuration] - Opening length in minutes (default: 1.5)
+ * @param {number} [options.endingDuration] - Ending length in minutes (default: 1.5)
+ * @param {number} [options.playbackSpeed] - Playback speed factor (default: 1)
+ * @param {'before-speed'|'after-speed'} [options.themeSkipTiming] - When skipped themes are cut (default: before-speed)
+ * @returns {FranchiseCalculationResult} Per-entry breakdown and grand total
+ */
+export function calculateFranchiseWatchTime(animeList, options = {}) {
+  // Episode exceptions belong to one series, so only the theme lengths carry over to other entries
+  const {
+    includeOpening = false,
+    includeEnding = false,
+    openingDuration,
+    endingDuration,
+    playbackSpeed,
+    themeSkipTiming
+  } = options;
+  const entries = [];
+  const skipped = [];
+
+  (Array.isArray(animeList) ? animeList : []).forEach(anime => {
+    if (!canCalculateTime(anime)) {
+      skipped.push(anime);
+      return;
+    }
+
+    entries.push({
+      anime,
+      result: calculateWatchTime({
+        episodes: anime.episodes || getAiredEpisodeCount(anime),
+        episodeDuration: anime.duration,
+        includeOpening,
+        includeEnding,
+        openingDuration,
+        endingDuration,
+        playbackSpeed,
+        themeSkipTiming
+      })
+    });
+  });
+
+  const totalMinutes = entries.reduce((sum, entry) => sum + entry.result.totalMinutes, 0);
+  const totalEpisodes = entries.reduce((sum, entry) => sum + entry.result.breakdown.episodes, 0);
+
+  return {
+    entries,
+    skipped,
+    totalEpisodes,
+    totalMinutes,
+    formattedTime: formatTime(totalMinutes)
+  };
+}
+
+/**
+ * @typedef {Object} AiringCalculationResult
+ * @property {number} airedEpisodes - Episodes aired so far
+ * @property {TimeCalculationResult|null} aired - Watch time of the aired episodes
+ * @property {number|null} projectedEpisodes - Expected episode count (null if not announced)
+ * @property {TimeCalculationResult|null} projected - Watch time once every expected episode has aired
+ * @property {Date|null} expectedEndDate - When the last expected episode airs (null if unknown or already aired)
+ * @property {{episode: number, airingAt: Date}|null} nextEpisode - Next episode to air
+ * @property {number} catchUpEpisodes - Aired episodes not watched yet
+ * @property {TimeCalculationResult|null} catchUp - Time needed to catch up with the latest aired episode
+ */
+
+/**
+ * Calculates watch time for a show that is still airing
+ * Uses nextAiringEpisode and the upcoming airing schedule; when the schedule does not reach the
+ * final episode, the end date is extrapolated from the broadcast interval (weekly by default)
+ * @param {Object} anime - Anime data (episodes, duration, status, nextAiringEpisode, airingSchedule)
+ * @param {Object} options - Calculation options
+ * @param {boolean} [options.includeOpening] - Whether to include opening theme time
+ * @param {boolean} [options.includeEnding] - Whether to include ending theme time
+ * @param {number} [options.openingDuration] - Opening length in minutes (default: 1.5)
+ * @param {number} [options.endingDuration] - Ending length in minutes (default: 1.5)
+ * @param {EpisodeRange[]} [options.episodesWithoutOpening] - Episodes that have no opening
+ * @param {EpisodeRange[]} [options.episodesWithoutEnding] - Episodes that have no ending
+ * @param {number} [options.playbackSpeed] - Playback speed factor (default: 1)
+ * @param {'before-speed'|'after-speed'} [options.themeSkipTiming] - When skipped themes are cut (default: before-speed)
+ * @param {EpisodeClassification} [options.episodeTypes] - Which episodes are filler, recap or mixed
+ * @param {boolean} [options.skipFiller] - Whether to leave out filler episodes
+ * @param {boolean} [options.skipRecaps] - Whether to leave out recap episodes
+ * @param {number} [options.watchedEpisodes] - Episodes the viewer has already watched
+ * @param {number} [now] - Current time in milliseconds (default: Date.now())
+ * @returns {AiringCalculationResult} Aired, projected and catch-up figures
+ */
+export function calculateAiringWatchTime(anime, options = {}, now = Date.now()) {
+  const { watchedEpisodes = 0, ...themeOptions } = options;
+  const {
+    includeOpening = false,
+    includeEnding = false,
+    openingDuration,
+    endingDuration,
+    episodesWithoutOpening,
+    episodesWithoutEnding,
+    playbackSpeed,
+    themeSkipTiming,
+    episodeTypes,
+    skipFiller,
+    skipRecaps
+  } = themeOptions;
+
+  // A range limits the time to some of the episodes, matching episode types and theme ranges by number
+  const calculate = (episodes, range = {}) => episodes > 0
+    ? calculateWatchTime({
+      ...range,
+      episodes,
+      episodeDuration: anime?.duration,
+      includeOpening,
+      includeEnding,
+      openingDuration,
+      endingDuration,
+      episodesWithoutOpening,
+      episodesWithoutEnding,
+      playbackSpeed,
+      themeSkipTiming,
+      episodeTypes,
+      skipFiller,
+      skipRecaps
+    })
+    : null;
+
+  // Upcoming broadcasts by episode, nextAiringEpisode included
+  const scheduleByEpisode = new Map();
+  [anime?.nextAiringEpisode, ...(anime?.airingSchedule || [])]
+    .filter(Boolean)
+    .forEach(node => scheduleByEpisode.set(node.episode, node));
+  const schedule = [...scheduleByEpisode.values()].sort((a, b) => a.episode - b.episode);
+
+  const airedEpisodes = getAiredEpisodeCount(anime, now);
+  const lastScheduled = schedule[schedule.length - 1] || null;
+  const projectedEpisodes = anime?.episodes || (schedule.length > 1 ? lastScheduled.episode : null);
+
+  let expectedEndDate = null;
+  if (projectedEpisodes && lastScheduled && projectedEpisodes > airedEpisodes) {
+    const finalBroadcast = scheduleByEpisode.get(projectedEpisodes);
+    if (finalBroadcast) {
+      expectedEndDate = new Date(finalBroadcast.airingAt * 1000);
+    } else if (projectedEpisodes > lastScheduled.episode) {
+      // Average gap between scheduled broadcasts, falling back to a weekly release
+      const interval = schedule.length > 1
+        ? (lastScheduled.airingAt - schedule[0].airingAt) * 1000 / (lastScheduled.episode - schedule[0].episode)
+        : DEFAULT_AIRING_INTERVAL;
+      expectedEndDate = new Date(lastScheduled.airingAt * 1000 + (projectedEpisodes - lastScheduled.episode) * interval);
+    }
+  }
+
+  const next = schedule.find(node => node.airingAt * 1000 > now) || null;
+  const catchUpEpisodes = Math.max(0, airedEpisodes - Math.max(0, watchedEpisodes));
+
+  return {
+    airedEpisodes,
+    aired: calculate(airedEpisodes),
+    projectedEpisodes,
+    projected: projectedEpisodes ? calculate(projectedEpisodes) : null,
+    expectedEndDate,
+    nextEpisode: next ? { episode: next.episode, airingAt: new Date(next.airingAt * 1000) } : null,
+    catchUpEpisodes,
+    // The unwatched aired episodes, so skipped filler and recaps are matched against the right numbers
+    catchUp: catchUpEpisodes > 0
+      ? calculate(airedEpisodes, { fromEpisode: airedEpisodes - catchUpEpisodes + 1, toEpisode: airedEpisodes })
+      : null
+  };
+}
+
 /**
  * Creates a time calculator instance with automatic recalculation
  * @param {Object} initialOptions - Initial calculation options
@@ -233,6 +694,19 @@ export function createTimeCalculator(initialOptions = {}) {
     }
   }
 
+  /**
+   * Keeps progress within the episode count, e.g. when a releasing show's count changes
+   */
+  function clampProgress() {
+    ['fromEpisode', 'toEpisode', 'watchedEpisodes'].forEach(key => {
+      if (currentOptions.episodes <= 0) {
+        delete currentOptions[key];
+      } else if (typeof currentOptions[key] === 'number' && currentOptions[key] > currentOptions.episodes) {
+        currentOptions[key] = currentOptions.episodes;
+      }
+    });
+  }
+
   return {
     /**
      * Updates anime data and recalculates
@@ -240,8 +714,10 @@ export function createTimeCalculator(initialOptions = {}) {
      */
     updateAnime(animeData) {
       if (animeData && typeof animeData === 'object') {
-        currentOptions.episodes = animeData.episodes || 0;
+        // Shows without an announced episode count are calculated up to the latest aired episode
+        currentOptions.episodes = animeData.episodes || getAiredEpisodeCount(animeData) || 0;
         currentOptions.episodeDuration = animeData.duration || DEFAULT_EPISODE_DURATION;
+        clampProgress();
         recalculate();
       }
     },
@@ -275,6 +751,81 @@ export function createTimeCalculator(initialOptions = {}) {
       recalculate();
     },
 
+    /**
+     * Updates theme lengths and the episodes without a theme, then recalculates
+     * Settings left out keep their current value; null restores the default
+     * @param {Object} settings - Theme settings
+     * @param {number|null} [settings.openingDuration] - Opening length in minutes
+     * @param {number|null} [settings.endingDuration] - Ending length in minutes
+     * @param {EpisodeRange[]|null} [settings.episodesWithoutOpening] - Episodes that have no opening
+     * @param {EpisodeRange[]|null} [settings.episodesWithoutEnding] - Episodes that have no ending
+     */
+    setThemeSettings(settings = {}) {
+      ['openingDuration', 'endingDuration', 'episodesWithoutOpening', 'episodesWithoutEnding'].forEach(key => {
+        if (key in settings) {
+          if (settings[key] === null || settings[key] === undefined) {
+            delete currentOptions[key];
+          } else {
+            currentOptions[key] = settings[key];
+          }
+        }
+      });
+      recalculate();
+    },
+
+    /**
+     * Updates the playback speed and recalculates
+     * @param {number} speed - Playback speed factor, e.g. 1.5
+     * @param {'before-speed'|'after-speed'} [themeSkipTiming] - When skipped themes are cut (default: unchanged)
+     */
+    setPlaybackSpeed(speed, themeSkipTiming) {
+      currentOptions.playbackSpeed = Number(speed);
+      if (themeSkipTiming !== undefined) {
+        currentOptions.themeSkipTiming = themeSkipTiming;
+      }
+      recalculate();
+    },
+
+    /**
+     * Updates how far the viewer is and recalculates the remaining time
+     * Replaces the previous progress; an empty object counts the whole series again
+     * @param {Object} progress - Progress
+     * @param {number} [progress.fromEpisode] - First episode to count
+     * @param {number} [progress.toEpisode] - Last episode to count
+     * @param {number} [progress.watchedEpisodes] - Episodes already watched
+     */
+    setProgress({ fromEpisode, toEpisode, watchedEpisodes } = {}) {
+      delete currentOptions.fromEpisode;
+      delete currentOptions.toEpisode;
+      delete currentOptions.watchedEpisodes;
+      Object.entries({ fromEpisode, toEpisode, watchedEpisodes }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          currentOptions[key] = Number(value);
+        }
+      });
+      recalculate();
+    },
+
+    /**
+     * Updates which episodes are filler, recap or mixed and recalculates
+     * @param {EpisodeClassification|null} episodeTypes - Episode types, or null when they are unknown
+     */
+    setEpisodeTypes(episodeTypes) {
+      currentOptions.episodeTypes = episodeTypes || null;
+      recalculate();
+    },
+
+    /**
+     * Updates whether filler and recap episodes are left out and recalculates
+     * @param {boolean} skipFiller - Leave out filler episodes
+     * @param {boolean} skipRecaps - Leave out recap episodes
+     */
+    setEpisodeSkipping(skipFiller, skipRecaps) {
+      currentOptions.skipFiller = Boolean(skipFiller);
+      currentOptions.skipRecaps = Boolean(skipRecaps);
+      recalculate();
+    },
+
     /**
      * Gets current calculation result
      * @returns {TimeCalculationResult|null} Current result or null if no valid data
@@ -377,5 +928,10 @@ export function canCalculateTime(animeData) {
     return false;
   }
   
-  return typeof animeData.episodes === 'number' && animeData.episodes > 0;
+  if (typeof animeData.episodes === 'number' && animeData.episodes > 0) {
+    return true;
+  }
+
+  // Releasing shows often have no episode count yet, but aired episodes can still be watched
+  return getAiredEpisodeCount(animeData) > 0;
 }
\ No newline at end of file
@@ -10,7 +10,13 @@ import {
   createTimeCalculator,
   getDefaultEpisodeDuration,
   getThemeDurations,
-  canCalculateTime
+  canCalculateTime,
+  calculateFranchiseWatchTime,
+  calculateAiringWatchTime,
+  formatThemeDuration,
+  countEpisodesInRanges,
+  parseEpisodeRanges,
+  formatEpisodeRanges
 } from './time-calculator.js';
 
 describe('formatTime', () => {
@@ -482,4 +488,415 @@ describe('integration scenarios', () => {
       '11 hours 3 minutes'   // - opening: 702 - 39 = 663 minutes
     ]);
   });
-});
\ No newline at end of file
+});
+
+describe('custom theme lengths', () => {
+  test('should skip the given opening and ending lengths', () => {
+    const result = calculateWatchTime({
+      episodes: 12,
+      episodeDuration: 24,
+      includeOpening: false,
+      includeEnding: false,
+      openingDuration: 2,
+      endingDuration: 1
+    });
+
+    expect(result.openingMinutes).toBe(24);
+    expect(result.endingMinutes).toBe(12);
+    expect(result.totalMinutes).toBe(252);
+    expect(result.breakdown).toMatchObject({ openingDuration: 2, endingDuration: 1, openingEpisodes: 12, endingEpisodes: 12 });
+  });
+
+  test('should save nothing in episodes without a theme', () => {
+    const result = calculateWatchTime({
+      episodes: 12,
+      episodeDuration: 24,
+      includeOpening: false,
+      includeEnding: false,
+      episodesWithoutOpening: [{ from: 1, to: 1 }, { from: 'last', to: 'last' }],
+      episodesWithoutEnding: [{ from: 11, to: 'last' }]
+    });
+
+    expect(result.breakdown.openingEpisodes).toBe(10);
+    expect(result.breakdown.endingEpisodes).toBe(10);
+    expect(result.totalMinutes).toBe(288 - 10 * 1.5 - 10 * 1.5);
+  });
+
+  test('should reject theme lengths out of range', () => {
+    expect(() => calculateWatchTime({ episodes: 12, episodeDuration: 24, openingDuration: -1 }))
+      .toThrow('Opening duration must be between 0 and 10 minutes');
+    expect(() => calculateWatchTime({ episodes: 12, episodeDuration: 24, endingDuration: 11 }))
+      .toThrow('Ending duration must be between 0 and 10 minutes');
+  });
+
+  test('should apply theme settings set on a calculator', () => {
+    const calculator = createTimeCalculator({ includeOpening: false, includeEnding: true });
+    calculator.updateAnime({ episodes: 12, duration: 24 });
+
+    calculator.setThemeSettings({ openingDuration: 2, episodesWithoutOpening: [{ from: 1, to: 2 }] });
+    expect(calculator.getCurrentResult().openingMinutes).toBe(20);
+
+    // Anime changes keep the settings; null restores the default length
+    calculator.updateAnime({ episodes: 24, duration: 24 });
+    calculator.setThemeSettings({ openingDuration: null });
+    expect(calculator.getCurrentResult().openingMinutes).toBe(33);
+  });
+
+  test('should count episodes in ranges once and within the series', () => {
+    expect(countEpisodesInRanges([{ from: 1, to: 3 }, { from: 2, to: 4 }, { from: 30, to: 40 }], 12)).toBe(4);
+    expect(countEpisodesInRanges([{ from: 10, to: 'last' }], 12)).toBe(3);
+    expect(countEpisodesInRanges([], 12)).toBe(0);
+  });
+
+  test('should parse and format episode ranges', () => {
+    expect(parseEpisodeRanges('1, 12-13, finale')).toEqual({
+      ranges: [{ from: 1, to: 1 }, { from: 12, to: 13 }, { from: 'last', to: 'last' }],
+      error: null
+    });
+    expect(parseEpisodeRanges('')).toEqual({ ranges: [], error: null });
+    expect(parseEpisodeRanges('1, 5-3').error).toBe('"5-3" is not an episode or range');
+    expect(parseEpisodeRanges('one').error).toBe('"one" is not an episode or range');
+
+    expect(formatEpisodeRanges([{ from: 1, to: 1 }, { from: 20, to: 'last' }])).toBe('1, 20-last');
+  });
+
+  test('should format theme lengths like the controls', () => {
+    expect(formatThemeDuration(1.5)).toBe('1m 30s');
+    expect(formatThemeDuration(2)).toBe('2m');
+    expect(formatThemeDuration(0.75)).toBe('45s');
+  });
+});
+
+describe('playback speed', () => {
+  test('should scale the watch time and report the time saved by speed', () => {
+    const result = calculateWatchTime({ episodes: 12, episodeDuration: 24, includeOpening: true, includeEnding: true, playbackSpeed: 1.5 });
+
+    expect(result.totalMinutes).toBe(192);
+    expect(result.speedMinutes).toBe(96);
+    expect(result.breakdown).toMatchObject({ playbackSpeed: 1.5, speedTime: '1 hour 36 minutes' });
+  });
+
+  test('should cut skipped themes before speeding up by default', () => {
+    const result = calculateWatchTime({ episodes: 12, episodeDuration: 24, includeOpening: false, includeEnding: false, playbackSpeed: 2 });
+
+    // (288 - 36) / 2: the skipped themes would have played at 2x too
+    expect(result.totalMinutes).toBe(126);
+    expect(result.openingMinutes).toBe(9);
+    expect(result.endingMinutes).toBe(9);
+    expect(result.speedMinutes).toBe(144);
+  });
+
+  test('should cut skipped themes at normal speed when they are skipped after speeding up', () => {
+    const result = calculateWatchTime({
+      episodes: 12,
+      episodeDuration: 24,
+      includeOpening: false,
+      includeEnding: false,
+      playbackSpeed: 2,
+      themeSkipTiming: 'after-speed'
+    });
+
+    // 288 / 2 - 36
+    expect(result.totalMinutes).toBe(108);
+    expect(result.openingMinutes).toBe(18);
+    expect(result.speedMinutes).toBe(144);
+  });
+
+  test('should add time below 1x and leave 1x unchanged', () => {
+    const slower = calculateWatchTime({ episodes: 12, episodeDuration: 24, includeOpening: true, includeEnding: true, playbackSpeed: 0.75 });
+    expect(slower.totalMinutes).toBe(384);
+    expect(slower.speedMinutes).toBe(-96);
+    expect(slower.breakdown.speedTime).toBe('1 hour 36 minutes');
+
+    const normal = calculateWatchTime({ episodes: 12, episodeDuration: 24, includeOpening: true, includeEnding: true });
+    expect(normal.speedMinutes).toBe(0);
+    expect(normal.breakdown.speedTime).toBeNull();
+  });
+
+  test('should reject speeds and timings out of range', () => {
+    expect(() => calculateWatchTime({ episodes: 12, episodeDuration: 24, playbackSpeed: 0 }))
+      .toThrow('Playback speed must be between 0.25x and 4x');
+    expect(() => calculateWatchTime({ episodes: 12, episodeDuration: 24, themeSkipTiming: 'during' }))
+      .toThrow('Theme skip timing must be one of: before-speed, after-speed');
+  });
+
+  test('should update the speed of a calculator and carry it into franchise totals', () => {
+    const calculator = createTimeCalculator({ includeOpening: true, includeEnding: true });
+    calculator.updateAnime({ episodes: 12, duration: 24 });
+
+    calculator.setPlaybackSpeed(2);
+    expect(calculator.getCurrentResult().totalMinutes).toBe(144);
+
+    calculator.setPlaybackSpeed(2, 'after-speed');
+    expect(calculator.getCurrentOptions()).toMatchObject({ playbackSpeed: 2, themeSkipTiming: 'after-speed' });
+
+    const franchise = calculateFranchiseWatchTime([{ episodes: 12, duration: 24 }], calculator.getCurrentOptions());
+    expect(franchise.totalMinutes).toBe(144);
+  });
+});
+
+describe('filler and recap skipping', () => {
+  const episodeTypes = {
+    filler: [{ from: 5, to: 7 }, { from: 'last', to: 'last' }],
+    recap: [{ from: 6, to: 6 }, { from: 9, to: 9 }],
+    mixed: [{ from: 2, to: 2 }]
+  };
+
+  test('should leave out filler and recap episodes and report what each saves', () => {
+    const result = calculateWatchTime({
+      episodes: 12,
+      episodeDuration: 24,
+      includeOpening: true,
+      includeEnding: true,
+      episodeTypes,
+      skipFiller: true,
+      skipRecaps: true
+    });
+
+    // Episode 6 is both filler and recap, so it counts as filler
+    expect(result.fillerMinutes).toBe(96);
+    expect(result.recapMinutes).toBe(24);
+    expect(result.totalMinutes).toBe(168);
+    expect(result.breakdown).toMatchObject({
+      countedEpisodes: 7,
+      fillerEpisodes: 4,
+      recapEpisodes: 1,
+      fillerTime: '1 hour 36 minutes',
+      recapTime: '24 minutes'
+    });
+  });
+
+  test('should apply themes and speed to the watched episodes only', () => {
+    const result = calculateWatchTime({
+      episodes: 12,
+      episodeDuration: 24,
+      includeOpening: false,
+      includeEnding: true,
+      playbackSpeed: 2,
+      episodeTypes,
+      skipFiller: true
+    });
+
+    expect(result.breakdown.openingEpisodes).toBe(8);
+    expect(result.openingMinutes).toBe(6);
+    expect(result.speedMinutes).toBe(96);
+    expect(result.totalMinutes).toBe(288 - 96 - 6 - 96);
+  });
+
+  test('should keep every episode unless skipping is turned on', () => {
+    const result = calculateWatchTime({ episodes: 12, episodeDuration: 24, includeOpening: true, includeEnding: true, episodeTypes });
+
+    expect(result.totalMinutes).toBe(288);
+    expect(result.breakdown).toMatchObject({ fillerTime: null, recapTime: null, countedEpisodes: 12 });
+  });
+
+  test('should update episode types and skipping on a calculator', () => {
+    const calculator = createTimeCalculator({ includeOpening: true, includeEnding: true });
+    calculator.updateAnime({ episodes: 12, duration: 24 });
+
+    calculator.setEpisodeSkipping(true, false);
+    expect(calculator.getCurrentResult().totalMinutes).toBe(288);
+
+    calculator.setEpisodeTypes(episodeTypes);
+    expect(calculator.getCurrentResult().totalMinutes).toBe(192);
+  });
+});
+
+describe('progress', () => {
+  test('should count only the episodes left after the watched ones', () => {
+    const result = calculateWatchTime({ episodes: 12, episodeDuration: 24, includeOpening: true, includeEnding: true, watchedEpisodes: 3 });
+
+    expect(result.totalMinutes).toBe(216);
+    expect(result.breakdown).toMatchObject({
+      fromEpisode: 4,
+      toEpisode: 12,
+      watchedEpisodes: 3,
+      remainingEpisodes: 9,
+      progressPercent: 25,
+      watchedTime: '1 hour 12 minutes'
+    });
+  });
+
+  test('should count an episode range with the skips that fall inside it', () => {
+    const result = calculateWatchTime({
+      episodes: 12,
+      episodeDuration: 24,
+      includeOpening: false,
+      includeEnding: true,
+      fromEpisode: 5,
+      toEpisode: 8,
+      episodeTypes: { filler: [{ from: 1, to: 5 }] },
+      skipFiller: true,
+      episodesWithoutOpening: [{ from: 'last', to: 'last' }]
+    });
+
+    expect(result.breakdown).toMatchObject({ remainingEpisodes: 4, fillerEpisodes: 1, openingEpisodes: 3, progressPercent: 50 });
+    expect(result.totalMinutes).toBe(4 * 24 - 24 - 3 * 1.5);
+  });
+
+  test('should report no time left once every episode is watched', () => {
+    const result = calculateWatchTime({ episodes: 12, episodeDuration: 24, watchedEpisodes: 12 });
+
+    expect(result.totalMinutes).toBe(0);
+    expect(result.breakdown).toMatchObject({ remainingEpisodes: 0, progressPercent: 100 });
+  });
+
+  test('should validate progress against the episode count', () => {
+    const options = { episodes: 12, episodeDuration: 24 };
+
+    expect(() => calculateWatchTime({ ...options, watchedEpisodes: 13 })).toThrow('Watched episodes must be a whole number between 0 and 12');
+    expect(() => calculateWatchTime({ ...options, toEpisode: 0 })).toThrow('Last episode must be a whole number between 1 and 12');
+    expect(() => calculateWatchTime({ ...options, fromEpisode: 2.5 })).toThrow('First episode must be a whole number between 1 and 12');
+    expect(() => calculateWatchTime({ ...options, fromEpisode: 8, toEpisode: 4 })).toThrow('First episode must not come after the last episode');
+    expect(() => calculateWatchTime({ ...options, fromEpisode: 2, watchedEpisodes: 1 })).toThrow('Pass either fromEpisode or watchedEpisodes, not both');
+  });
+
+  test('should set progress on a calculator and keep it within the episode count', () => {
+    const calculator = createTimeCalculator({ includeOpening: true, includeEnding: true });
+    calculator.updateAnime({ episodes: 12, duration: 24 });
+
+    calculator.setProgress({ watchedEpisodes: 6 });
+    expect(calculator.getCurrentResult().totalMinutes).toBe(144);
+
+    calculator.setProgress({ fromEpisode: 1, toEpisode: 2 });
+    expect(calculator.getCurrentResult().totalMinutes).toBe(48);
+    expect(calculator.getCurrentOptions().watchedEpisodes).toBeUndefined();
+
+    calculator.setProgress({ watchedEpisodes: 10 });
+    calculator.updateAnime({ episodes: 8, duration: 24 });
+    expect(calculator.getCurrentOptions().watchedEpisodes).toBe(8);
+    expect(calculator.getCurrentResult().totalMinutes).toBe(0);
+  });
+});
+
+describe('calculateFranchiseWatchTime', () => {
+  const franchise = [
+    { id: 1, title: { romaji: 'Season 1' }, episodes: 12, duration: 24 },
+    { id: 2, title: { romaji: 'Season 2' }, episodes: 13, duration: 24 },
+    { id: 3, title: { romaji: 'Movie' }, episodes: 1, duration: 90 },
+    { id: 4, title: { romaji: 'Announced Season' }, episodes: null, duration: null }
+  ];
+
+  test('should sum every calculable entry into a grand total', () => {
+    const result = calculateFranchiseWatchTime(franchise, { includeOpening: true, includeEnding: true });
+
+    expect(result.entries.map(entry => entry.result.totalMinutes)).toEqual([288, 312, 90]);
+    expect(result.totalMinutes).toBe(690);
+    expect(result.totalEpisodes).toBe(26);
+    expect(result.formattedTime).toBe('11 hours 30 minutes');
+  });
+
+  test('should list entries without an episode count as skipped', () => {
+    const result = calculateFranchiseWatchTime(franchise, { includeOpening: true, includeEnding: true });
+
+    expect(result.skipped.map(anime => anime.id)).toEqual([4]);
+  });
+
+  test('should apply theme options to every entry', () => {
+    const withThemes = calculateFranchiseWatchTime(franchise, { includeOpening: true, includeEnding: true });
+    const withoutOpenings = calculateFranchiseWatchTime(franchise, { includeOpening: false, includeEnding: true });
+
+    // 26 episodes × 1.5 minutes of opening each
+    expect(withThemes.totalMinutes - withoutOpenings.totalMinutes).toBe(39);
+  });
+
+  test('should handle an empty franchise', () => {
+    const result = calculateFranchiseWatchTime([]);
+
+    expect(result.entries).toEqual([]);
+    expect(result.totalMinutes).toBe(0);
+    expect(result.formattedTime).toBe('0 minutes');
+  });
+});
+
+describe('calculateAiringWatchTime', () => {
+  const DAY = 24 * 60 * 60;
+  const NOW = 1700000000;
+  const releasing = {
+    id: 1,
+    episodes: 12,
+    duration: 24,
+    status: 'RELEASING',
+    nextAiringEpisode: { episode: 6, airingAt: NOW + DAY },
+    airingSchedule: [
+      { episode: 6, airingAt: NOW + DAY },
+      { episode: 7, airingAt: NOW + 8 * DAY },
+      { episode: 8, airingAt: NOW + 15 * DAY }
+    ]
+  };
+  const withThemes = { includeOpening: true, includeEnding: true };
+
+  test('should count only the episodes aired so far', () => {
+    const result = calculateAiringWatchTime(releasing, withThemes, NOW * 1000);
+
+    expect(result.airedEpisodes).toBe(5);
+    expect(result.aired.totalMinutes).toBe(120);
+    expect(result.nextEpisode).toEqual({ episode: 6, airingAt: new Date((NOW + DAY) * 1000) });
+  });
+
+  test('should project the full season and extrapolate its end date from the schedule', () => {
+    const result = calculateAiringWatchTime(releasing, withThemes, NOW * 1000);
+
+    expect(result.projectedEpisodes).toBe(12);
+    expect(result.projected.totalMinutes).toBe(288);
+    // Episode 8 airs on day 15, then four more weekly episodes
+    expect(result.expectedEndDate).toEqual(new Date((NOW + 43 * DAY) * 1000));
+  });
+
+  test('should use the final broadcast when it is already scheduled', () => {
+    const result = calculateAiringWatchTime({ ...releasing, episodes: 8 }, {}, NOW * 1000);
+
+    expect(result.expectedEndDate).toEqual(new Date((NOW + 15 * DAY) * 1000));
+  });
+
+  test('should leave the projection empty when the total is unknown', () => {
+    const result = calculateAiringWatchTime({ ...releasing, episodes: null, airingSchedule: [] }, {}, NOW * 1000);
+
+    expect(result.airedEpisodes).toBe(5);
+    expect(result.projectedEpisodes).toBeNull();
+    expect(result.projected).toBeNull();
+    expect(result.expectedEndDate).toBeNull();
+  });
+
+  test('should subtract watched episodes from the catch-up time', () => {
+    const result = calculateAiringWatchTime(releasing, { ...withThemes, watchedEpisodes: 3 }, NOW * 1000);
+
+    expect(result.catchUpEpisodes).toBe(2);
+    expect(result.catchUp.totalMinutes).toBe(48);
+  });
+
+  test('should skip filler and recaps among the unwatched aired episodes only', () => {
+    const catchUp = filler => calculateAiringWatchTime(
+      { ...releasing, nextAiringEpisode: { episode: 13, airingAt: NOW + DAY }, airingSchedule: [] },
+      { ...withThemes, watchedEpisodes: 10, episodeTypes: { filler }, skipFiller: true },
+      NOW * 1000
+    ).catchUp;
+
+    // Episodes 11 and 12 are left to watch
+    expect(catchUp([{ from: 1, to: 2 }]).totalMinutes).toBe(48);
+    expect(catchUp([{ from: 11, to: 12 }]).totalMinutes).toBe(0);
+    expect(catchUp([{ from: 10, to: 11 }]).totalMinutes).toBe(24);
+  });
+
+  test('should leave out themes of episodes without them', () => {
+    const options = { episodesWithoutOpening: [{ from: 1, to: 'last' }], watchedEpisodes: 3 };
+    const result = calculateAiringWatchTime(releasing, options, NOW * 1000);
+
+    // Only the endings are skipped
+    expect(result.aired.totalMinutes).toBe(112.5);
+    expect(result.projected.totalMinutes).toBe(270);
+    expect(result.catchUp.totalMinutes).toBe(45);
+  });
+
+  test('should count episodes that aired after the data was fetched', () => {
+    const result = calculateAiringWatchTime(releasing, withThemes, (NOW + 2 * DAY) * 1000);
+
+    expect(result.airedEpisodes).toBe(6);
+    expect(result.nextEpisode.episode).toBe(7);
+  });
+
+  test('canCalculateTime should accept releasing shows without an episode total', () => {
+    expect(canCalculateTime({ ...releasing, episodes: null })).toBe(true);
+    expect(canCalculateTime({ status: 'NOT_YET_RELEASED', episodes: null, nextAiringEpisode: { episode: 1, airingAt: NOW } })).toBe(false);
+  });
+});
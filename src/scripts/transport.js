@@ -0,0 +1,237 @@
+/**
+ * Request Transport Module
+ * The transport sends the HTTP requests of the API module. It defaults to fetch and can be
+ * swapped for a recorder, which captures request/response pairs as JSON fixtures, or a
+ * replayer, which serves recorded responses so the app runs without a network
+ */
+
+import { buildCacheKey } from './anime-cache.js';
+
+/**
+ * @typedef {Object} TransportRequest
+ * @property {string} method - HTTP method
+ * @property {Object<string, string>} headers - Request headers
+ * @property {string} [body] - JSON-encoded request body
+ * @property {AbortSignal} [signal] - Aborts the request
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {boolean} ok - Whether the status is 2xx
+ * @property {number} status - HTTP status
+ * @property {string} statusText - HTTP status text
+ * @property {{get: function(string): (string|null)}} headers - Response headers
+ * @property {function(): Promise<any>} json - Parses the body
+ */
+
+/**
+ * @typedef {function(string, TransportRequest): Promise<TransportResponse>} Transport
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {{method: string, url: string, body: any}} request - Request with its decoded body
+ * @property {{status: number, statusText: string, headers: Object<string, string>, body: any}} response - Response with its decoded body
+ */
+
+/**
+ * @typedef {Object} RecordingFile
+ * @property {number} version - File format version
+ * @property {string} recordedAt - ISO timestamp of the recording session
+ * @property {Recording[]} recordings - Request/response pairs
+ */
+
+// Transports that can be selected through configuration
+export const TRANSPORT_MODES = ['fetch', 'replay'];
+
+// Where the app looks for recordings in replay mode (served from public/)
+export const DEFAULT_RECORDINGS_URL = '/recordings/anilist.json';
+
+// Version of the recording file format
+const RECORDING_FILE_VERSION = 1;
+
+// Response headers worth keeping: the API module reads them for rate limiting
+const RECORDED_HEADERS = ['retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+/**
+ * Raised by the replayer for a request that was never recorded
+ */
+export class MissingRecordingError extends Error {
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {any} body - Decoded request body
+   */
+  constructor(method, url, body) {
+    const variables = body?.variables ? ` with variables ${JSON.stringify(body.variables)}` : '';
+    super(`No recorded response for ${method} ${url}${variables}. Record it with "npm run record -- <search terms>".`);
+    this.name = 'MissingRecordingError';
+    this.method = method;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+/**
+ * Sends requests with the global fetch (looked up on every call so tests can stub it)
+ * @type {Transport}
+ */
+export function fetchTransport(url, init) {
+  return fetch(url, init);
+}
+
+/**
+ * Decodes a JSON request body
+ * @param {string|undefined} body - Request body
+ * @returns {any} Decoded body, or null without one
+ */
+function decodeBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Builds the key that identifies a request among the recordings
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {any} body - Decoded request body
+ * @returns {string} Recording key
+ */
+export function getRecordingKey(method, url, body) {
+  return buildCacheKey(`${method.toUpperCase()} ${url}`, body);
+}
+
+/**
+ * Builds a transport response from a recorded response
+ * @param {Recording['response']} recorded - Recorded response
+ * @returns {TransportResponse} Response the API module can read
+ */
+function toTransportResponse({ status, statusText = '', headers = {}, body = null }) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: {
+      get: name => headers[name.toLowerCase()] ?? null
+    },
+    json: async () => body
+  };
+}
+
+/**
+ * Creates a transport that passes requests on and records every request/response pair
+ * Callers receive the recorded copy, so they see exactly what a replay will serve
+ * @param {Transport} [transport] - Transport that sends the requests (default: fetch)
+ * @returns {Transport & {getRecordings: function(): Recording[], toJSON: function(): RecordingFile}} Recording transport
+ */
+export function createRecordingTransport(transport = fetchTransport) {
+  /** @type {Map<string, Recording>} */
+  const recordings = new Map();
+
+  /** @type {any} */
+  const record = async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const requestBody = decodeBody(init.body);
+    const response = await transport(url, init);
+
+    const headers = {};
+    RECORDED_HEADERS.forEach(name => {
+      const value = response.headers?.get?.(name);
+      if (value !== null && value !== undefined) {
+        headers[name] = value;
+      }
+    });
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch {
+      // Bodies that are not JSON are recorded as empty
+    }
+
+    const recording = {
+      request: { method, url, body: requestBody },
+      response: { status: response.status, statusText: response.statusText || '', headers, body }
+    };
+    // A repeated request keeps its latest response
+    recordings.set(getRecordingKey(method, url, requestBody), recording);
+
+    return toTransportResponse(recording.response);
+  };
+
+  record.getRecordings = () => [...recordings.values()];
+  record.toJSON = () => ({
+    version: RECORDING_FILE_VERSION,
+    recordedAt: new Date().toISOString(),
+    recordings: record.getRecordings()
+  });
+
+  return record;
+}
+
+/**
+ * Creates a transport that serves recorded responses and never touches the network
+ * Unknown requests fail with a MissingRecordingError naming the request
+ * @param {Object} source - Where the recordings come from (one of the two)
+ * @param {RecordingFile|Recording[]} [source.recordings] - Recordings
+ * @param {function(): Promise<RecordingFile|Recording[]>} [source.load] - Loads the recordings on first use
+ * @returns {Transport} Replaying transport
+ */
+export function createReplayTransport({ recordings, load } = {}) {
+  let index = null;
+
+  function buildIndex(source) {
+    const list = Array.isArray(source) ? source : source?.recordings;
+    if (!Array.isArray(list)) {
+      throw new Error('Invalid recordings: expected a recording file or a list of recordings.');
+    }
+    return new Map(list.map(recording => [
+      getRecordingKey(recording.request.method, recording.request.url, recording.request.body),
+      recording.response
+    ]));
+  }
+
+  return async (url, init = {}) => {
+    if (init.signal?.aborted) {
+      throw new DOMException('The request was cancelled.', 'AbortError');
+    }
+    if (!index) {
+      index = Promise.resolve(load ? load() : recordings).then(buildIndex).catch(error => {
+        index = null; // Let the next request try loading again
+        throw error;
+      });
+    }
+
+    const method = (init.method || 'GET').toUpperCase();
+    const body = decodeBody(init.body);
+    const recorded = (await index).get(getRecordingKey(method, url, body));
+    if (!recorded) {
+      throw new MissingRecordingError(method, url, body);
+    }
+    return toTransportResponse(recorded);
+  };
+}
+
+/**
+ * Resolves which transport to use: a ?transport= query parameter wins over configuration
+ * @param {Object} sources - Where to look
+ * @param {string} [sources.search] - URL query string (window.location.search)
+ * @param {string} [sources.configured] - Configured transport mode (PUBLIC_ANIME_TRANSPORT)
+ * @returns {string} Transport mode (fetch or replay)
+ */
+export function resolveTransportMode({ search = '', configured = '' } = {}) {
+  const fromQuery = new URLSearchParams(search).get('transport');
+  if (TRANSPORT_MODES.includes(fromQuery)) {
+    return fromQuery;
+  }
+  if (TRANSPORT_MODES.includes(configured)) {
+    return configured;
+  }
+  return 'fetch';
+}
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for the Request Transport
+ * Tests recording, replaying and transport selection
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  createRecordingTransport,
+  createReplayTransport,
+  resolveTransportMode,
+  MissingRecordingError
+} from './transport.js';
+
+const URL = 'https://graphql.anilist.co';
+
+function createRequest(variables) {
+  return {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: 'query ($search: String) { Media (search: $search) { id } }', variables })
+  };
+}
+
+function createResponse(body, { status = 200, headers = {} } = {}) {
+  return { ok: status < 300, status, statusText: status === 200 ? 'OK' : 'Error', headers: new Headers(headers), json: async () => body };
+}
+
+describe('createRecordingTransport', () => {
+  test('should pass requests on and record each pair', async () => {
+    const inner = vi.fn().mockResolvedValue(createResponse({ data: { Media: { id: 1 } } }, { headers: { 'X-RateLimit-Remaining': '89', 'Set-Cookie': 'x' } }));
+    const recorder = createRecordingTransport(inner);
+
+    const response = await recorder(URL, createRequest({ search: 'bebop' }));
+
+    expect(inner).toHaveBeenCalledWith(URL, expect.objectContaining({ method: 'POST' }));
+    expect(await response.json()).toEqual({ data: { Media: { id: 1 } } });
+    expect(response.headers.get('X-RateLimit-Remaining')).toBe('89');
+    expect(recorder.getRecordings()).toEqual([{
+      request: { method: 'POST', url: URL, body: JSON.parse(createRequest({ search: 'bebop' }).body) },
+      response: { status: 200, statusText: 'OK', headers: { 'x-ratelimit-remaining': '89' }, body: { data: { Media: { id: 1 } } } }
+    }]);
+  });
+
+  test('should keep the latest response of a repeated request', async () => {
+    const inner = vi.fn()
+      .mockResolvedValueOnce(createResponse(null, { status: 500 }))
+      .mockResolvedValueOnce(createResponse({ data: { Media: { id: 1 } } }));
+    const recorder = createRecordingTransport(inner);
+
+    await recorder(URL, createRequest({ search: 'bebop' }));
+    await recorder(URL, createRequest({ search: 'bebop' }));
+
+    const { version, recordings } = recorder.toJSON();
+    expect(version).toBe(1);
+    expect(recordings).toHaveLength(1);
+    expect(recordings[0].response.status).toBe(200);
+  });
+});
+
+describe('createReplayTransport', () => {
+  const recordings = [{
+    request: { method: 'POST', url: URL, body: JSON.parse(createRequest({ search: 'bebop' }).body) },
+    response: { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '2' }, body: { errors: [] } }
+  }];
+
+  test('should serve recorded responses', async () => {
+    const replayer = createReplayTransport({ recordings: { version: 1, recordings } });
+
+    const response = await replayer(URL, createRequest({ search: 'bebop' }));
+
+    expect(response.ok).toBe(false);
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('2');
+  });
+
+  test('should fail loudly on an unknown request', async () => {
+    const replayer = createReplayTransport({ recordings });
+
+    await expect(replayer(URL, createRequest({ search: 'naruto' }))).rejects.toThrow(MissingRecordingError);
+    await expect(replayer(URL, createRequest({ search: 'naruto' }))).rejects.toThrow('{"search":"naruto"}');
+  });
+
+  test('should load recordings once, on first use', async () => {
+    const load = vi.fn().mockResolvedValue(recordings);
+    const replayer = createReplayTransport({ load });
+
+    expect(load).not.toHaveBeenCalled();
+    await replayer(URL, createRequest({ search: 'bebop' }));
+    await replayer(URL, createRequest({ search: 'bebop' }));
+
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject aborted requests', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const replayer = createReplayTransport({ recordings });
+
+    await expect(replayer(URL, { ...createRequest({ search: 'bebop' }), signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('resolveTransportMode', () => {
+  test('should prefer the query parameter over configuration', () => {
+    expect(resolveTransportMode({ search: '?transport=replay', configured: 'fetch' })).toBe('replay');
+    expect(resolveTransportMode({ search: '?transport=carrier-pigeon', configured: 'replay' })).toBe('replay');
+    expect(resolveTransportMode()).toBe('fetch');
+  });
+});
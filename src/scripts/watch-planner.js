@@ -0,0 +1,216 @@
+/**
+ * Watch Planner Module
+ * Turns a watch time into a viewing schedule: which episodes to watch on which day for a daily
+ * or weekly budget, when the series will be finished, and how much to watch to finish by a date
+ */
+
+import { calculateWatchTime, formatTime } from './time-calculator.js';
+
+/**
+ * @typedef {Object} WatchBudget
+ * @property {'episodes-per-day'|'minutes-per-weekday'} type - How the budget is given
+ * @property {number} [episodesPerDay] - Episodes watched every day
+ * @property {number[]} [minutesPerWeekday] - Minutes available on each weekday, Sunday first (as Date#getDay)
+ */
+
+/**
+ * @typedef {Object} ScheduledDay
+ * @property {Date} date - Day (local midnight)
+ * @property {number[]} episodes - Episodes watched that day
+ * @property {number} minutes - Watch time that day in minutes
+ * @property {string} formattedTime - Formatted watch time
+ */
+
+/**
+ * @typedef {Object} WatchPlan
+ * @property {ScheduledDay[]} days - Days with something to watch, in order; days without viewing time are left out
+ * @property {Date|null} finishDate - Day the last episode is watched (null if nothing is left)
+ * @property {number} totalEpisodes - Episodes scheduled
+ * @property {number} totalMinutes - Watch time scheduled in minutes
+ * @property {string} formattedTime - Formatted watch time
+ */
+
+export const BUDGET_TYPES = ['episodes-per-day', 'minutes-per-weekday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets local midnight of a date
+ * @param {Date|string|number} date - Date
+ * @returns {Date} Start of the day
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Adds calendar days to a date, keeping local midnight across daylight-saving changes
+ * @param {Date} date - Start of a day
+ * @param {number} days - Days to add
+ * @returns {Date} Start of the resulting day
+ */
+function addDays(date, days) {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+}
+
+/**
+ * Lists the episodes still to watch with the watch time of each
+ * Every episode goes through calculateWatchTime with the same options, so theme settings, speed
+ * and skipped filler or recaps apply exactly as in the total; skipped episodes are left out
+ * @param {import('./time-calculator.js').TimeCalculationOptions} options - Calculation options
+ * @returns {{episode: number, minutes: number}[]} Episodes to watch in order
+ */
+export function getEpisodeWatchTimes(options) {
+  const total = calculateWatchTime(options);
+  const { fromEpisode, toEpisode } = total.breakdown;
+  const { fromEpisode: from, toEpisode: to, watchedEpisodes, ...episodeOptions } = options;
+
+  const list = [];
+  for (let episode = fromEpisode; episode <= toEpisode; episode++) {
+    const result = calculateWatchTime({ ...episodeOptions, fromEpisode: episode, toEpisode: episode });
+    if (result.breakdown.countedEpisodes > 0) {
+      list.push({ episode, minutes: result.totalMinutes });
+    }
+  }
+  return list;
+}
+
+/**
+ * Validates a budget
+ * @param {WatchBudget} budget - Budget
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBudget(budget) {
+  if (!budget || !BUDGET_TYPES.includes(budget.type)) {
+    return `Budget type must be one of: ${BUDGET_TYPES.join(', ')}`;
+  }
+  if (budget.type === 'episodes-per-day') {
+    return Number.isInteger(budget.episodesPerDay) && budget.episodesPerDay > 0
+      ? null
+      : 'Episodes per day must be a whole number above 0';
+  }
+
+  const minutes = budget.minutesPerWeekday;
+  if (!Array.isArray(minutes) || minutes.length !== 7 || minutes.some(value => typeof value !== 'number' || !(value >= 0))) {
+    return 'Minutes per weekday must list 7 non-negative numbers, Sunday first';
+  }
+  if (minutes.every(value => value === 0)) {
+    return 'Set aside time on at least one weekday';
+  }
+  return null;
+}
+
+/**
+ * Plans which episodes to watch on which day
+ * Episodes are watched whole: with a minutes budget, a day takes episodes while they fit, and an
+ * episode longer than a whole day's budget is watched alone on the next day with any time set aside
+ * @param {import('./time-calculator.js').TimeCalculationOptions} options - Calculation options (progress included)
+ * @param {WatchBudget} budget - Viewing budget
+ * @param {Date|string|number} [startDate] - First day of viewing (default: today)
+ * @returns {WatchPlan} Day-by-day schedule and finish date
+ */
+export function planWatchSchedule(options, budget, startDate = new Date()) {
+  const budgetError = validateBudget(budget);
+  if (budgetError) {
+    throw new Error(budgetError);
+  }
+
+  const queue = getEpisodeWatchTimes(options);
+  const days = [];
+  let date = startOfDay(startDate);
+  let index = 0;
+
+  while (index < queue.length) {
+    const day = { date, episodes: [], minutes: 0 };
+
+    if (budget.type === 'episodes-per-day') {
+      queue.slice(index, index + budget.episodesPerDay).forEach(({ episode, minutes }) => {
+        day.episodes.push(episode);
+        day.minutes += minutes;
+      });
+    } else {
+      const available = budget.minutesPerWeekday[date.getDay()];
+      while (index + day.episodes.length < queue.length && available > 0) {
+        const { episode, minutes } = queue[index + day.episodes.length];
+        const fits = day.minutes + minutes <= available;
+        if (!fits && day.episodes.length > 0) {
+          break;
+        }
+        day.episodes.push(episode);
+        day.minutes += minutes;
+        if (!fits) {
+          break;
+        }
+      }
+    }
+
+    if (day.episodes.length > 0) {
+      days.push({ ...day, formattedTime: formatTime(day.minutes) });
+      index += day.episodes.length;
+    }
+    date = addDays(date, 1);
+  }
+
+  const totalMinutes = days.reduce((sum, day) => sum + day.minutes, 0);
+  return {
+    days,
+    finishDate: days.length > 0 ? days[days.length - 1].date : null,
+    totalEpisodes: queue.length,
+    totalMinutes,
+    formattedTime: formatTime(totalMinutes)
+  };
+}
+
+/**
+ * Describes a list of episode numbers, joining consecutive ones into ranges
+ * @param {number[]} episodes - Episode numbers in order
+ * @returns {string} e.g. "Episodes 4–6, 8" or "Episode 3"
+ */
+export function formatEpisodeList(episodes) {
+  const ranges = [];
+  episodes.forEach(episode => {
+    const last = ranges[ranges.length - 1];
+    if (last && episode === last[1] + 1) {
+      last[1] = episode;
+    } else {
+      ranges.push([episode, episode]);
+    }
+  });
+  const text = ranges.map(([from, to]) => from === to ? String(from) : `${from}–${to}`).join(', ');
+  return `${episodes.length === 1 ? 'Episode' : 'Episodes'} ${text}`;
+}
+
+/**
+ * Works out how much to watch every day to finish by a date
+ * @param {import('./time-calculator.js').TimeCalculationOptions} options - Calculation options (progress included)
+ * @param {Date|string|number} targetDate - Day the last episode should be watched
+ * @param {Date|string|number} [startDate] - First day of viewing (default: today)
+ * @returns {{episodesPerDay: number, minutesPerDay: number, formattedTime: string, days: number, plan: WatchPlan}} Daily episodes and
+ *   average daily watch time, the days available, and the schedule that follows from watching that many episodes a day
+ */
+export function planToFinishBy(options, targetDate, startDate = new Date()) {
+  const start = startOfDay(startDate);
+  const target = startOfDay(targetDate);
+  if (Number.isNaN(target.getTime()) || target < start) {
+    throw new Error('Finish date must not be before the start date');
+  }
+
+  // Calendar days from start to target, both included; rounding absorbs daylight-saving hours
+  const days = Math.round((target.getTime() - start.getTime()) / DAY_MS) + 1;
+  const queue = getEpisodeWatchTimes(options);
+  const totalMinutes = queue.reduce((sum, { minutes }) => sum + minutes, 0);
+  const episodesPerDay = Math.max(1, Math.ceil(queue.length / days));
+  const minutesPerDay = totalMinutes / days;
+
+  return {
+    episodesPerDay,
+    minutesPerDay,
+    formattedTime: formatTime(minutesPerDay),
+    days,
+    plan: planWatchSchedule(options, { type: 'episodes-per-day', episodesPerDay }, start)
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for the Watch Planner
+ * Tests schedules for both budget types, finish dates and the finish-by mode
+ */
+
+import { describe, test, expect } from 'vitest';
+import { planWatchSchedule, planToFinishBy, getEpisodeWatchTimes } from './watch-planner.js';
+
+// Wednesday
+const START = new Date(2026, 0, 7);
+const series = { episodes: 12, episodeDuration: 24, includeOpening: true, includeEnding: true };
+
+describe('getEpisodeWatchTimes', () => {
+  test('should list the episodes left with the settings applied to each', () => {
+    const list = getEpisodeWatchTimes({
+      ...series,
+      includeOpening: false,
+      watchedEpisodes: 8,
+      episodesWithoutOpening: [{ from: 'last', to: 'last' }],
+      episodeTypes: { recap: [{ from: 10, to: 10 }] },
+      skipRecaps: true
+    });
+
+    expect(list).toEqual([
+      { episode: 9, minutes: 22.5 },
+      { episode: 11, minutes: 22.5 },
+      { episode: 12, minutes: 24 }
+    ]);
+  });
+});
+
+describe('planWatchSchedule', () => {
+  test('should schedule a fixed number of episodes per day', () => {
+    const plan = planWatchSchedule(series, { type: 'episodes-per-day', episodesPerDay: 5 }, START);
+
+    expect(plan.days.map(day => day.episodes)).toEqual([[1, 2, 3, 4, 5], [6, 7, 8, 9, 10], [11, 12]]);
+    expect(plan.days[2]).toMatchObject({ minutes: 48, formattedTime: '48 minutes' });
+    expect(plan.finishDate).toEqual(new Date(2026, 0, 9));
+    expect(plan).toMatchObject({ totalEpisodes: 12, totalMinutes: 288, formattedTime: '4 hours 48 minutes' });
+  });
+
+  test('should fit whole episodes into the minutes of each weekday', () => {
+    // An hour on weekdays, nothing on Saturday, two hours on Sunday
+    const minutesPerWeekday = [120, 60, 60, 60, 60, 60, 0];
+    const plan = planWatchSchedule(series, { type: 'minutes-per-weekday', minutesPerWeekday }, START);
+
+    expect(plan.days.map(day => [day.date.getDay(), day.episodes.length])).toEqual([
+      [3, 2], [4, 2], [5, 2], [0, 5], [1, 1]
+    ]);
+    expect(plan.finishDate).toEqual(new Date(2026, 0, 12));
+  });
+
+  test('should watch an episode longer than a day budget alone', () => {
+    const plan = planWatchSchedule(
+      { episodes: 2, episodeDuration: 90, includeOpening: true, includeEnding: true },
+      { type: 'minutes-per-weekday', minutesPerWeekday: [60, 60, 60, 60, 60, 60, 60] },
+      START
+    );
+
+    expect(plan.days.map(day => day.episodes)).toEqual([[1], [2]]);
+  });
+
+  test('should plan nothing once every episode is watched', () => {
+    const plan = planWatchSchedule({ ...series, watchedEpisodes: 12 }, { type: 'episodes-per-day', episodesPerDay: 2 }, START);
+
+    expect(plan).toMatchObject({ days: [], finishDate: null, totalEpisodes: 0 });
+  });
+
+  test('should reject budgets that never finish', () => {
+    expect(() => planWatchSchedule(series, { type: 'episodes-per-day', episodesPerDay: 0 }, START))
+      .toThrow('Episodes per day must be a whole number above 0');
+    expect(() => planWatchSchedule(series, { type: 'minutes-per-weekday', minutesPerWeekday: [0, 0, 0, 0, 0, 0, 0] }, START))
+      .toThrow('Set aside time on at least one weekday');
+    expect(() => planWatchSchedule(series, { type: 'minutes-per-weekday', minutesPerWeekday: [60] }, START))
+      .toThrow('Minutes per weekday must list 7 non-negative numbers, Sunday first');
+  });
+});
+
+describe('planToFinishBy', () => {
+  test('should work out the daily episodes needed to finish by a date', () => {
+    const result = planToFinishBy(series, new Date(2026, 0, 11), START);
+
+    expect(result).toMatchObject({ days: 5, episodesPerDay: 3, minutesPerDay: 57.6, formattedTime: '58 minutes' });
+    expect(result.plan.finishDate).toEqual(new Date(2026, 0, 10));
+  });
+
+  test('should reject finish dates before the start', () => {
+    expect(() => planToFinishBy(series, new Date(2026, 0, 6), START)).toThrow('Finish date must not be before the start date');
+  });
+});